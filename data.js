@@ -1,8 +1,15 @@
 let cachedProducts = [];
 let lastFetchTime = 0;
+let cachedCart = null;
+let cartQueue = Promise.resolve();
+
+const CART_TOKEN_KEY = 'goshalaCartToken';
+const CART_UPDATED_KEY = 'goshalaCartUpdated'; // Changed on every cart update so other tabs can refresh
+const LEGACY_CART_KEY = 'goshalaProducts'; // Where carts were kept before they moved to the server
+const EMPTY_CART = { items: [], itemCount: 0, subtotal: 0, notices: [] };
 
 /**
- * Fetches products from the API and applies cart state from localStorage.
+ * Fetches products from the API and applies cart state from the cart API.
  * @param {boolean} forceReload - If true, bypasses the cache and fetches fresh data.
  * @returns {Promise<Array>} A promise that resolves to the array of products.
  */
@@ -10,11 +17,11 @@ export async function loadProducts(forceReload = false) {
     const now = Date.now();
     // Use cache if data is less than 5 seconds old, unless a reload is forced.
     if (!forceReload && now - lastFetchTime < 5000 && cachedProducts.length > 0) {
-        return applyCartState(cachedProducts);
+        return applyCartState(cachedProducts, cachedCart || await loadCart());
     }
 
     try {
-        const response = await fetch('/api/products');
+        const [response, cart] = await Promise.all([fetch('/api/products'), loadCart()]);
         if (!response.ok) {
             throw new Error(`HTTP error! status: ${response.status}`);
         }
@@ -23,7 +30,7 @@ export async function loadProducts(forceReload = false) {
         cachedProducts = productsFromAPI;
         lastFetchTime = now;
         
-        return applyCartState(productsFromAPI);
+        return applyCartState(productsFromAPI, cart);
 
     } catch (error) {
         console.error("Could not fetch products:", error);
@@ -32,22 +39,206 @@ export async function loadProducts(forceReload = false) {
 }
 
 /**
- * Merges the cart state from localStorage into the products list.
+ * Searches the catalog on the server and applies cart state to the matching page.
+ * @param {Object} params - Search parameters: q, category, minPrice, maxPrice, sort, page, limit.
+ * @returns {Promise<Object>} The search result ({ products, total, page, totalPages, facets }).
+ */
+export async function searchProducts(params = {}) {
+    const query = new URLSearchParams({ page: 1 }); // Asks for the paged response
+    Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') query.set(key, value);
+    });
+
+    const response = await fetch(`/api/products?${query}`);
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    const result = await response.json();
+    return { ...result, products: applyCartState(result.products, cachedCart || await loadCart()) };
+}
+
+/**
+ * Fetches the top matches for the search box.
+ * @param {string} query - What the user has typed so far.
+ * @returns {Promise<Array>} Up to five suggestions ({ id, name, price, image }).
+ */
+export async function fetchSuggestions(query) {
+    try {
+        const response = await fetch(`/api/products/suggestions?q=${encodeURIComponent(query)}`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return await response.json();
+    } catch (error) {
+        console.error("Could not fetch suggestions:", error);
+        return [];
+    }
+}
+
+/**
+ * Sends a request to the cart API with this browser's cart token, and keeps the token
+ * the server hands out when it creates a cart.
+ * @returns {Promise<Object>} The priced cart.
+ */
+async function cartRequest(method, path = '', body) {
+    const headers = { 'Content-Type': 'application/json' };
+    const token = localStorage.getItem(CART_TOKEN_KEY);
+    if (token) headers['X-Cart-Token'] = token;
+
+    const response = await fetch(`/api/cart${path}`, { method, headers, body: body ? JSON.stringify(body) : undefined });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+    }
+    if (data.token) localStorage.setItem(CART_TOKEN_KEY, data.token);
+    cachedCart = data;
+    return data;
+}
+
+/**
+ * Fetches the cart, priced by the server. A cart left in localStorage by an older
+ * version of the site is moved to the server the first time.
+ * @returns {Promise<Object>} The cart ({ items, itemCount, subtotal, notices }).
+ */
+export async function loadCart() {
+    try {
+        const legacyCart = JSON.parse(localStorage.getItem(LEGACY_CART_KEY)) || [];
+        if (legacyCart.length > 0) {
+            const cart = await cartRequest('POST', '/merge', { items: legacyCart.map(({ id, quantity }) => ({ id, quantity })) });
+            localStorage.removeItem(LEGACY_CART_KEY);
+            return cart;
+        }
+        return await cartRequest('GET');
+    } catch (error) {
+        console.error("Could not load cart:", error);
+        return cachedCart || EMPTY_CART;
+    }
+}
+
+/**
+ * Sets how many of a product are in the cart (0 removes it). Updates are sent one at a
+ * time, in the order they were made.
+ * @param {number} productId - The product's id.
+ * @param {number} quantity - The new quantity.
+ * @returns {Promise<Object>} The updated cart.
+ */
+export function setCartQuantity(productId, quantity) {
+    const update = async () => {
+        const cart = cachedCart || await loadCart();
+        // The change is applied to the product's first line, leaving any other variants as they are
+        const lines = cart.items.filter(i => i.id === productId);
+        const item = lines[0];
+        const itemQuantity = item ? item.quantity + quantity - lines.reduce((sum, i) => sum + i.quantity, 0) : quantity;
+        let updatedCart = cart;
+        if (item && itemQuantity > 0) updatedCart = await cartRequest('PUT', `/items/${item.itemId}`, { quantity: itemQuantity });
+        else if (item) updatedCart = await cartRequest('DELETE', `/items/${item.itemId}`);
+        else if (quantity > 0) updatedCart = await cartRequest('POST', '/items', { id: productId, quantity });
+        localStorage.setItem(CART_UPDATED_KEY, String(Date.now()));
+        return updatedCart;
+    };
+    const result = cartQueue.then(update);
+    cartQueue = result.catch(() => {});
+    return result;
+}
+
+/**
+ * Adds a product to the cart, or more of it when the variant is already there.
+ * @param {number} productId - The product's id.
+ * @param {string} [variantId] - The variant; needed when the product has several.
+ * @param {number} [quantity] - How many to add.
+ * @returns {Promise<Object>} The updated cart.
+ */
+export function addToCart(productId, variantId, quantity = 1) {
+    const update = async () => {
+        const cart = await cartRequest('POST', '/items', { id: productId, variantId, quantity });
+        localStorage.setItem(CART_UPDATED_KEY, String(Date.now()));
+        return cart;
+    };
+    const result = cartQueue.then(update);
+    cartQueue = result.catch(() => {});
+    return result;
+}
+
+/**
+ * Quotes shipping and a delivery estimate for the cart to a pincode.
+ * @param {string} pincode - The six-digit delivery pincode.
+ * @returns {Promise<Object>} The quote ({ charge, total, estimatedDelivery, ... }).
+ */
+export async function quoteShipping(pincode) {
+    const headers = { 'Content-Type': 'application/json' };
+    const token = localStorage.getItem(CART_TOKEN_KEY);
+    if (token) headers['X-Cart-Token'] = token;
+
+    const response = await fetch('/api/shipping/quote', { method: 'POST', headers, body: JSON.stringify({ pincode }) });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error || `HTTP error! status: ${response.status}`);
+    }
+    return data;
+}
+
+/**
+ * Fetches products to recommend with a product, frequently bought together ones first.
+ * @param {number|string} productId - The product's id or slug.
+ * @param {number} [limit] - How many to fetch (at most 12).
+ * @returns {Promise<Array>} Products, each with a `recommendation` ({ score, reason, coPurchases }).
+ */
+export async function fetchRecommendations(productId, limit = 6) {
+    try {
+        const response = await fetch(`/api/products/${encodeURIComponent(productId)}/recommendations?limit=${limit}`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const { recommendations } = await response.json();
+        return recommendations;
+    } catch (error) {
+        console.error("Could not fetch recommendations:", error);
+        return [];
+    }
+}
+
+/**
+ * Fetches products to recommend with everything in the cart.
+ * @param {number} [limit] - How many to fetch (at most 12).
+ * @returns {Promise<Array>} Products, each with a `recommendation` ({ score, reason, coPurchases }).
+ */
+export async function fetchCartRecommendations(limit = 6) {
+    const headers = {};
+    const token = localStorage.getItem(CART_TOKEN_KEY);
+    if (token) headers['X-Cart-Token'] = token;
+
+    try {
+        const response = await fetch(`/api/cart/recommendations?limit=${limit}`, { headers });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const { recommendations } = await response.json();
+        return recommendations;
+    } catch (error) {
+        console.error("Could not fetch cart recommendations:", error);
+        return [];
+    }
+}
+
+/**
+ * Merges the cart state into the products list.
  * @param {Array} products - The array of product objects from the API.
+ * @param {Object} cart - The cart from the cart API.
  * @returns {Array} The products array with 'inCart' and 'quantity' properties updated.
  */
-function applyCartState(products) {
-    const storedCart = JSON.parse(localStorage.getItem('goshalaProducts')) || [];
-    const cartMap = new Map(storedCart.map(item => [item.id, item]));
+function applyCartState(products, cart) {
+    // A product can be in the cart more than once, in different variants
+    const quantities = new Map();
+    cart.items.forEach(item => quantities.set(item.id, (quantities.get(item.id) || 0) + item.quantity));
 
     // Return a new array to avoid modifying the cache directly
     return products.map(product => {
-        const cartItem = cartMap.get(product.id);
-        if (cartItem) {
+        const quantity = quantities.get(product.id);
+        if (quantity) {
             return {
                 ...product,
                 inCart: true,
-                quantity: cartItem.quantity
+                quantity
             };
         }
         return {
@@ -56,4 +247,4 @@ function applyCartState(products) {
             quantity: 0
         };
     });
-}
\ No newline at end of file
+}
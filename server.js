@@ -5,49 +5,201 @@ const multer = require('multer');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const path = require('path');
+const crypto = require('crypto');
+const { promisify, isDeepStrictEqual } = require('util');
+const nodemailer = require('nodemailer');
+const sharp = require('sharp');
+const PDFDocument = require('pdfkit');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+// The shop keeps Indian time: invoice dates, financial years, delivery estimates and analytics periods
+const SHOP_TIMEZONE = 'Asia/Kolkata';
+const SHOP_UTC_OFFSET_MS = 5.5 * 60 * 60 * 1000;
 
 const productsFilePath = path.join(__dirname, 'products.json');
 let productsFromJson = []; // Used only for the initial migration
-const ADMIN_SECRET = 'goshala_admin_123'; // For admin dashboard
 
-// Middleware for admin authentication
-const adminAuth = (req, res, next) => {
-    const secret = req.headers['x-admin-secret'] || req.query.secret;
-    if (secret !== ADMIN_SECRET) {
-        return res.status(401).json({ error: 'Unauthorized' });
+// --- Multer Configuration for Image Uploads ---
+// Uploads are held in memory and only written to disk after sharp has decoded and
+// re-encoded them, so the browser-supplied mimetype never decides what gets stored.
+const UPLOADS_DIR = path.join(__dirname, 'public/uploads');
+const MAX_UPLOAD_BYTES = (Number(process.env.MAX_UPLOAD_MB) || 5) * 1024 * 1024;
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 }
+});
+
+// Customers can send a few photos with a return request (e.g. of a broken jar)
+const MAX_RETURN_PHOTOS = 5;
+const returnPhotoUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_BYTES, files: MAX_RETURN_PHOTOS }
+});
+
+// --- Image Processing ---
+// Every upload is stored as WebP and JPEG in each of these widths (in pixels).
+const IMAGE_VARIANTS = { thumb: 160, card: 600, zoom: 1600 };
+const IMAGE_FORMATS = { webp: 'webp', jpeg: 'jpg' };
+const ACCEPTED_IMAGE_FORMATS = ['jpeg', 'png', 'webp', 'gif', 'avif', 'tiff'];
+const PROCESSED_UPLOAD_PATTERN = /^([a-f0-9]{32})-(thumb|card|zoom)\.(webp|jpg)$/;
+
+const variantFileName = (hash, variant, ext) => `${hash}-${variant}.${ext}`;
+
+/**
+ * Lists the public URLs of every variant of a processed upload.
+ * @param {string} hash - The upload's content hash.
+ * @returns {Object} The card-size WebP as `url` (what goes into Product.images) plus all variants.
+ */
+function describeUpload(hash) {
+    const variants = {};
+    for (const [variant, width] of Object.entries(IMAGE_VARIANTS)) {
+        variants[variant] = { width };
+        for (const [format, ext] of Object.entries(IMAGE_FORMATS)) {
+            variants[variant][format] = `/uploads/${variantFileName(hash, variant, ext)}`;
+        }
     }
-    next();
+    return { hash, url: variants.card.webp, variants };
+}
+
+/**
+ * Groups files in the uploads folder by the upload they belong to: the content hash for
+ * processed images, or the whole file name for files stored before processing existed.
+ */
+const uploadKey = (fileName) => {
+    const match = fileName.match(PROCESSED_UPLOAD_PATTERN);
+    return match ? match[1] : fileName;
 };
 
-// --- Multer Configuration for Image Uploads ---
-const storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-        const uploadPath = path.join(__dirname, 'public/uploads');
-        // Ensure the directory exists
-        fs.mkdir(uploadPath, { recursive: true }).then(() => {
-            cb(null, uploadPath);
-        }).catch(err => cb(err));
-    },
-    filename: function (req, file, cb) {
-        // Create a unique filename
-        cb(null, Date.now() + path.extname(file.originalname));
+/**
+ * Returns another size of an uploaded image (e.g. the thumbnail for a card URL). URLs
+ * that aren't processed uploads are returned unchanged.
+ */
+const imageVariantUrl = (url, variant) => {
+    if (typeof url !== 'string' || !url.startsWith('/uploads/')) return url;
+    const match = path.basename(url).match(PROCESSED_UPLOAD_PATTERN);
+    return match ? `/uploads/${variantFileName(match[1], variant, match[3])}` : url;
+};
+
+/**
+ * Decodes an uploaded image and writes every size/format variant to the uploads folder.
+ * Files are named after a hash of the original bytes, so uploading the same picture twice
+ * reuses the stored variants instead of creating new ones.
+ * @param {Buffer} buffer - The uploaded file.
+ * @returns {Promise<Object|null>} The upload description, or null if the file isn't a supported image.
+ */
+async function processImageUpload(buffer) {
+    let metadata;
+    try {
+        metadata = await sharp(buffer).metadata();
+    } catch (error) {
+        return null; // Not something sharp can decode, whatever the mimetype claimed
     }
-});
+    if (!ACCEPTED_IMAGE_FORMATS.includes(metadata.format)) return null;
+
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 32);
+    const description = describeUpload(hash);
+    const files = Object.keys(IMAGE_VARIANTS).flatMap(variant =>
+        Object.values(IMAGE_FORMATS).map(ext => path.join(UPLOADS_DIR, variantFileName(hash, variant, ext)))
+    );
+    const existing = await Promise.all(files.map(file => fs.access(file).then(() => true, () => false)));
+    if (existing.every(Boolean)) return { ...description, deduplicated: true };
 
-const upload = multer({ 
-    storage: storage,
-    fileFilter: (req, file, cb) => {
-        if (!file.mimetype.startsWith('image/')) return cb(new Error('Only image files are allowed!'), false);
-        cb(null, true);
+    await fs.mkdir(UPLOADS_DIR, { recursive: true });
+    for (const [variant, width] of Object.entries(IMAGE_VARIANTS)) {
+        // rotate() applies the EXIF orientation before the metadata is stripped
+        const resized = sharp(buffer).rotate().resize({ width, height: width, fit: 'inside', withoutEnlargement: true });
+        await resized.clone().webp({ quality: 80 }).toFile(path.join(UPLOADS_DIR, variantFileName(hash, variant, 'webp')));
+        await resized.clone().flatten({ background: '#ffffff' }).jpeg({ quality: 82, mozjpeg: true })
+            .toFile(path.join(UPLOADS_DIR, variantFileName(hash, variant, 'jpg')));
     }
-});
+    return { ...description, deduplicated: false };
+}
+
+/**
+ * Deletes uploaded files that no product or return request references any more (counting
+ * products deleted within the last PRODUCT_RESTORE_DAYS, whose images a restore would need).
+ * @param {Object} [options]
+ * @param {Set<string>} [options.keys] - Only consider these uploads (see uploadKey); all uploads if omitted.
+ * @param {number} [options.minAgeMs] - Skip files newer than this, e.g. uploads not yet saved on a product.
+ * @param {boolean} [options.dryRun] - Only report what would be deleted.
+ * @returns {Promise<Object>} The files removed (or to be removed) and the bytes freed.
+ */
+async function removeOrphanedUploads({ keys, minAgeMs = 0, dryRun = false } = {}) {
+    let files;
+    try {
+        files = await fs.readdir(UPLOADS_DIR);
+    } catch (error) {
+        if (error.code === 'ENOENT') return { removed: [], bytes: 0 };
+        throw error;
+    }
+
+    const products = await Product.find(
+        { $or: [{ images: { $regex: '^/uploads/' } }, { 'variants.image': { $regex: '^/uploads/' } }] },
+        { images: 1, 'variants.image': 1 }
+    ).lean();
+    // Deleted products can be restored for a while, so their images still count as used
+    const deletions = await AuditLog.find(
+        { action: 'product.delete', createdAt: { $gte: new Date(Date.now() - PRODUCT_RESTORE_DAYS * 24 * 60 * 60 * 1000) } },
+        { 'snapshot.images': 1, 'snapshot.variants.image': 1 }
+    ).lean();
+    products.push(...deletions.map(entry => entry.snapshot || {}));
+    const returnRequests = await ReturnRequest.find({ photos: { $regex: '^/uploads/' } }, { photos: 1 }).lean();
+    products.push(...returnRequests.map(r => ({ images: r.photos })));
+    const referenced = new Set(products.flatMap(p => [...(p.images || []), ...(p.variants || []).map(v => v.image)])
+        .filter(url => typeof url === 'string' && url.startsWith('/uploads/'))
+        .map(url => uploadKey(path.basename(url))));
+
+    const removed = [];
+    let bytes = 0;
+    for (const file of files) {
+        const key = uploadKey(file);
+        if (referenced.has(key) || (keys && !keys.has(key))) continue;
+        const filePath = path.join(UPLOADS_DIR, file);
+        const stats = await fs.stat(filePath);
+        if (!stats.isFile() || Date.now() - stats.mtimeMs < minAgeMs) continue;
+        if (!dryRun) await fs.unlink(filePath);
+        removed.push(file);
+        bytes += stats.size;
+    }
+    return { removed, bytes };
+}
 
 // --- Middleware ---
+// Behind a load balancer or CDN, set TRUST_PROXY (e.g. to 1, the number of proxies) so
+// req.ip is the visitor's address rather than the proxy's; rate limits depend on it.
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
 app.use(cors());
-app.use(express.json());
+// Request bodies are small JSON documents; only the catalog import takes a whole catalog
+const JSON_BODY_LIMIT = process.env.JSON_BODY_LIMIT || '50kb';
+const CATALOG_BODY_LIMIT = '10mb';
+const LARGE_BODY_ROUTES = ['/api/admin/catalog/import']; // These parse their own bodies, after auth
+const parseJson = (limit) => express.json({
+    limit,
+    // Keep the raw bytes around: payment webhooks are signed over the exact body we received
+    verify: (req, res, buf) => { req.rawBody = buf; }
+});
+const parseSmallJson = parseJson(JSON_BODY_LIMIT);
+app.use((req, res, next) => LARGE_BODY_ROUTES.includes(req.path) ? next() : parseSmallJson(req, res, next));
+// Express 5 leaves req.body undefined when a request has none; routes can always destructure it
+app.use((req, res, next) => {
+    if (req.body === undefined) req.body = {};
+    next();
+});
+app.use((error, req, res, next) => {
+    if (error.type === 'entity.too.large') {
+        return res.status(413).json({ error: `Request bodies are limited to ${JSON_BODY_LIMIT}.` });
+    }
+    if (error.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'The request body is not valid JSON.' });
+    }
+    next(error);
+});
 app.use(express.static(path.join(__dirname, 'public')));
 
 // --- MongoDB Connection ---
@@ -60,8 +212,39 @@ if (!MONGO_URI) {
 }
 
 // --- Mongoose Schemas and Models ---
+// One purchasable version of a product, e.g. the 500ml jar of a ghee. Price, SKU and
+// stock live on the variant; reviews and ratings are shared by the whole product.
+const VariantSchema = new mongoose.Schema({
+  sku: { type: String, required: true, trim: true, uppercase: true, match: [/^[A-Z0-9_-]{2,40}$/, 'SKUs may only use letters, numbers, - and _.'] },
+  optionName: { type: String, trim: true, maxlength: 40 }, // e.g. "Size" or "Fragrance"
+  optionValue: { type: String, trim: true, maxlength: 60 }, // e.g. "500ml" or "Sandalwood"
+  price: { type: Number, required: [true, 'Variant price is required.'], min: 0 },
+  originalPrice: { type: Number },
+  image: { type: String },
+  weightGrams: { type: Number, min: 0 }, // Packed weight, for weight-based shipping rates
+  // Units on hand. Left unset for variants whose stock we don't track.
+  stock: { type: Number, min: 0 }
+});
+
+// Products can be addressed by their number (legacyId), ObjectId or slug; see productRefQuery.
+const RESERVED_PRODUCT_SLUGS = ['suggestions']; // Would be shadowed by routes like /api/products/suggestions
+
 const ProductSchema = new mongoose.Schema({
   legacyId: { type: Number, required: true, unique: true, index: true },
+  // Human-readable id for URLs, e.g. "desi-cow-ghee". Made from the name if not given.
+  slug: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    unique: true,
+    sparse: true,
+    maxlength: 100,
+    match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Slugs are lowercase words and numbers joined by hyphens.'],
+    validate: {
+      validator: (v) => productRefType(v) === 'slug' && !RESERVED_PRODUCT_SLUGS.includes(v),
+      message: 'This slug is reserved or looks like a product number or ObjectId.'
+    }
+  },
   name: { 
     type: String, 
     required: [true, 'Product name is required.'], 
@@ -76,47 +259,309 @@ const ProductSchema = new mongoose.Schema({
   rating: { type: Number, default: 0 },
   reviewsCount: { type: Number, default: 0 },
   sellerTag: { type: String },
+  // The "from" price: copied from the cheapest variant so the storefront can sort and filter on it
   price: { 
     type: Number, 
     required: [true, 'Product price is required.'],
     min: 0 
   },
   originalPrice: { type: Number },
-  deliveryDate: { type: String }
+  // Working days needed to pack an order before the courier takes over
+  handlingDays: { type: Number, min: 0, max: 30, default: 1 },
+  // GST: prices include tax at this rate, which is shown on invoices under the HSN code
+  hsnCode: { type: String, trim: true, match: [/^\d{4}(\d{2}){0,2}$/, 'HSN codes have 4, 6 or 8 digits.'] },
+  gstRate: { type: Number, min: 0, max: 40, default: () => DEFAULT_GST_RATE },
+  variants: {
+    type: [VariantSchema],
+    validate: [
+      { validator: (val) => val.length > 0, msg: 'A product needs at least one variant.' },
+      { validator: (val) => new Set(val.map(v => v.sku)).size === val.length, msg: 'Each variant of a product needs its own SKU.' }
+    ]
+  },
+  // Archived products are hidden from the storefront and can't be ordered, but stay
+  // in the database for existing orders and reviews.
+  archived: { type: Boolean, default: false },
+  // The sale (price rule) whose prices the variants have right now, if any
+  sale: {
+    ruleId: { type: mongoose.Schema.Types.ObjectId, ref: 'PriceRule' },
+    name: { type: String },
+    tag: { type: String },
+    endsAt: { type: Date }
+  }
+});
+// Full-text search for the storefront, weighted so name matches rank first.
+ProductSchema.index(
+  { name: 'text', category: 'text', description: 'text' },
+  { name: 'ProductTextIndex', weights: { name: 10, category: 5, description: 1 } }
+);
+// Compound indexes behind the category filter and each storefront sort order
+ProductSchema.index({ category: 1, price: 1 });
+ProductSchema.index({ dateAdded: -1 });
+ProductSchema.index({ rating: -1, reviewsCount: -1 });
+ProductSchema.index({ 'variants.sku': 1 }, { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } });
+
+/**
+ * Fills in what a product derives from its variants: a default SKU for variants saved
+ * without one, and the price and originalPrice of its cheapest variant.
+ * @param {Object} product - A product document (or a plain object with `legacyId` and `variants`).
+ */
+function summariseVariants(product) {
+  product.variants.forEach((variant, index) => {
+    if (!variant.sku) variant.sku = `SKU-${product.legacyId}${index > 0 ? `-${index + 1}` : ''}`;
+  });
+  const cheapest = [...product.variants].sort((a, b) => a.price - b.price)[0];
+  if (cheapest) {
+    product.price = cheapest.price;
+    product.originalPrice = cheapest.originalPrice;
+  }
+}
+
+ProductSchema.pre('validate', function () {
+  if (this.variants.length === 0 && typeof this.price === 'number') {
+    // Saved the old way, with a single price: that becomes the product's only variant
+    this.variants.push({ price: this.price, originalPrice: this.originalPrice });
+  } else if (this.variants.length === 1 && !this.isModified('variants') && (this.isModified('price') || this.isModified('originalPrice'))) {
+    // Likewise, a price edit on a single-variant product is an edit of that variant
+    this.variants[0].price = this.price;
+    this.variants[0].originalPrice = this.originalPrice;
+  }
+  summariseVariants(this);
+});
+// A product saved without a slug gets one from its name, with its number added if another
+// product already has that slug
+ProductSchema.pre('validate', async function () {
+  if (this.slug) return;
+  const base = slugify(this.name || '');
+  const usable = base && productRefType(base) === 'slug' && !RESERVED_PRODUCT_SLUGS.includes(base) &&
+    !(await this.constructor.exists({ slug: base, _id: { $ne: this._id } }).session(this.$session()));
+  this.slug = usable ? base : `${base || 'product'}-${this.legacyId}`;
 });
 const Product = mongoose.model('Product', ProductSchema);
 
+// "Desi Cow Ghee (500 ml)" -> "desi-cow-ghee-500-ml"
+const slugify = (text) => String(text)
+  .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .slice(0, 80)
+  .replace(/^-+|-+$/g, '');
+
+// Which kind of identifier a product reference is: a number ("12"), an ObjectId or a slug.
+const productRefType = (ref) => {
+  const value = String(ref);
+  if (/^\d+$/.test(value)) return 'legacyId';
+  if (/^[0-9a-f]{24}$/i.test(value)) return 'objectId';
+  return 'slug';
+};
+
+/**
+ * Builds the filter that finds a product from any of its identifiers, so every product
+ * route accepts /12, /66f1c0...e4 and /desi-cow-ghee alike.
+ * @param {string} ref - A legacyId, ObjectId or slug.
+ * @returns {Object|null} The filter, or null if `ref` can't be any of them.
+ */
+function productRefQuery(ref) {
+  const value = String(ref ?? '').trim();
+  switch (productRefType(value)) {
+    case 'legacyId': return { legacyId: Number(value) };
+    case 'objectId': return { _id: new mongoose.Types.ObjectId(value) };
+    default: return /^[a-z0-9]+(-[a-z0-9]+)*$/i.test(value) ? { slug: value.toLowerCase() } : null;
+  }
+}
+
+// Product numbers come from a counter, so products created at the same time can't be
+// given the same one. The counter is kept at or above the highest number in use.
+const PRODUCT_ID_SEQUENCE = 'productLegacyId';
+const allocateLegacyId = () => nextSequence(PRODUCT_ID_SEQUENCE);
+
+async function syncLegacyIdSequence(session) {
+  const last = await Product.findOne({}, { legacyId: 1 }).sort({ legacyId: -1 }).session(session || null).lean();
+  await Counter.updateOne({ _id: PRODUCT_ID_SEQUENCE }, { $max: { seq: last ? last.legacyId : 0 } }, { upsert: true, session });
+}
+
 const CommentSchema = new mongoose.Schema({
   productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
-  username: { type: String, required: true, trim: true },
-  comment: { type: String, required: true, trim: true },
+  username: { type: String, required: true, trim: true, maxlength: 100 },
+  comment: { type: String, required: true, trim: true, maxlength: 2000 },
   rating: { type: Number, min: 1, max: 5 },
   createdAt: { type: Date, default: Date.now },
-  verifiedPurchase: { type: Boolean, default: false }
+  verifiedPurchase: { type: Boolean, default: false },
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer' },
+  // Moderation: only approved reviews are shown and counted towards the product rating
+  status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending', index: true },
+  moderationReasons: [String], // Why the spam/profanity check or customer reports held it
+  moderatedBy: { type: String },
+  moderatedAt: { type: Date },
+  reports: [{
+    reporterKey: { type: String, required: true },
+    reason: { type: String, trim: true, maxlength: 300 },
+    at: { type: Date, default: Date.now }
+  }],
+  reportCount: { type: Number, default: 0 },
+  helpfulVoters: { type: [String], select: false }, // Customer ids or IPs, to allow one vote each
+  helpfulCount: { type: Number, default: 0 }
+});
+CommentSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.helpfulVoters;
+    delete ret.reports; // Reporter identities stay private; admins see them via the moderation queue
+    return ret;
+  }
 });
 const Comment = mongoose.model('Comment', CommentSchema);
 
+// Enquiries from the contact form, with the shop's replies kept on the same thread.
+const CONTACT_STATUSES = ['new', 'read', 'resolved'];
+const ContactMessageSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, minlength: 2, maxlength: 100 },
+  email: { type: String, required: true, lowercase: true, trim: true, match: [/.+@.+\..+/, 'Please enter a valid email address'] },
+  subject: { type: String, required: true, trim: true, minlength: 3, maxlength: 200 },
+  message: { type: String, required: true, trim: true, minlength: 10, maxlength: 5000 },
+  orderId: { type: String, trim: true, index: true }, // Only set once checked against the sender's email
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer' },
+  ip: { type: String },
+  status: { type: String, enum: CONTACT_STATUSES, default: 'new', index: true },
+  flagReasons: [String], // Why the spam check thinks it may be spam; flagged messages don't notify anyone
+  replies: [{
+    author: { type: String, required: true }, // The admin's email
+    body: { type: String, required: true, trim: true, maxlength: 5000 },
+    sentAt: { type: Date, default: Date.now }
+  }],
+  readAt: { type: Date },
+  resolvedAt: { type: Date },
+  resolvedBy: { type: String },
+  createdAt: { type: Date, default: Date.now, index: true }
+});
+const ContactMessage = mongoose.model('ContactMessage', ContactMessageSchema);
+
+// Order lifecycle: each status lists the statuses it may move to next. Only an order whose
+// payment was received can be refunded (see transitionOrder).
+const ORDER_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['packed', 'cancelled'],
+  packed: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: ['refunded'],
+  cancelled: ['refunded'],
+  refunded: []
+};
+const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+// Shipping address fields, shared by orders and customers' saved addresses.
+const addressFields = () => ({
+  firstname: { type: String, required: true, trim: true },
+  lastname: { type: String, required: true, trim: true },
+  phone: { type: String, required: true, trim: true },
+  address1: { type: String, required: true, trim: true },
+  address2: { type: String, trim: true },
+  city: { type: String, required: true, trim: true },
+  state: { type: String, required: true, trim: true },
+  zip: { type: String, required: true, trim: true }
+});
+
 const OrderSchema = new mongoose.Schema({
   orderId: { type: String, required: true, unique: true },
   date: { type: Date, default: Date.now },
   user: {
-    firstname: { type: String, required: true, trim: true },
-    lastname: { type: String, required: true, trim: true },
-    email: { type: String, required: true, trim: true, match: [/.+@.+\..+/, 'Please enter a valid email address'] },
-    phone: { type: String, required: true, trim: true },
-    address1: { type: String, required: true, trim: true },
-    address2: { type: String, trim: true },
-    city: { type: String, required: true, trim: true },
-    state: { type: String, required: true, trim: true },
-    zip: { type: String, required: true, trim: true }
+    ...addressFields(),
+    email: { type: String, required: true, trim: true, match: [/.+@.+\..+/, 'Please enter a valid email address'] }
+  },
+  // Set when the order was placed while logged in, or later matched to a verified email
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', index: true },
+  subtotal: { type: Number, min: 0 },
+  discount: { type: Number, min: 0, default: 0 },
+  coupon: {
+    couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+    code: { type: String }
+  },
+  shipping: {
+    zoneId: { type: mongoose.Schema.Types.ObjectId, ref: 'ShippingZone' },
+    zoneName: { type: String },
+    charge: { type: Number, min: 0, default: 0 },
+    weightGrams: { type: Number },
+    estimatedDelivery: { from: { type: String }, to: { type: String } }, // YYYY-MM-DD
+    // GST included in the charge
+    gstRate: { type: Number },
+    taxableValue: { type: Number },
+    cgst: { type: Number },
+    sgst: { type: Number },
+    igst: { type: Number }
   },
   total: { type: Number, required: true, min: 0 },
+  payment: {
+    method: { type: String, enum: ['cod', 'online'], default: 'cod' },
+    provider: { type: String },
+    intentId: { type: String, index: true },
+    status: { type: String, enum: ['pending', 'paid', 'failed', 'refunded'], default: 'pending' },
+    paidAt: { type: Date },
+    failureReason: { type: String }
+  },
+  status: { type: String, enum: ORDER_STATUSES, default: 'pending', index: true },
+  statusHistory: [{
+    from: { type: String },
+    to: { type: String, required: true },
+    changedBy: { type: String, required: true },
+    note: { type: String, trim: true, maxlength: 500 },
+    at: { type: Date, default: Date.now }
+  }],
+  // GST totals. Intra-state supplies are taxed as CGST + SGST, inter-state ones as IGST.
+  tax: {
+    supplyType: { type: String, enum: ['intra_state', 'inter_state'] },
+    placeOfSupply: { type: String },
+    taxableValue: { type: Number },
+    cgst: { type: Number },
+    sgst: { type: Number },
+    igst: { type: Number },
+    totalTax: { type: Number }
+  },
+  // Issued when the order is confirmed, numbered per financial year (e.g. INV/2026-27/00001)
+  invoice: {
+    number: { type: String },
+    financialYear: { type: String },
+    issuedAt: { type: Date }
+  },
+  shipment: {
+    carrier: { type: String, trim: true },
+    trackingNumber: { type: String, trim: true },
+    trackingUrl: { type: String, trim: true },
+    shippedAt: { type: Date },
+    deliveredAt: { type: Date }
+  },
+  // Refunds for approved returns, each with the GST it reverses
+  refundedAmount: { type: Number, min: 0, default: 0 },
+  refunds: [{
+    returnId: { type: String },
+    amount: { type: Number, required: true, min: 0 },
+    taxableValue: { type: Number },
+    cgst: { type: Number },
+    sgst: { type: Number },
+    igst: { type: Number },
+    items: [{ itemId: { type: mongoose.Schema.Types.ObjectId }, quantity: { type: Number } }],
+    reference: { type: String, trim: true, maxlength: 200 }, // e.g. the gateway's refund id or a bank UTR
+    note: { type: String, trim: true, maxlength: 500 },
+    refundedBy: { type: String },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  // Whether this order's items are counted in CoPurchase; unset for orders from before it existed
+  coPurchaseCounted: { type: Boolean },
   items: {
     type: [{
         id: { type: Number, required: true },
+        // The variant ordered. Orders from before variants existed don't have one.
+        variantId: { type: mongoose.Schema.Types.ObjectId },
+        sku: { type: String },
+        variant: { type: String }, // e.g. "Size: 500ml", as shown when the order was placed
         name: { type: String, required: true },
         quantity: { type: Number, required: true, min: 1 },
-        price: { type: Number, required: true, min: 0 }
+        price: { type: Number, required: true, min: 0 },
+        // GST included in the line total (after its share of the discount)
+        hsnCode: { type: String },
+        gstRate: { type: Number },
+        taxableValue: { type: Number },
+        cgst: { type: Number },
+        sgst: { type: Number },
+        igst: { type: Number },
+        returnedQuantity: { type: Number, min: 0 } // Units taken back through approved returns
     }],
     required: true,
     validate: [
@@ -124,300 +569,5444 @@ const OrderSchema = new mongoose.Schema({
     ]
   }
 });
+OrderSchema.index({ status: 1, 'payment.method': 1, date: 1 }); // Finding abandoned online payments
+OrderSchema.index({ 'invoice.number': 1 }, { unique: true, partialFilterExpression: { 'invoice.number': { $exists: true } } });
 const Order = mongoose.model('Order', OrderSchema);
 
-// --- Main API Endpoints ---
+// How many orders contained both products. Each pair is stored in both directions, so the
+// products bought with X are simply { productId: X }. Kept up to date as orders come in.
+const CoPurchaseSchema = new mongoose.Schema({
+  productId: { type: Number, required: true }, // legacyIds, as in Order.items
+  relatedId: { type: Number, required: true },
+  count: { type: Number, default: 0 },
+  lastOrderedAt: { type: Date }
+});
+CoPurchaseSchema.index({ productId: 1, relatedId: 1 }, { unique: true });
+CoPurchaseSchema.index({ productId: 1, count: -1 });
+const CoPurchase = mongoose.model('CoPurchase', CoPurchaseSchema);
 
-app.get('/api/products', async (req, res) => {
-    try {
-        // .lean() returns plain JavaScript objects, not Mongoose documents, which is faster.
-        const allProducts = await Product.find({}).lean();
-        // The frontend expects the old format with 'id', so we map it.
-        const formattedProducts = allProducts.map(p => {
-            p.id = p.legacyId; // Add the numeric id for frontend compatibility
-            delete p.legacyId;
-            delete p.__v;
-            return p;
-        });
-        res.json(formattedProducts);
-    } catch (error) {
-        console.error('Error fetching products from DB:', error);
-        res.status(500).json({ error: 'Failed to fetch products' });
+// A customer's request to send back some items of a delivered order. Approving it records
+// the refund on the order; see the Returns and Refunds section.
+const RETURN_STATUSES = ['requested', 'approved', 'rejected'];
+const RETURN_REASONS = ['damaged', 'defective', 'wrong_item', 'not_as_described', 'no_longer_needed', 'other'];
+const ReturnRequestSchema = new mongoose.Schema({
+  returnId: { type: String, required: true, unique: true }, // e.g. RET-00012
+  orderId: { type: String, required: true, index: true },
+  email: { type: String, required: true, lowercase: true, trim: true },
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer' },
+  items: {
+    type: [{
+      itemId: { type: mongoose.Schema.Types.ObjectId, required: true }, // The order item's _id
+      id: { type: Number },
+      variantId: { type: mongoose.Schema.Types.ObjectId },
+      sku: { type: String },
+      name: { type: String, required: true },
+      variant: { type: String },
+      quantity: { type: Number, required: true, min: 1 },
+      unitRefund: { type: Number, min: 0 } // What was paid per unit, after the discount
+    }],
+    validate: [
+      { validator: (val) => val.length > 0, msg: 'A return needs at least one item.' }
+    ]
+  },
+  reason: { type: String, enum: RETURN_REASONS, required: true },
+  comments: { type: String, trim: true, maxlength: 2000 },
+  photos: [String], // Upload URLs, as in Product.images
+  status: { type: String, enum: RETURN_STATUSES, default: 'requested', index: true },
+  refundAmount: { type: Number, min: 0 },
+  restocked: { type: Boolean },
+  resolutionNote: { type: String, trim: true, maxlength: 1000 },
+  resolvedBy: { type: String },
+  resolvedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now, index: true }
+});
+const ReturnRequest = mongoose.model('ReturnRequest', ReturnRequestSchema);
+
+// Named sequences, e.g. the invoice numbers of each financial year.
+const CounterSchema = new mongoose.Schema({
+  _id: { type: String },
+  seq: { type: Number, default: 0 }
+});
+const Counter = mongoose.model('Counter', CounterSchema);
+
+/**
+ * Takes the next number in a sequence. Safe under concurrency: the increment is atomic.
+ * @param {string} name - The sequence name.
+ * @param {Object} [session] - A transaction to take it in, so the number is given back if it aborts.
+ * @returns {Promise<number>} The number, starting from 1.
+ */
+async function nextSequence(name, session) {
+  const counter = await Counter.findOneAndUpdate({ _id: name }, { $inc: { seq: 1 } }, { new: true, upsert: true, session });
+  return counter.seq;
+}
+
+// Every webhook we've accepted, keyed by the provider's event id so retries are ignored.
+const PaymentEventSchema = new mongoose.Schema({
+  provider: { type: String, required: true },
+  eventId: { type: String, required: true },
+  type: { type: String, required: true },
+  intentId: { type: String },
+  receivedAt: { type: Date, default: Date.now }
+});
+PaymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+const PaymentEvent = mongoose.model('PaymentEvent', PaymentEventSchema);
+
+// Outgoing emails waiting to be sent (or retried) by the email worker.
+const EmailJobSchema = new mongoose.Schema({
+  to: { type: String, required: true },
+  subject: { type: String, required: true },
+  html: { type: String, required: true },
+  text: { type: String, required: true },
+  template: { type: String }, // For finding jobs in the database, e.g. 'orderConfirmation'
+  status: { type: String, enum: ['pending', 'sending', 'sent', 'failed'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedUntil: { type: Date },
+  lastError: { type: String },
+  sentAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+EmailJobSchema.index({ status: 1, nextAttemptAt: 1 });
+const EmailJob = mongoose.model('EmailJob', EmailJobSchema);
+
+// Discount codes. An empty scope applies the coupon to the whole cart; otherwise only
+// items in the listed categories or products count towards it.
+const CouponSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true, match: [/^[A-Z0-9_-]{3,30}$/, 'Codes may only use letters, numbers, - and _.'] },
+  description: { type: String, trim: true, maxlength: 200 },
+  type: { type: String, enum: ['percentage', 'flat'], required: true },
+  value: {
+    type: Number,
+    required: true,
+    min: 0,
+    validate: { validator: function (v) { return this.type !== 'percentage' || v <= 100; }, message: 'A percentage discount cannot exceed 100.' }
+  },
+  maxDiscount: { type: Number, min: 0 }, // Caps percentage discounts
+  minOrderValue: { type: Number, min: 0, default: 0 },
+  scope: {
+    categories: [String],
+    productIds: [Number]
+  },
+  usageLimit: { type: Number, min: 1 },
+  perCustomerLimit: { type: Number, min: 1 },
+  redemptionCount: { type: Number, default: 0, min: 0 },
+  startsAt: { type: Date },
+  endsAt: { type: Date },
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
+});
+const Coupon = mongoose.model('Coupon', CouponSchema);
+
+// A sale: a discount on some products for a set time. The price rule worker lowers the
+// variants' prices when it starts and puts the old ones back when it ends.
+const PRICE_RULE_STATUSES = ['scheduled', 'applying', 'active', 'ended', 'cancelled'];
+const PriceRuleSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  tag: { type: String, trim: true, maxlength: 40 }, // Shown on the products during the sale
+  type: { type: String, enum: ['percentage', 'flat'], required: true },
+  value: {
+    type: Number,
+    required: true,
+    min: 0,
+    validate: { validator: function (v) { return this.type !== 'percentage' || v < 100; }, message: 'A percentage discount must be under 100.' }
+  },
+  scope: {
+    categories: [String],
+    productIds: [Number]
+  },
+  startsAt: { type: Date, required: true },
+  endsAt: {
+    type: Date,
+    required: true,
+    validate: { validator: function (v) { return v > this.startsAt; }, message: 'A sale must end after it starts.' }
+  },
+  status: { type: String, enum: PRICE_RULE_STATUSES, default: 'scheduled', index: true },
+  // The prices the rule replaced, so they can be put back
+  applied: [{
+    productId: { type: Number },
+    variantId: { type: mongoose.Schema.Types.ObjectId },
+    price: { type: Number },
+    originalPrice: { type: Number },
+    salePrice: { type: Number }
+  }],
+  skipped: [{ productId: { type: Number }, reason: { type: String } }],
+  appliedAt: { type: Date },
+  endedAt: { type: Date },
+  createdBy: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+PriceRuleSchema.pre('validate', function () {
+  if (this.scope.categories.length === 0 && this.scope.productIds.length === 0) {
+    this.invalidate('scope', 'A sale needs products or categories to apply to.');
+  }
+});
+const PriceRule = mongoose.model('PriceRule', PriceRuleSchema);
+
+// Every change to a variant's price or originalPrice, whoever made it
+const PriceHistorySchema = new mongoose.Schema({
+  productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  variantId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  sku: { type: String },
+  price: { type: Number, required: true },
+  originalPrice: { type: Number },
+  previousPrice: { type: Number }, // Unset for a new variant
+  source: { type: String, enum: ['admin', 'import', 'price_rule', 'restore'], required: true },
+  ruleId: { type: mongoose.Schema.Types.ObjectId, ref: 'PriceRule' },
+  changedBy: { type: String },
+  changedAt: { type: Date, default: Date.now }
+});
+PriceHistorySchema.index({ productId: 1, changedAt: -1 });
+const PriceHistory = mongoose.model('PriceHistory', PriceHistorySchema);
+
+// Where we deliver and what it costs. A zone covers pincode ranges and/or whole states;
+// the default zone covers everywhere that no other zone does.
+const ShippingZoneSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  pincodeRanges: [{
+    from: { type: Number, required: true, min: 100000, max: 999999 },
+    to: {
+      type: Number,
+      required: true,
+      min: 100000,
+      max: 999999,
+      validate: { validator: function (v) { return v >= this.from; }, message: 'A pincode range must end after it starts.' }
     }
+  }],
+  states: [{ type: String, trim: true }],
+  isDefault: { type: Boolean, default: false },
+  rateType: { type: String, enum: ['flat', 'weight'], default: 'flat' },
+  flatRate: { type: Number, min: 0, default: 0 },
+  // Weight-based rates: baseRate covers the first baseWeightGrams, then additionalRate is
+  // added for every additionalWeightGrams (or part of it) on top
+  baseRate: { type: Number, min: 0, default: 0 },
+  baseWeightGrams: { type: Number, min: 1, default: 500 },
+  additionalRate: { type: Number, min: 0, default: 0 },
+  additionalWeightGrams: { type: Number, min: 1, default: 500 },
+  freeShippingThreshold: { type: Number, min: 0 }, // Carts worth at least this ship free
+  transitDays: {
+    min: { type: Number, min: 0, default: 3 },
+    max: { type: Number, min: 0, default: 7 }
+  },
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
 });
+const ShippingZone = mongoose.model('ShippingZone', ShippingZoneSchema);
 
-app.get('/api/products/:id', async (req, res) => {
+// Each use of a coupon, used for per-customer limits and the admin redemption report.
+const CouponRedemptionSchema = new mongoose.Schema({
+  couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', required: true, index: true },
+  orderId: { type: String, required: true },
+  customerKey: { type: String, required: true }, // Customer id, or lower-cased email for guests
+  discount: { type: Number, required: true, min: 0 },
+  createdAt: { type: Date, default: Date.now }
+});
+CouponRedemptionSchema.index({ couponId: 1, customerKey: 1 });
+const CouponRedemption = mongoose.model('CouponRedemption', CouponRedemptionSchema);
+
+// One row per stock change, so admins can see why a count moved.
+const StockMovementSchema = new mongoose.Schema({
+  productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true, index: true },
+  variantId: { type: mongoose.Schema.Types.ObjectId },
+  sku: { type: String },
+  change: { type: Number, required: true },
+  stockAfter: { type: Number, min: 0 },
+  reason: { type: String, required: true, trim: true, maxlength: 200 },
+  orderId: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
+const StockMovement = mongoose.model('StockMovement', StockMovementSchema);
+
+// Staff accounts for the admin dashboard. Owners can do everything; the other roles
+// are limited to the part of the shop they look after.
+const ADMIN_ROLES = ['owner', 'catalog_editor', 'order_manager'];
+
+const AdminSchema = new mongoose.Schema({
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true, match: [/.+@.+\..+/, 'Please enter a valid email address'] },
+  name: { type: String, required: true, trim: true },
+  passwordHash: { type: String, required: true },
+  role: { type: String, enum: ADMIN_ROLES, required: true },
+  active: { type: Boolean, default: true },
+  lastLoginAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+AdminSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    delete ret.__v;
+    return ret;
+  }
+});
+const Admin = mongoose.model('Admin', AdminSchema);
+
+// Only a hash of the session token is stored, so a database leak doesn't hand out live sessions.
+const AdminSessionSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  adminId: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', required: true, index: true },
+  expiresAt: { type: Date, required: true, expires: 0 }, // TTL index removes expired sessions
+  createdAt: { type: Date, default: Date.now }
+});
+const AdminSession = mongoose.model('AdminSession', AdminSessionSchema);
+
+// Every change made through the admin API, with a field-level diff. Entries are only ever
+// added: the model refuses updates and deletes.
+const AuditLogSchema = new mongoose.Schema({
+  actor: { type: String, required: true }, // The admin's email
+  actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  ip: { type: String },
+  method: { type: String },
+  route: { type: String }, // e.g. "PUT /api/products/:id"
+  action: { type: String, required: true }, // e.g. "product.update"
+  entityType: { type: String, required: true },
+  entityId: { type: String },
+  changes: [{
+    _id: false,
+    field: { type: String },
+    before: { type: mongoose.Schema.Types.Mixed },
+    after: { type: mongoose.Schema.Types.Mixed }
+  }],
+  snapshot: { type: mongoose.Schema.Types.Mixed }, // The whole entity as it was, for deletes
+  note: { type: String },
+  createdAt: { type: Date, default: Date.now, index: true }
+});
+AuditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.pre('save', function () {
+  if (!this.isNew) throw new Error('Audit log entries cannot be changed.');
+});
+AuditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function () {
+  throw new Error('Audit log entries cannot be changed.');
+});
+const AuditLog = mongoose.model('AuditLog', AuditLogSchema);
+
+// Shopper accounts. Optional: guests can still check out without one.
+const CustomerSchema = new mongoose.Schema({
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true, match: [/.+@.+\..+/, 'Please enter a valid email address'] },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  phone: { type: String, trim: true },
+  passwordHash: { type: String, required: true },
+  emailVerified: { type: Boolean, default: false },
+  emailVerificationTokenHash: { type: String, index: true },
+  addresses: [{
+    label: { type: String, trim: true, maxlength: 50 },
+    ...addressFields()
+  }],
+  createdAt: { type: Date, default: Date.now }
+});
+CustomerSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    delete ret.emailVerificationTokenHash;
+    delete ret.__v;
+    return ret;
+  }
+});
+const Customer = mongoose.model('Customer', CustomerSchema);
+
+const CustomerSessionSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', required: true, index: true },
+  expiresAt: { type: Date, required: true, expires: 0 },
+  createdAt: { type: Date, default: Date.now }
+});
+const CustomerSession = mongoose.model('CustomerSession', CustomerSessionSchema);
+
+// Request counters for the 'mongo' rate limit store: one document per key and window.
+const RateLimitCounterSchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  windowStart: { type: Date, required: true },
+  count: { type: Number },
+  expiresAt: { type: Date, required: true, expires: 0 }
+});
+RateLimitCounterSchema.index({ key: 1, windowStart: 1 }, { unique: true });
+const RateLimitCounter = mongoose.model('RateLimitCounter', RateLimitCounterSchema);
+
+// Recently handled form submissions, so a repeat can be answered with the first response.
+const SubmissionSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true }, // Hash of who sent what, where
+  response: {
+    status: { type: Number },
+    body: { type: mongoose.Schema.Types.Mixed }
+  },
+  expiresAt: { type: Date, required: true, expires: 0 }
+});
+const Submission = mongoose.model('Submission', SubmissionSchema);
+
+// Shopping carts. Guests hold a random cart token (only its hash is stored); once a
+// customer logs in with it, the cart belongs to their account instead.
+const CART_DAYS = Number(process.env.CART_DAYS) || 30;
+const MAX_CART_QUANTITY = 99;
+
+const CartSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', index: true },
+  items: [{
+    id: { type: Number, required: true }, // The product's legacyId
+    variantId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    quantity: { type: Number, required: true, min: 1, max: MAX_CART_QUANTITY },
+    price: { type: Number, required: true, min: 0 }, // The unit price last shown to the shopper, to spot repricing
+    addedAt: { type: Date, default: Date.now }
+  }],
+  updatedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true, expires: 0 } // Abandoned carts are removed after CART_DAYS
+});
+CartSchema.pre('validate', function () {
+  this.updatedAt = new Date();
+  this.expiresAt = new Date(Date.now() + CART_DAYS * 24 * 60 * 60 * 1000);
+});
+const Cart = mongoose.model('Cart', CartSchema);
+
+// --- Admin Authentication ---
+const ADMIN_SESSION_HOURS = Number(process.env.ADMIN_SESSION_HOURS) || 12;
+const MIN_PASSWORD_LENGTH = 10;
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Hashes a password with scrypt and a random salt.
+ * @param {string} password - The plain-text password.
+ * @returns {Promise<string>} The salt and derived key, as "salt:hash" in hex.
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const derivedKey = await scrypt(password, salt, 64);
+    return `${salt}:${derivedKey.toString('hex')}`;
+}
+
+/**
+ * Checks a password against a hash produced by hashPassword, in constant time.
+ * @param {string} password - The plain-text password to check.
+ * @param {string} storedHash - The stored "salt:hash" string.
+ * @returns {Promise<boolean>} Whether the password matches.
+ */
+async function verifyPassword(password, storedHash) {
+    const [salt, hash] = storedHash.split(':');
+    const expected = Buffer.from(hash, 'hex');
+    const derivedKey = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, derivedKey);
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Reads the token from an "Authorization: Bearer <token>" header, if there is one.
+const getBearerToken = (req) => {
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+};
+
+// Escapes user input for use inside a RegExp / $regex.
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Middleware factory for admin routes. Expects an "Authorization: Bearer <token>" header
+ * from POST /api/admin/login. Owners pass every check; other admins need one of `roles`.
+ * On success the admin is available as req.admin and their email as req.actor.
+ * @param {...string} roles - The roles (besides owner) allowed on the route.
+ * @returns {Function} The Express middleware.
+ */
+const requireAdmin = (...roles) => async (req, res, next) => {
     try {
-        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
-            return res.status(400).json({ error: 'Invalid product ID format.' });
+        const token = getBearerToken(req);
+        if (!token) {
+            return res.status(401).json({ error: 'Unauthorized' });
         }
-        const product = await Product.findById(req.params.id);
-        if (!product) {
-            return res.status(404).json({ error: 'Product not found.' });
+        const session = await AdminSession.findOne({ tokenHash: hashToken(token), expiresAt: { $gt: new Date() } });
+        const admin = session && await Admin.findById(session.adminId);
+        if (!admin || !admin.active) {
+            return res.status(401).json({ error: 'Unauthorized' });
         }
-        res.json(product);
+        if (admin.role !== 'owner' && !roles.includes(admin.role)) {
+            return res.status(403).json({ error: 'You do not have permission to do this.' });
+        }
+        req.admin = admin;
+        req.adminSession = session;
+        req.actor = admin.email;
+        next();
     } catch (error) {
-        console.error('Error fetching single product:', error);
-        res.status(500).json({ error: 'Failed to fetch product.' });
+        console.error('Error checking admin session:', error);
+        res.status(500).json({ error: 'Failed to check admin session.' });
+    }
+};
+
+// --- Audit Log ---
+const AUDIT_IGNORED_FIELDS = ['__v', 'updatedAt'];
+const PRODUCT_RESTORE_DAYS = Number(process.env.PRODUCT_RESTORE_DAYS) || 90;
+
+// A plain copy of a document (or lean object) as the API would show it: ids and dates
+// become strings, and toJSON transforms drop secrets such as password hashes.
+const auditSnapshot = (doc) => doc == null ? undefined : JSON.parse(JSON.stringify(doc));
+
+/**
+ * Lists the fields that differ between two snapshots. Nested objects and arrays of
+ * subdocuments are compared field by field (e.g. "variants.1.price"); other arrays whole.
+ * @returns {Array<Object>} { field, before, after } for each change.
+ */
+function auditDiff(before, after, prefix = '') {
+    if (isDeepStrictEqual(before, after)) return [];
+    const isObject = (value) => value !== null && typeof value === 'object';
+    const isRecordArray = (value) => Array.isArray(value) && value.some(isObject);
+    const comparable = isObject(before) && isObject(after) && Array.isArray(before) === Array.isArray(after) &&
+        (!Array.isArray(before) || isRecordArray(before) || isRecordArray(after));
+    if (!comparable) return [{ field: prefix, before, after }];
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...keys]
+        .filter(key => !AUDIT_IGNORED_FIELDS.includes(key))
+        .flatMap(key => auditDiff(before[key], after[key], prefix ? `${prefix}.${key}` : key));
+}
+
+/**
+ * Records an admin change in the audit log. Call it after the change has been made, from a
+ * route behind requireAdmin. Outside a transaction a failure to write the entry is logged
+ * rather than thrown, as the change itself has already happened.
+ * @param {Object} req - The request, for the acting admin, IP and route (CLI commands pass
+ *   a stand-in with actor, method and path).
+ * @param {Object} entry - { action, entityType, entityId, before, after, note }. Leave out
+ *   `before` for creations and `after` for deletions; deletions keep a full snapshot.
+ * @param {Object} [session] - A transaction to write the entry in.
+ */
+async function recordAudit(req, { action, entityType, entityId, before, after, note }, session) {
+    const beforeSnapshot = auditSnapshot(before);
+    const entry = {
+        actor: req.actor,
+        actorId: req.admin && req.admin._id,
+        ip: req.ip,
+        method: req.method,
+        route: `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`,
+        action,
+        entityType,
+        entityId: entityId == null ? undefined : String(entityId),
+        changes: auditDiff(beforeSnapshot || {}, auditSnapshot(after) || {}),
+        snapshot: after === undefined ? beforeSnapshot : undefined,
+        note
+    };
+    if (session) {
+        await AuditLog.create([entry], { session });
+        return;
     }
+    try {
+        await AuditLog.create(entry);
+    } catch (error) {
+        console.error(`Could not write audit log entry for ${action} by ${req.actor}:`, error);
+    }
+}
+
+// --- Customer Authentication ---
+const CUSTOMER_SESSION_DAYS = Number(process.env.CUSTOMER_SESSION_DAYS) || 30;
+
+/**
+ * Loads the logged-in customer, if any, into req.customer. Never rejects the request,
+ * so it can sit in front of routes that also serve guests.
+ */
+const attachCustomer = async (req, res, next) => {
+    try {
+        const token = getBearerToken(req);
+        if (token) {
+            const session = await CustomerSession.findOne({ tokenHash: hashToken(token), expiresAt: { $gt: new Date() } });
+            if (session) {
+                req.customer = await Customer.findById(session.customerId);
+                req.customerSession = session;
+            }
+        }
+        next();
+    } catch (error) {
+        console.error('Error checking customer session:', error);
+        res.status(500).json({ error: 'Failed to check customer session.' });
+    }
+};
+
+// Like attachCustomer, but the route is only for logged-in customers.
+const requireCustomer = (req, res, next) => attachCustomer(req, res, () => {
+    if (!req.customer) {
+        return res.status(401).json({ error: 'Please log in to continue.' });
+    }
+    next();
 });
 
-app.post('/api/upload', adminAuth, upload.single('image'), (req, res) => {
-    if (!req.file) {
-        return res.status(400).json({ error: 'No file uploaded.' });
+/**
+ * Starts a verification for the customer's email address, saves the customer and
+ * emails them the link.
+ * @param {Object} customer - The customer document.
+ */
+async function startEmailVerification(customer) {
+    const token = crypto.randomBytes(32).toString('hex');
+    customer.emailVerificationTokenHash = hashToken(token);
+    await customer.save();
+    queueEmail(customer.email, 'emailVerification', customer, `${SITE_URL}/api/customers/verify-email?token=${token}`);
+}
+
+/**
+ * Links guest orders placed with this customer's email to their account. Only called
+ * once the email is verified, so nobody can claim someone else's orders.
+ * @param {Object} customer - A customer with a verified email.
+ * @returns {Promise<number>} How many orders were linked.
+ */
+async function linkGuestOrders(customer) {
+    const { modifiedCount } = await Order.updateMany(
+        { 'user.email': { $regex: `^${escapeRegex(customer.email)}$`, $options: 'i' }, customerId: { $exists: false } },
+        { customerId: customer._id }
+    );
+    return modifiedCount;
+}
+
+/**
+ * Whether the customer bought this product in an order that wasn't cancelled or refunded.
+ * @param {Object} customer - The reviewing customer, or undefined for a guest.
+ * @param {number} legacyId - The product's numeric id.
+ * @returns {Promise<boolean>} True if the review counts as a verified purchase.
+ */
+async function hasPurchased(customer, legacyId) {
+    if (!customer) return false;
+    const order = await Order.exists({
+        customerId: customer._id,
+        'items.id': legacyId,
+        status: { $nin: ['cancelled', 'refunded'] }
+    });
+    return Boolean(order);
+}
+
+// --- Abuse Protection ---
+// Public write endpoints are rate limited per IP and per identity (customer account or
+// email), can ask for a challenge token, and answer a repeated submission with the first
+// response instead of handling it again.
+//
+// Rate limit counters live in the store named by RATE_LIMIT_STORE. Each store implements:
+//   increment(key, windowMs) -> { count, resetAt }
+// 'memory' (the default) suits a single server; 'mongo' shares counters between servers.
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'memory';
+const rateLimitStores = new Map();
+
+const registerRateLimitStore = (name, store) => rateLimitStores.set(name, store);
+
+const memoryRateLimits = new Map();
+registerRateLimitStore('memory', {
+    async increment(key, windowMs) {
+        const now = Date.now();
+        let entry = memoryRateLimits.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            memoryRateLimits.set(key, entry);
+        }
+        entry.count++;
+        return { count: entry.count, resetAt: new Date(entry.resetAt) };
     }
-    // Return the public URL of the uploaded file
-    res.status(201).json({ url: `/uploads/${req.file.filename}` });
-}, (error, req, res, next) => {
-    // Multer error handler
-    res.status(400).json({ error: error.message });
 });
+// Forget finished windows now and then, so the map doesn't grow without bound
+setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of memoryRateLimits) {
+        if (entry.resetAt <= now) memoryRateLimits.delete(key);
+    }
+}, 60 * 1000).unref();
 
-app.post('/api/products', adminAuth, async (req, res) => {
-    try {
-        // Auto-increment legacyId
-        const lastProduct = await Product.findOne().sort({ legacyId: -1 });
-        const newLegacyId = lastProduct ? lastProduct.legacyId + 1 : 1;
+registerRateLimitStore('mongo', {
+    async increment(key, windowMs) {
+        // Fixed windows, so every request in the same window updates the same document
+        const windowStart = new Date(Math.floor(Date.now() / windowMs) * windowMs);
+        try {
+            const counter = await RateLimitCounter.findOneAndUpdate(
+                { key, windowStart },
+                { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(windowStart.getTime() + windowMs) } },
+                { upsert: true, new: true }
+            );
+            return { count: counter.count, resetAt: counter.expiresAt };
+        } catch (error) {
+            // Two first requests raced to create the document; the loser just counts again
+            if (error.code === 11000) return this.increment(key, windowMs);
+            throw error;
+        }
+    }
+});
 
-        const newProduct = new Product({
-            ...req.body,
-            legacyId: newLegacyId,
-            dateAdded: new Date()
+if (!rateLimitStores.has(RATE_LIMIT_STORE)) {
+    console.error(`FATAL ERROR: Unknown RATE_LIMIT_STORE "${RATE_LIMIT_STORE}".`);
+    process.exit(1);
+}
+
+// Requests allowed per window. Override one as RATE_LIMIT_<NAME>="<max>/<minutes>",
+// e.g. RATE_LIMIT_ORDERS="5/10".
+const RATE_LIMITS = {
+    orders: { max: 10, minutes: 15 },
+    reviews: { max: 5, minutes: 60 },
+    login: { max: 10, minutes: 15 },
+    signup: { max: 5, minutes: 60 },
+    emails: { max: 3, minutes: 60 },
+    coupons: { max: 20, minutes: 15 },
+    contact: { max: 5, minutes: 60 },
+    returns: { max: 5, minutes: 60 }
+};
+
+function rateLimitSettings(name) {
+    const override = /^(\d+)\/(\d+)$/.exec(process.env[`RATE_LIMIT_${name.toUpperCase()}`] || '');
+    const { max, minutes } = override ? { max: Number(override[1]), minutes: Number(override[2]) } : RATE_LIMITS[name];
+    return { max, windowMs: minutes * 60 * 1000 };
+}
+
+/**
+ * Middleware factory that limits how often a route can be used, counting separately per
+ * IP and per identity so neither a shared IP nor a rotating one gets around it. Put it
+ * after attachCustomer where there is one: logged-in customers are identified by account.
+ * @param {string} name - The limit to apply (a key of RATE_LIMITS).
+ * @param {Function} [identify] - Returns who a guest request claims to be (e.g. the email
+ *   in the body), or nothing to limit by IP alone.
+ * @returns {Function} The Express middleware.
+ */
+const rateLimit = (name, identify = () => null) => {
+    const { max, windowMs } = rateLimitSettings(name);
+    return async (req, res, next) => {
+        try {
+            const store = rateLimitStores.get(RATE_LIMIT_STORE);
+            const identity = req.customer ? `customer:${req.customer._id}` : identify(req);
+            const keys = [`${name}:ip:${req.ip}`];
+            if (identity) keys.push(`${name}:id:${String(identity).toLowerCase().trim()}`);
+            const counts = await Promise.all(keys.map(key => store.increment(key, windowMs)));
+            const exceeded = counts.filter(({ count }) => count > max);
+            if (exceeded.length > 0) {
+                const resetAt = Math.max(...exceeded.map(({ resetAt }) => resetAt.getTime()));
+                const retryAfter = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1);
+                res.set('Retry-After', String(retryAfter));
+                return res.status(429).json({ error: 'Too many requests. Please try again later.', details: { retryAfter } });
+            }
+            next();
+        } catch (error) {
+            // Better to let requests through than to turn everyone away while the store is down
+            console.error(`Error checking rate limit ${name}:`, error);
+            next();
+        }
+    };
+};
+
+// Review, order and contact forms include a hidden honeypot field that people never fill in, and
+// can be asked for a challenge token (e.g. a captcha) in `challengeToken`. The verifier is
+// chosen by CHALLENGE_PROVIDER and implements:
+//   verify(token, req) -> whether the token is good
+const HONEYPOT_FIELD = 'website';
+const CHALLENGE_PROVIDER = process.env.CHALLENGE_PROVIDER || 'none';
+const challengeVerifiers = new Map();
+
+const registerChallengeVerifier = (name, verifier) => challengeVerifiers.set(name, verifier);
+
+registerChallengeVerifier('none', { async verify() { return true; } });
+
+// Cloudflare Turnstile, with its secret key in TURNSTILE_SECRET_KEY.
+registerChallengeVerifier('turnstile', {
+    async verify(token, req) {
+        if (!token) return false;
+        const response = await fetch('https://challenges.cloudflare.com/turnstile/v0/siteverify', {
+            method: 'POST',
+            body: new URLSearchParams({ secret: process.env.TURNSTILE_SECRET_KEY || '', response: String(token), remoteip: req.ip })
         });
-        await newProduct.save();
-        res.status(201).json(newProduct);
-    } catch (error) {
-        console.error('Error creating product:', error);
-        res.status(400).json({ error: 'Failed to create product.', details: error.message });
+        const result = await response.json();
+        return result.success === true;
     }
 });
 
-app.put('/api/products/:id', adminAuth, async (req, res) => {
+if (!challengeVerifiers.has(CHALLENGE_PROVIDER)) {
+    console.error(`FATAL ERROR: Unknown CHALLENGE_PROVIDER "${CHALLENGE_PROVIDER}".`);
+    process.exit(1);
+}
+
+/**
+ * Middleware that turns away form submissions with the honeypot filled in or without a
+ * valid challenge token, then removes both fields from req.body.
+ */
+const requireHuman = async (req, res, next) => {
     try {
-        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
-            return res.status(400).json({ error: 'Invalid product ID format.' });
+        const { [HONEYPOT_FIELD]: honeypot, challengeToken, ...body } = req.body || {};
+        if (honeypot) {
+            console.warn(`Honeypot filled in on ${req.method} ${req.originalUrl} from ${req.ip}.`);
+            return res.status(400).json({ error: 'Your submission could not be accepted.' });
         }
-        const updatedProduct = await Product.findByIdAndUpdate(
-            req.params.id, 
-            req.body, 
-            { new: true, runValidators: true }
-        );
-        if (!updatedProduct) {
-            return res.status(404).json({ error: 'Product not found.' });
+        if (!(await challengeVerifiers.get(CHALLENGE_PROVIDER).verify(challengeToken, req))) {
+            return res.status(400).json({ error: 'Please complete the challenge and try again.' });
         }
-        res.json(updatedProduct);
+        req.body = body;
+        next();
     } catch (error) {
-        console.error('Error updating product:', error);
-        res.status(400).json({ error: 'Failed to update product.', details: error.message });
+        console.error('Error verifying challenge:', error);
+        res.status(500).json({ error: 'Failed to verify the submission.' });
+    }
+};
+
+/**
+ * Middleware factory that stops a submission being handled twice, e.g. after a double
+ * click or a retry on a slow connection. A repeat within the window gets the first
+ * response again, or a 409 while the first is still in progress. Clients may send an
+ * Idempotency-Key header; otherwise the same body from the same customer or IP counts as
+ * a repeat. Failed submissions aren't remembered, so they can be corrected and resent.
+ * @param {string} name - Which kind of submission this is.
+ * @param {number} minutes - How long a submission is remembered.
+ * @returns {Function} The Express middleware.
+ */
+const preventDuplicates = (name, minutes) => async (req, res, next) => {
+    const sender = req.customer ? `customer:${req.customer._id}` : `ip:${req.ip}`;
+    const fingerprint = req.get('Idempotency-Key') || JSON.stringify(req.body);
+    const key = crypto.createHash('sha256').update([name, sender, req.originalUrl, fingerprint].join('\n')).digest('hex');
+    try {
+        await Submission.create({ key, expiresAt: new Date(Date.now() + minutes * 60 * 1000) });
+    } catch (error) {
+        if (error.code !== 11000) {
+            console.error(`Error checking for duplicate ${name} submission:`, error);
+            return next();
+        }
+        const previous = await Submission.findOne({ key }).lean().catch(() => null);
+        if (previous && previous.response && previous.response.status) {
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(previous.response.status).json(previous.response.body);
+        }
+        return res.status(409).json({ error: 'This was already submitted and is still being processed.' });
+    }
+
+    // JSON responses are kept for replaying; the submission is settled once the response
+    // is over, however it ended
+    let responseBody;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        responseBody = JSON.parse(JSON.stringify(body ?? null));
+        return json(body);
+    };
+    let settled = false;
+    const settle = () => {
+        if (settled) return;
+        settled = true;
+        // A failure, a response that can't be replayed, or a connection dropped before the
+        // response was sent can be retried
+        const saved = res.writableFinished && res.statusCode < 400 && responseBody !== undefined
+            ? Submission.updateOne({ key }, { response: { status: res.statusCode, body: responseBody } })
+            : Submission.deleteOne({ key });
+        saved.catch(error => console.error(`Error recording ${name} submission:`, error));
+    };
+    res.on('finish', settle);
+    res.on('close', settle);
+    next();
+};
+
+// --- Email Notifications ---
+// Emails are rendered from a template, stored as an EmailJob and sent by a background
+// worker with retries, so a mail outage never fails the request that triggered it.
+// MAIL_TRANSPORT picks how they go out: 'smtp' in production, 'file' or 'console' locally.
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT || 'console';
+const MAIL_FROM = process.env.MAIL_FROM || 'Brundavanam Goshala <no-reply@goshala.local>';
+const ADMIN_NOTIFY_EMAIL = process.env.ADMIN_NOTIFY_EMAIL;
+const SITE_URL = process.env.SITE_URL || `http://localhost:${PORT}`;
+const MAIL_OUTBOX_DIR = path.join(__dirname, 'mail-outbox');
+const EMAIL_MAX_ATTEMPTS = 5;
+const EMAIL_WORKER_INTERVAL_MS = 10 * 1000;
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => (
+    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+));
+const formatRupees = (amount) => `₹${Number(amount || 0).toFixed(2)}`;
+
+// Wraps an email body in the shop's letterhead.
+const emailLayout = (title, body) => `<!DOCTYPE html><html><body style="font-family: Arial, sans-serif; color: #292524;">
+<h2 style="color: #166534;">Brundavanam Goshala</h2>
+<h3>${escapeHtml(title)}</h3>
+${body}
+<p style="color: #78716c; font-size: 12px;">Thank you for supporting the care of our Gomata.</p>
+</body></html>`;
+
+// An order line's name with its variant, e.g. "Desi Cow Ghee (Size: 500ml)".
+const orderItemName = (item) => item.variant ? `${item.name} (${item.variant})` : item.name;
+
+const returnItemsText = (returnRequest) => returnRequest.items.map(item => `${item.quantity} x ${orderItemName(item)}`).join('\n');
+
+const orderItemsTable = (order) => `<table cellpadding="6" style="border-collapse: collapse; width: 100%;">
+<tr style="background: #f5f5f4;"><th align="left">Item</th><th align="right">Qty</th><th align="right">Price</th><th align="right">Total</th></tr>
+${order.items.map(item => `<tr><td>${escapeHtml(orderItemName(item))}</td><td align="right">${item.quantity}</td><td align="right">${formatRupees(item.price)}</td><td align="right">${formatRupees(item.price * item.quantity)}</td></tr>`).join('\n')}
+${order.discount ? `<tr><td colspan="3" align="right">Discount${order.coupon && order.coupon.code ? ` (${escapeHtml(order.coupon.code)})` : ''}</td><td align="right">-${formatRupees(order.discount)}</td></tr>` : ''}
+${order.shipping && order.shipping.zoneName ? `<tr><td colspan="3" align="right">Shipping</td><td align="right">${order.shipping.charge ? formatRupees(order.shipping.charge) : 'FREE'}</td></tr>` : ''}
+<tr><td colspan="3" align="right"><strong>Total</strong></td><td align="right"><strong>${formatRupees(order.total)}</strong></td></tr>
+</table>`;
+
+const orderItemsText = (order) => order.items.map(item => `- ${item.quantity} x ${orderItemName(item)} @ ${formatRupees(item.price)}`).join('\n') +
+    (order.discount ? `\nDiscount: -${formatRupees(order.discount)}` : '') +
+    (order.shipping && order.shipping.zoneName ? `\nShipping: ${order.shipping.charge ? formatRupees(order.shipping.charge) : 'FREE'}` : '') +
+    `\nTotal: ${formatRupees(order.total)}`;
+
+// "between 12 and 14 Oct" style text for an order's delivery estimate ('' if it has none).
+const deliveryEstimateText = (order) => {
+    const estimate = order.shipping && order.shipping.estimatedDelivery;
+    if (!estimate || !estimate.from) return '';
+    const format = (date) => new Date(`${date}T00:00:00Z`).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', timeZone: 'UTC' });
+    return estimate.from === estimate.to ? `on ${format(estimate.from)}` : `between ${format(estimate.from)} and ${format(estimate.to)}`;
+};
+
+// Each template returns { subject, html, text }.
+const emailTemplates = {
+    emailVerification: (customer, link) => ({
+        subject: 'Please verify your email address',
+        html: emailLayout('Verify your email', `<p>Namaste ${escapeHtml(customer.name)},</p>
+<p>Please confirm your email address so we can link your orders to your account:</p>
+<p><a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p>`),
+        text: `Namaste ${customer.name},\n\nPlease confirm your email address so we can link your orders to your account:\n${link}`
+    }),
+    orderConfirmation: (order) => ({
+        subject: `Order confirmation ${order.orderId}`,
+        html: emailLayout(`Thank you for your order, ${order.user.firstname}!`, `<p>Your order <strong>${escapeHtml(order.orderId)}</strong> has been received.</p>
+${orderItemsTable(order)}
+${deliveryEstimateText(order) ? `<p>Expected delivery ${escapeHtml(deliveryEstimateText(order))}.</p>` : ''}
+<p>It will be delivered to:<br>${escapeHtml(order.user.address1)}${order.user.address2 ? `, ${escapeHtml(order.user.address2)}` : ''}<br>${escapeHtml(order.user.city)}, ${escapeHtml(order.user.state)} ${escapeHtml(order.user.zip)}</p>`),
+        text: `Thank you for your order, ${order.user.firstname}!\n\nOrder ${order.orderId}\n${orderItemsText(order)}` +
+            (deliveryEstimateText(order) ? `\n\nExpected delivery ${deliveryEstimateText(order)}.` : '')
+    }),
+    orderStatusChanged: (order) => {
+        const tracking = order.status === 'shipped' && order.shipment && order.shipment.trackingNumber
+            ? ` Tracking number: ${order.shipment.trackingNumber}${order.shipment.carrier ? ` (${order.shipment.carrier})` : ''}.`
+            : '';
+        return {
+            subject: `Your order ${order.orderId} is now ${order.status}`,
+            html: emailLayout(`Order ${order.orderId} update`, `<p>Namaste ${escapeHtml(order.user.firstname)},</p>
+<p>Your order is now <strong>${escapeHtml(order.status)}</strong>.${escapeHtml(tracking)}</p>
+${order.shipment && order.shipment.trackingUrl && order.status === 'shipped' ? `<p><a href="${escapeHtml(order.shipment.trackingUrl)}">Track your parcel</a></p>` : ''}`),
+            text: `Namaste ${order.user.firstname},\n\nYour order ${order.orderId} is now ${order.status}.${tracking}`
+        };
+    },
+    adminNewOrder: (order) => ({
+        subject: `New order ${order.orderId} – ${formatRupees(order.total)}`,
+        html: emailLayout('New order received', `<p>${escapeHtml(order.user.firstname)} ${escapeHtml(order.user.lastname)} (${escapeHtml(order.user.email)}, ${escapeHtml(order.user.phone)}) placed order <strong>${escapeHtml(order.orderId)}</strong>.</p>
+${orderItemsTable(order)}
+<p>Payment: ${escapeHtml(order.payment ? order.payment.method : 'cod')}</p>`),
+        text: `New order ${order.orderId} from ${order.user.firstname} ${order.user.lastname} (${order.user.email})\n${orderItemsText(order)}`
+    }),
+    adminRefundDue: (order) => ({
+        subject: `Refund due on cancelled order ${order.orderId} – ${formatRupees(order.total)}`,
+        html: emailLayout('Refund due', `<p>Order <strong>${escapeHtml(order.orderId)}</strong> is cancelled, but its online payment of ${formatRupees(order.total)} was received${order.payment.provider ? ` through ${escapeHtml(order.payment.provider)}` : ''}.</p>
+<p>Refund the payment, then mark the order refunded.</p>`),
+        text: `Order ${order.orderId} is cancelled, but its online payment of ${formatRupees(order.total)} was received${order.payment.provider ? ` through ${order.payment.provider}` : ''}. Refund the payment, then mark the order refunded.`
+    }),
+    adminNewReview: (product, review) => ({
+        subject: `New review for ${product.name}`,
+        html: emailLayout('New review posted', `<p><strong>${escapeHtml(review.username)}</strong> reviewed <strong>${escapeHtml(product.name)}</strong>${review.rating ? ` (${review.rating}/5)` : ''}:</p>
+<blockquote>${escapeHtml(review.comment)}</blockquote>
+<p>Verified purchase: ${review.verifiedPurchase ? 'yes' : 'no'}</p>`),
+        text: `${review.username} reviewed ${product.name}${review.rating ? ` (${review.rating}/5)` : ''}:\n\n${review.comment}`
+    }),
+    adminNewContactMessage: (message) => ({
+        subject: `New enquiry: ${message.subject}`,
+        html: emailLayout('New message from the contact form', `<p><strong>${escapeHtml(message.name)}</strong> (${escapeHtml(message.email)})${message.orderId ? ` about order <strong>${escapeHtml(message.orderId)}</strong>` : ''} wrote:</p>
+<p><strong>${escapeHtml(message.subject)}</strong></p>
+<blockquote style="white-space: pre-wrap;">${escapeHtml(message.message)}</blockquote>`),
+        text: `${message.name} (${message.email})${message.orderId ? ` about order ${message.orderId}` : ''} wrote:\n\n${message.subject}\n\n${message.message}`
+    }),
+    contactReply: (message, reply) => ({
+        subject: `Re: ${message.subject}`,
+        html: emailLayout(`Re: ${message.subject}`, `<p>Namaste ${escapeHtml(message.name)},</p>
+<p style="white-space: pre-wrap;">${escapeHtml(reply.body)}</p>
+<hr>
+<p style="color: #78716c;">You wrote:</p>
+<blockquote style="color: #78716c; white-space: pre-wrap;">${escapeHtml(message.message)}</blockquote>`),
+        text: `Namaste ${message.name},\n\n${reply.body}\n\n---\nYou wrote:\n${message.message}`
+    }),
+    returnRequested: (returnRequest) => ({
+        subject: `Return request ${returnRequest.returnId} received`,
+        html: emailLayout(`Return request ${returnRequest.returnId}`, `<p>We have received your request to return these items from order <strong>${escapeHtml(returnRequest.orderId)}</strong>:</p>
+<p style="white-space: pre-wrap;">${escapeHtml(returnItemsText(returnRequest))}</p>
+<p>We will look into it and email you once it has been reviewed.</p>`),
+        text: `We have received your request to return these items from order ${returnRequest.orderId}:\n${returnItemsText(returnRequest)}\n\nWe will look into it and email you once it has been reviewed.`
+    }),
+    adminNewReturn: (returnRequest) => ({
+        subject: `Return request ${returnRequest.returnId} for order ${returnRequest.orderId}`,
+        html: emailLayout('New return request', `<p>${escapeHtml(returnRequest.email)} wants to return items from order <strong>${escapeHtml(returnRequest.orderId)}</strong> (${escapeHtml(returnRequest.reason)}):</p>
+<p style="white-space: pre-wrap;">${escapeHtml(returnItemsText(returnRequest))}</p>
+${returnRequest.comments ? `<blockquote style="white-space: pre-wrap;">${escapeHtml(returnRequest.comments)}</blockquote>` : ''}
+<p>${returnRequest.photos.length} photo(s) attached.</p>`),
+        text: `${returnRequest.email} wants to return items from order ${returnRequest.orderId} (${returnRequest.reason}):\n${returnItemsText(returnRequest)}` +
+            (returnRequest.comments ? `\n\n${returnRequest.comments}` : '')
+    }),
+    returnResolved: (returnRequest) => {
+        const outcome = returnRequest.status === 'approved'
+            ? `Your return ${returnRequest.returnId} has been approved, and a refund of ${formatRupees(returnRequest.refundAmount)} has been recorded.`
+            : `We are sorry, but your return ${returnRequest.returnId} could not be accepted.`;
+        return {
+            subject: `Your return ${returnRequest.returnId} has been ${returnRequest.status}`,
+            html: emailLayout(`Return ${returnRequest.returnId}`, `<p>${escapeHtml(outcome)}</p>
+${returnRequest.resolutionNote ? `<p style="white-space: pre-wrap;">${escapeHtml(returnRequest.resolutionNote)}</p>` : ''}`),
+            text: outcome + (returnRequest.resolutionNote ? `\n\n${returnRequest.resolutionNote}` : '')
+        };
+    }
+};
+
+const mailTransports = {
+    console: {
+        async send(message) {
+            console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+        }
+    },
+    file: {
+        async send(message) {
+            await fs.mkdir(MAIL_OUTBOX_DIR, { recursive: true });
+            const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, '_')}.html`;
+            await fs.writeFile(path.join(MAIL_OUTBOX_DIR, fileName), `<!-- To: ${message.to} | Subject: ${message.subject} -->\n${message.html}`);
+        }
+    },
+    smtp: {
+        transporter: null,
+        async send(message) {
+            if (!this.transporter) {
+                this.transporter = nodemailer.createTransport({
+                    host: process.env.SMTP_HOST,
+                    port: Number(process.env.SMTP_PORT) || 587,
+                    secure: process.env.SMTP_SECURE === 'true',
+                    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+                });
+            }
+            await this.transporter.sendMail({ from: MAIL_FROM, ...message });
+        }
+    }
+};
+
+/**
+ * Renders a template and queues it for sending. Never throws: a failure to queue is
+ * logged, since notifications must not break the request that triggered them.
+ * @param {string} to - The recipient's address (nothing is queued if empty).
+ * @param {string} template - A key of emailTemplates.
+ * @param {...*} args - Passed to the template.
+ */
+async function queueEmail(to, template, ...args) {
+    if (!to) return;
+    try {
+        const { subject, html, text } = emailTemplates[template](...args);
+        await EmailJob.create({ to, subject, html, text, template });
+    } catch (error) {
+        console.error(`Could not queue ${template} email to ${to}:`, error);
+    }
+}
+
+/**
+ * Sends every email that is due. Jobs are claimed one at a time with an atomic update,
+ * so a crashed or overlapping run can't send the same email twice; jobs left 'sending'
+ * by a crash are picked up again once their lock expires. Failures back off
+ * exponentially and give up after EMAIL_MAX_ATTEMPTS.
+ */
+async function processEmailQueue() {
+    const transport = mailTransports[MAIL_TRANSPORT];
+    if (!transport) {
+        console.error(`Unknown MAIL_TRANSPORT "${MAIL_TRANSPORT}". Emails will stay queued.`);
+        return;
+    }
+
+    for (;;) {
+        const now = new Date();
+        const job = await EmailJob.findOneAndUpdate(
+            { $or: [
+                { status: 'pending', nextAttemptAt: { $lte: now } },
+                { status: 'sending', lockedUntil: { $lt: now } }
+            ] },
+            { status: 'sending', lockedUntil: new Date(now.getTime() + 5 * 60 * 1000), $inc: { attempts: 1 } },
+            { new: true, sort: { nextAttemptAt: 1 } }
+        );
+        if (!job) return;
+
+        try {
+            await transport.send({ to: job.to, subject: job.subject, html: job.html, text: job.text });
+            await EmailJob.updateOne({ _id: job._id }, { status: 'sent', sentAt: new Date(), $unset: { lockedUntil: 1 } });
+        } catch (error) {
+            const giveUp = job.attempts >= EMAIL_MAX_ATTEMPTS;
+            const retryInMs = Math.pow(2, job.attempts) * 60 * 1000; // 2, 4, 8, 16 minutes
+            await EmailJob.updateOne({ _id: job._id }, {
+                status: giveUp ? 'failed' : 'pending',
+                nextAttemptAt: new Date(Date.now() + retryInMs),
+                lastError: error.message,
+                $unset: { lockedUntil: 1 }
+            });
+            console.error(`Sending email ${job._id} to ${job.to} failed (attempt ${job.attempts}${giveUp ? ', giving up' : ''}):`, error.message);
+        }
+    }
+}
+
+function startEmailWorker() {
+    let running = false;
+    setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            await processEmailQueue();
+        } catch (error) {
+            console.error('Email worker error:', error);
+        } finally {
+            running = false;
+        }
+    }, EMAIL_WORKER_INTERVAL_MS);
+    console.log(`Email worker started using the '${MAIL_TRANSPORT}' transport.`);
+}
+
+// --- Inventory Helpers ---
+const LOW_STOCK_THRESHOLD = 5;
+
+/**
+ * Describes the availability of a variant, or of a product as a whole (the units across
+ * all its variants, which counts as untracked if any variant is untracked).
+ * @param {Object} item - A variant, or a product document or lean object.
+ * @returns {Object} The stock status and, when running low, how many units are left.
+ */
+function getStockInfo(item) {
+    const variants = Array.isArray(item.variants) ? item.variants : [item];
+    if (variants.length === 0 || variants.some(v => typeof v.stock !== 'number')) return { stockStatus: 'in_stock' };
+    const stock = variants.reduce((sum, v) => sum + v.stock, 0);
+    if (stock <= 0) return { stockStatus: 'out_of_stock', stockLeft: 0 };
+    if (stock <= LOW_STOCK_THRESHOLD) return { stockStatus: 'low_stock', stockLeft: stock };
+    return { stockStatus: 'in_stock' };
+}
+
+// How a variant is shown next to the product name, e.g. "Size: 500ml" ('' for a default variant).
+const variantLabel = (variant) => {
+    if (!variant || !variant.optionValue) return '';
+    return variant.optionName ? `${variant.optionName}: ${variant.optionValue}` : variant.optionValue;
+};
+
+/**
+ * Finds one of a product's variants by its id or SKU. Without a reference, a product
+ * with a single variant resolves to that variant.
+ * @param {Object} product - A product document or lean object.
+ * @param {string} [ref] - A variant id or SKU.
+ * @returns {Object|undefined} The variant, if found.
+ */
+function findVariant(product, ref) {
+    const variants = product.variants || [];
+    if (ref === undefined || ref === null || ref === '') return variants.length === 1 ? variants[0] : undefined;
+    const key = String(ref);
+    return variants.find(v => String(v._id) === key || v.sku === key.toUpperCase());
+}
+
+/**
+ * Atomically takes stock for each order line. Each decrement only succeeds if enough
+ * units of the variant remain, so concurrent checkouts can never push stock below zero.
+ * All lines are reserved in a single transaction: if any line cannot be reserved, or the
+ * reservation is interrupted, none of them are.
+ * @param {Array} lineItems - Priced line items ({ id, variantId, sku, name, quantity }).
+ * @param {string} orderId - The order the stock is reserved for.
+ * @returns {Promise<Array>} The lines that could not be reserved (empty on success).
+ */
+async function reserveStock(lineItems, orderId) {
+    const session = await mongoose.startSession();
+    let unavailable = [];
+    try {
+        await session.withTransaction(async () => {
+            const reserved = [];
+            unavailable = [];
+            for (const item of lineItems) {
+                const product = await Product.findOneAndUpdate(
+                    { legacyId: item.id, variants: { $elemMatch: { _id: item.variantId, stock: { $gte: item.quantity } } } },
+                    { $inc: { 'variants.$.stock': -item.quantity } },
+                    { new: true, session }
+                );
+                if (product) {
+                    reserved.push({ item, product });
+                    continue;
+                }
+                // The update can also miss because the variant doesn't track stock at all
+                const current = await Product.findOne({ legacyId: item.id }).session(session).lean();
+                const variant = current && findVariant(current, item.variantId);
+                if (variant && typeof variant.stock !== 'number') continue;
+                unavailable.push({
+                    id: item.id,
+                    variantId: item.variantId,
+                    sku: item.sku,
+                    name: item.name,
+                    requested: item.quantity,
+                    available: variant ? variant.stock : 0
+                });
+            }
+
+            if (unavailable.length > 0) {
+                await session.abortTransaction();
+                return;
+            }
+            await StockMovement.insertMany(reserved.map(({ item, product }) => ({
+                productId: product._id,
+                variantId: item.variantId,
+                sku: item.sku,
+                change: -item.quantity,
+                stockAfter: product.variants.id(item.variantId).stock,
+                reason: 'Order placed',
+                orderId
+            })), { session });
+        });
+    } finally {
+        await session.endSession();
+    }
+    return unavailable;
+}
+
+/**
+ * Returns the units of an order's items to stock, e.g. when the order is cancelled.
+ * Variants that don't track stock (or no longer exist) are skipped.
+ * @param {Array} items - The order's items ({ id, variantId, quantity }).
+ * @param {string} orderId - The order the stock came from.
+ * @param {string} reason - Why the stock is being returned.
+ */
+async function releaseStock(items, orderId, reason) {
+    for (const item of items) {
+        let variantId = item.variantId;
+        if (!variantId) {
+            // Ordered before variants existed: that stock now lives on the product's first variant
+            const current = await Product.findOne({ legacyId: item.id }, { 'variants._id': 1 }).lean();
+            variantId = current && current.variants && current.variants[0] && current.variants[0]._id;
+            if (!variantId) continue;
+        }
+        const product = await Product.findOneAndUpdate(
+            { legacyId: item.id, variants: { $elemMatch: { _id: variantId, stock: { $type: 'number' } } } },
+            { $inc: { 'variants.$.stock': item.quantity } },
+            { new: true }
+        );
+        if (!product) continue;
+        const variant = product.variants.id(variantId);
+        await StockMovement.create({
+            productId: product._id,
+            variantId,
+            sku: variant.sku,
+            change: item.quantity,
+            stockAfter: variant.stock,
+            reason,
+            orderId
+        });
+    }
+}
+
+// --- Price Rules ---
+// Sales are applied by changing the variants' prices, so carts, checkout, search and
+// invoices all see the sale price without knowing about sales. Every price change, by
+// an admin, an import or a sale, is kept in the price history.
+const DEFAULT_SALE_TAG = 'Limited time deal';
+const PRICE_LOW_DAYS = 30; // Window for the "lowest price" shown next to a sale price
+const PRICE_RULE_WORKER_INTERVAL_MS = 60 * 1000;
+// A sale still applying after this long was being started by a server that died; another takes it over
+const PRICE_RULE_APPLY_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Records the price history for every variant whose price or originalPrice differs
+ * between two versions of a product.
+ * @param {Object|null} before - The product before the change (null for a new product).
+ * @param {Object} after - The product after it.
+ * @param {Object} change - { source, actor, ruleId }.
+ * @param {Object} [session] - A transaction session to write in.
+ */
+async function recordPriceChanges(before, after, { source, actor, ruleId }, session) {
+    const previous = new Map(((before && before.variants) || []).map(v => [String(v._id), v]));
+    const entries = (after.variants || []).flatMap(variant => {
+        const old = previous.get(String(variant._id));
+        if (old && old.price === variant.price && (old.originalPrice ?? null) === (variant.originalPrice ?? null)) return [];
+        return [{
+            productId: after._id,
+            variantId: variant._id,
+            sku: variant.sku,
+            price: variant.price,
+            originalPrice: variant.originalPrice,
+            previousPrice: old ? old.price : undefined,
+            source,
+            ruleId,
+            changedBy: actor
+        }];
+    });
+    if (entries.length > 0) await PriceHistory.insertMany(entries, { session });
+}
+
+// The price of a variant during a sale, or null if the sale wouldn't make it cheaper
+function salePrice(rule, price) {
+    const discounted = rule.type === 'percentage' ? Math.round(price * (100 - rule.value)) / 100 : price - rule.value;
+    const rounded = roundCurrency(discounted);
+    return rounded > 0 && rounded < price ? rounded : null;
+}
+
+/**
+ * Starts a sale: lowers the prices of the variants it covers and marks their products.
+ * Products already in another sale are left out, as are products the discount wouldn't
+ * make cheaper; both are listed in the rule's `skipped`. The products and the rule are
+ * written in a single transaction, so a sale is never left half applied: if this is
+ * interrupted, the rule stays `applying` and the worker starts it again.
+ * @param {Object} rule - The price rule, as claimed by the worker (marked applying).
+ */
+async function applyPriceRule(rule) {
+    const actor = `price-rule:${rule._id}`;
+    const session = await mongoose.startSession();
+    let started = null;
+    try {
+        await session.withTransaction(async () => {
+            const applied = [];
+            const skipped = [];
+            const products = await Product.find({
+                archived: { $ne: true },
+                $or: [{ legacyId: { $in: rule.scope.productIds } }, { category: { $in: rule.scope.categories } }]
+            }).session(session);
+            for (const product of products) {
+                if (product.sale && product.sale.ruleId) {
+                    skipped.push({ productId: product.legacyId, reason: `Already in the sale "${product.sale.name}".` });
+                    continue;
+                }
+                const before = auditSnapshot(product);
+                const changes = [];
+                for (const variant of product.variants) {
+                    const price = salePrice(rule, variant.price);
+                    if (price === null) continue;
+                    changes.push({ productId: product.legacyId, variantId: variant._id, price: variant.price, originalPrice: variant.originalPrice, salePrice: price });
+                    variant.originalPrice = Math.max(variant.originalPrice || 0, variant.price); // Shown struck through
+                    variant.price = price;
+                }
+                if (changes.length === 0) {
+                    skipped.push({ productId: product.legacyId, reason: 'The discount would not lower any of its prices.' });
+                    continue;
+                }
+                product.sale = { ruleId: rule._id, name: rule.name, tag: rule.tag, endsAt: rule.endsAt };
+                await product.save({ session });
+                applied.push(...changes);
+                await recordPriceChanges(before, product, { source: 'price_rule', actor, ruleId: rule._id }, session);
+            }
+            // Only while our claim holds: the rule may have been cancelled, or taken over
+            // by another server after a timeout, in the meantime
+            started = await PriceRule.findOneAndUpdate(
+                { _id: rule._id, status: 'applying', appliedAt: rule.appliedAt },
+                { $set: { status: 'active', applied, skipped } },
+                { session, new: true }
+            );
+            if (!started) await session.abortTransaction();
+        });
+    } finally {
+        await session.endSession();
+    }
+    if (started) console.log(`Sale "${rule.name}" started on ${started.applied.length} variants.`);
+}
+
+/**
+ * Puts back the prices a sale replaced on one product. A variant whose price was changed
+ * by hand during the sale keeps that price.
+ * @param {Object} product - The product document.
+ * @param {Object|null} rule - The price rule (null if it no longer exists).
+ * @param {Object} [session] - The transaction to write in, if any.
+ */
+async function revertSalePrices(product, rule, session) {
+    const before = auditSnapshot(product);
+    const entries = rule ? rule.applied.filter(entry => entry.productId === product.legacyId) : [];
+    for (const entry of entries) {
+        const variant = product.variants.id(entry.variantId);
+        if (!variant || variant.price !== entry.salePrice) continue;
+        variant.price = entry.price;
+        variant.originalPrice = entry.originalPrice ?? undefined;
+    }
+    product.sale = undefined;
+    await product.save({ session });
+    await recordPriceChanges(before, product, { source: 'price_rule', actor: rule ? `price-rule:${rule._id}` : 'price-rule', ruleId: rule ? rule._id : undefined }, session);
+}
+
+/**
+ * Ends or cancels a sale and gives every product it was applied to its old prices back.
+ * The rule and the products are written in a single transaction, so if this is
+ * interrupted the rule keeps its status and the worker (or the admin) can end it again.
+ * @param {Object} filter - Matches the rule while it can still be ended.
+ * @param {string} status - `ended` or `cancelled`.
+ * @returns {Promise<{before: Object, rule: Object}|null>} The rule before and after, or null if the filter matched nothing.
+ */
+async function endPriceRule(filter, status) {
+    const session = await mongoose.startSession();
+    let result = null;
+    let reverted = 0;
+    try {
+        await session.withTransaction(async () => {
+            result = null;
+            const before = await PriceRule.findOneAndUpdate(filter, { $set: { status, endedAt: new Date() } }, { session });
+            if (!before) return;
+            const rule = await PriceRule.findById(before._id).session(session);
+            // A sale still applying is abandoned by its transaction, so has nothing to revert
+            const products = await Product.find({ 'sale.ruleId': rule._id }).session(session);
+            for (const product of products) {
+                await revertSalePrices(product, rule, session);
+            }
+            reverted = products.length;
+            result = { before, rule };
+        });
+    } finally {
+        await session.endSession();
+    }
+    if (result && result.before.status === 'active') console.log(`Sale "${result.rule.name}" ${status} on ${reverted} products.`);
+    return result;
+}
+
+// Starts and ends sales that are due. Each rule is claimed with an atomic status change,
+// so running this from several servers at once is safe. Needs a MongoDB replica set,
+// as sales are applied and ended in transactions.
+async function processPriceRules() {
+    const now = new Date();
+    // Sales whose whole window passed while the server was down never start
+    await PriceRule.updateMany({ status: 'scheduled', endsAt: { $lte: now } }, { $set: { status: 'ended', endedAt: now } });
+
+    // Ending sales first frees their products for any sale starting at the same time
+    let ended;
+    do {
+        ended = await endPriceRule({ status: 'active', endsAt: { $lte: now } }, 'ended');
+    } while (ended);
+    let rule;
+    const abandoned = new Date(now.getTime() - PRICE_RULE_APPLY_TIMEOUT_MS);
+    while ((rule = await PriceRule.findOneAndUpdate(
+        { $or: [{ status: 'scheduled', startsAt: { $lte: now } }, { status: 'applying', appliedAt: { $lt: abandoned } }] },
+        { $set: { status: 'applying', appliedAt: now } },
+        { new: true }
+    ))) {
+        await applyPriceRule(rule);
+    }
+}
+
+function startPriceRuleWorker() {
+    let running = false;
+    const run = async () => {
+        if (running) return;
+        running = true;
+        try {
+            await processPriceRules();
+        } catch (error) {
+            console.error('Price rule worker error:', error);
+        } finally {
+            running = false;
+        }
+    };
+    run();
+    setInterval(run, PRICE_RULE_WORKER_INTERVAL_MS);
+    console.log('Price rule worker started.');
+}
+
+// --- Admin Account Endpoints ---
+app.post('/api/admin/login', rateLimit('login', req => req.body && req.body.email), async (req, res) => {
+    try {
+        const { email, password } = req.body;
+        if (!email || !password) {
+            return res.status(400).json({ error: 'Email and password are required.' });
+        }
+        const admin = await Admin.findOne({ email: String(email).toLowerCase().trim() });
+        // Same response for an unknown email and a wrong password, so accounts can't be probed
+        if (!admin || !admin.active || !(await verifyPassword(String(password), admin.passwordHash))) {
+            return res.status(401).json({ error: 'Invalid email or password.' });
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + ADMIN_SESSION_HOURS * 60 * 60 * 1000);
+        await AdminSession.create({ tokenHash: hashToken(token), adminId: admin._id, expiresAt });
+        admin.lastLoginAt = new Date();
+        await admin.save();
+
+        console.log(`Admin ${admin.email} logged in.`);
+        res.json({ token, expiresAt, admin });
+    } catch (error) {
+        console.error('Error logging in admin:', error);
+        res.status(500).json({ error: 'Failed to log in.' });
+    }
+});
+
+app.post('/api/admin/logout', requireAdmin(...ADMIN_ROLES), async (req, res) => {
+    try {
+        await AdminSession.deleteOne({ _id: req.adminSession._id });
+        res.json({ message: 'Logged out successfully.' });
+    } catch (error) {
+        console.error('Error logging out admin:', error);
+        res.status(500).json({ error: 'Failed to log out.' });
+    }
+});
+
+app.get('/api/admin/me', requireAdmin(...ADMIN_ROLES), (req, res) => {
+    res.json(req.admin);
+});
+
+app.get('/api/admin/users', requireAdmin(), async (req, res) => {
+    try {
+        const admins = await Admin.find().sort({ createdAt: 1 });
+        res.json(admins);
+    } catch (error) {
+        console.error('Error fetching admin users:', error);
+        res.status(500).json({ error: 'Failed to fetch admin users.' });
+    }
+});
+
+app.post('/api/admin/users', requireAdmin(), async (req, res) => {
+    try {
+        const { email, name, password, role } = req.body;
+        if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+        }
+        const admin = await Admin.create({ email, name, role, passwordHash: await hashPassword(String(password)) });
+        console.log(`Admin ${admin.email} (${admin.role}) created by ${req.actor}.`);
+        await recordAudit(req, { action: 'admin.create', entityType: 'admin', entityId: admin._id, after: admin });
+        res.status(201).json(admin);
+    } catch (error) {
+        console.error('Error creating admin user:', error);
+        res.status(400).json({ error: 'Failed to create admin user.', details: error.message });
+    }
+});
+
+// Owners can change another admin's name, role, active flag or password.
+app.put('/api/admin/users/:id', requireAdmin(), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid admin ID format.' });
+        }
+        const { name, role, active, password } = req.body;
+        const admin = await Admin.findById(req.params.id);
+        if (!admin) {
+            return res.status(404).json({ error: 'Admin user not found.' });
+        }
+        if (admin._id.equals(req.admin._id) && ((role && role !== 'owner') || active === false)) {
+            return res.status(400).json({ error: 'You cannot demote or deactivate your own account.' });
+        }
+        if (password !== undefined && String(password).length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+        }
+
+        const before = auditSnapshot(admin);
+        if (name !== undefined) admin.name = name;
+        if (role !== undefined) admin.role = role;
+        if (active !== undefined) admin.active = Boolean(active);
+        if (password !== undefined) admin.passwordHash = await hashPassword(String(password));
+        await admin.save();
+
+        // Changed credentials or a deactivated account shouldn't leave old sessions running
+        if (password !== undefined || admin.active === false) {
+            await AdminSession.deleteMany({ adminId: admin._id });
+        }
+        await recordAudit(req, {
+            action: 'admin.update',
+            entityType: 'admin',
+            entityId: admin._id,
+            before,
+            after: admin,
+            note: password !== undefined ? 'Password changed.' : undefined // The hash itself is never logged
+        });
+        res.json(admin);
+    } catch (error) {
+        console.error('Error updating admin user:', error);
+        res.status(400).json({ error: 'Failed to update admin user.', details: error.message });
+    }
+});
+
+// --- Customer Account Endpoints ---
+app.post('/api/customers/register', rateLimit('signup', req => req.body && req.body.email), async (req, res) => {
+    try {
+        const { email, name, phone, password } = req.body;
+        if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+        }
+        if (email && await Customer.exists({ email: String(email).toLowerCase().trim() })) {
+            return res.status(409).json({ error: 'An account with this email already exists.' });
+        }
+
+        const customer = new Customer({ email, name, phone, passwordHash: await hashPassword(String(password)) });
+        await startEmailVerification(customer);
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + CUSTOMER_SESSION_DAYS * 24 * 60 * 60 * 1000);
+        await CustomerSession.create({ tokenHash: hashToken(token), customerId: customer._id, expiresAt });
+        res.status(201).json({ token, expiresAt, customer });
+    } catch (error) {
+        console.error('Error registering customer:', error);
+        res.status(400).json({ error: 'Failed to register.', details: error.message });
+    }
+});
+
+app.post('/api/customers/login', rateLimit('login', req => req.body && req.body.email), async (req, res) => {
+    try {
+        const { email, password } = req.body;
+        if (!email || !password) {
+            return res.status(400).json({ error: 'Email and password are required.' });
+        }
+        const customer = await Customer.findOne({ email: String(email).toLowerCase().trim() });
+        if (!customer || !(await verifyPassword(String(password), customer.passwordHash))) {
+            return res.status(401).json({ error: 'Invalid email or password.' });
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + CUSTOMER_SESSION_DAYS * 24 * 60 * 60 * 1000);
+        await CustomerSession.create({ tokenHash: hashToken(token), customerId: customer._id, expiresAt });
+        res.json({ token, expiresAt, customer });
+    } catch (error) {
+        console.error('Error logging in customer:', error);
+        res.status(500).json({ error: 'Failed to log in.' });
+    }
+});
+
+app.post('/api/customers/logout', requireCustomer, async (req, res) => {
+    try {
+        await CustomerSession.deleteOne({ _id: req.customerSession._id });
+        res.json({ message: 'Logged out successfully.' });
+    } catch (error) {
+        console.error('Error logging out customer:', error);
+        res.status(500).json({ error: 'Failed to log out.' });
+    }
+});
+
+app.get('/api/customers/verify-email', async (req, res) => {
+    try {
+        const { token } = req.query;
+        const customer = token && await Customer.findOne({ emailVerificationTokenHash: hashToken(String(token)) });
+        if (!customer) {
+            return res.status(400).json({ error: 'This verification link is invalid or has already been used.' });
+        }
+        customer.emailVerified = true;
+        customer.emailVerificationTokenHash = undefined;
+        await customer.save();
+        const linkedOrders = await linkGuestOrders(customer);
+        res.json({ message: 'Email verified successfully.', linkedOrders });
+    } catch (error) {
+        console.error('Error verifying email:', error);
+        res.status(500).json({ error: 'Failed to verify email.' });
+    }
+});
+
+app.post('/api/customers/me/resend-verification', requireCustomer, rateLimit('emails'), async (req, res) => {
+    try {
+        if (req.customer.emailVerified) {
+            return res.status(400).json({ error: 'Your email is already verified.' });
+        }
+        await startEmailVerification(req.customer);
+        res.json({ message: 'Verification email sent.' });
+    } catch (error) {
+        console.error('Error resending verification:', error);
+        res.status(500).json({ error: 'Failed to resend verification.' });
+    }
+});
+
+app.get('/api/customers/me', requireCustomer, (req, res) => {
+    res.json(req.customer);
+});
+
+app.get('/api/customers/me/orders', requireCustomer, async (req, res) => {
+    try {
+        const orders = await Order.find({ customerId: req.customer._id }).sort({ date: -1 });
+        res.json(orders);
+    } catch (error) {
+        console.error('Error fetching customer orders:', error);
+        res.status(500).json({ error: 'Failed to fetch your orders.' });
+    }
+});
+
+// Saved addresses, used to prefill the checkout form.
+app.get('/api/customers/me/addresses', requireCustomer, (req, res) => {
+    res.json(req.customer.addresses);
+});
+
+app.post('/api/customers/me/addresses', requireCustomer, async (req, res) => {
+    try {
+        req.customer.addresses.push(req.body);
+        await req.customer.save();
+        res.status(201).json(req.customer.addresses[req.customer.addresses.length - 1]);
+    } catch (error) {
+        console.error('Error saving address:', error);
+        res.status(400).json({ error: 'Failed to save address.', details: error.message });
+    }
+});
+
+app.delete('/api/customers/me/addresses/:addressId', requireCustomer, async (req, res) => {
+    try {
+        const address = req.customer.addresses.id(req.params.addressId);
+        if (!address) {
+            return res.status(404).json({ error: 'Address not found.' });
+        }
+        address.deleteOne();
+        await req.customer.save();
+        res.json({ message: 'Address deleted successfully.' });
+    } catch (error) {
+        console.error('Error deleting address:', error);
+        res.status(500).json({ error: 'Failed to delete address.' });
+    }
+});
+
+// --- Main API Endpoints ---
+
+// --- Catalog Search ---
+const PRODUCT_SORTS = {
+    'price-asc': { price: 1 },
+    'price-desc': { price: -1 },
+    'newest': { dateAdded: -1 },
+    'rating': { rating: -1, reviewsCount: -1 }
+};
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Converts a product into the shape every endpoint returns, with the numeric legacyId
+ * exposed as `id` (next to `_id` and `slug`) and each variant's availability and label
+ * filled in.
+ * @param {Object} product - A product document or lean object.
+ * @returns {Object} The formatted product.
+ */
+function formatProduct(product) {
+    const p = typeof product.toObject === 'function' ? product.toObject() : product;
+    const { legacyId, __v, score, ...rest } = p;
+    const variants = (p.variants || []).map(v => ({ ...v, id: v._id, label: variantLabel(v), ...getStockInfo(v) }));
+    const sale = p.sale && p.sale.ruleId ? { name: p.sale.name, tag: p.sale.tag || DEFAULT_SALE_TAG, endsAt: p.sale.endsAt } : undefined;
+    return { ...rest, id: legacyId, variants, sale, ...getStockInfo(p) };
+}
+
+/**
+ * Formats products as formatProduct does, adding as lowestPrice the lowest price each
+ * variant (and the product as a whole) had in the PRICE_LOW_DAYS days before its sale
+ * started, or before now if it isn't on sale, and that number of days as lowestPriceDays.
+ * @param {Array} products - Product documents or lean objects.
+ * @returns {Promise<Array>} The formatted products.
+ */
+async function formatProducts(products) {
+    const formatted = products.map(formatProduct);
+    if (formatted.length === 0) return formatted;
+
+    // A sale price is never its own reference, so during a sale the window closes when it started
+    const now = new Date();
+    const ruleIds = products.map(p => p.sale && p.sale.ruleId).filter(Boolean);
+    const rules = ruleIds.length > 0 ? await PriceRule.find({ _id: { $in: ruleIds } }, { appliedAt: 1 }).lean() : [];
+    const saleStarts = new Map(rules.map(r => [String(r._id), r.appliedAt]));
+    const windows = products.map(p => {
+        const to = (p.sale && p.sale.ruleId && saleStarts.get(String(p.sale.ruleId))) || now;
+        return { from: new Date(to.getTime() - PRICE_LOW_DAYS * 24 * 60 * 60 * 1000), to };
+    });
+
+    const history = await PriceHistory.find(
+        { productId: { $in: formatted.map(p => p._id) }, changedAt: { $gte: new Date(Math.min(...windows.map(w => w.from.getTime()))) } },
+        { variantId: 1, price: 1, previousPrice: 1, changedAt: 1 }
+    ).sort({ changedAt: 1 }).lean();
+    const changesByVariant = new Map();
+    for (const change of history) {
+        const key = String(change.variantId);
+        if (!changesByVariant.has(key)) changesByVariant.set(key, []);
+        changesByVariant.get(key).push(change);
+    }
+    // The price a variant had when the window closed is the previousPrice of the first change
+    // after it (or its price now), and every change inside the window moved it from one
+    // price to another it also had
+    const lowestPrice = (variant, { from, to }) => {
+        const changes = changesByVariant.get(String(variant._id)) || [];
+        const next = changes.find(c => c.changedAt >= to);
+        let lowest = next ? next.previousPrice ?? next.price : variant.price;
+        for (const change of changes) {
+            if (change.changedAt >= from && change.changedAt < to) lowest = Math.min(lowest, change.price, change.previousPrice ?? change.price);
+        }
+        return lowest;
+    };
+    return formatted.map((p, i) => {
+        const variants = p.variants.map(v => ({ ...v, lowestPrice: lowestPrice(v, windows[i]) }));
+        const lowest = variants.length > 0 ? Math.min(...variants.map(v => v.lowestPrice)) : p.price;
+        return { ...p, variants, lowestPrice: lowest, lowestPriceDays: PRICE_LOW_DAYS };
+    });
+}
+
+/**
+ * Builds the filter for a storefront search. The category filter is kept separate so
+ * category facets can be counted across every category the other filters allow.
+ * @param {Object} params - The request query string.
+ * @param {boolean} useText - Whether to use the text index (false for the partial-match fallback).
+ * @returns {Object} The base query and the category condition (if any).
+ */
+function buildProductQuery({ q, category, minPrice, maxPrice }, useText) {
+    const query = { archived: { $ne: true } };
+    const search = q ? String(q).trim() : '';
+    if (search) {
+        if (useText) {
+            query.$text = { $search: search };
+        } else {
+            const searchRegex = { $regex: escapeRegex(search), $options: 'i' };
+            query.$or = [{ name: searchRegex }, { category: searchRegex }];
+        }
+    }
+    if (minPrice !== undefined || maxPrice !== undefined) {
+        query.price = {};
+        if (minPrice !== undefined) query.price.$gte = Number(minPrice);
+        if (maxPrice !== undefined) query.price.$lte = Number(maxPrice);
+    }
+    const categoryCondition = category && category !== 'All' ? { category: String(category) } : null;
+    return { query, categoryCondition };
+}
+
+/**
+ * Runs a storefront search with filtering, sorting, pagination and category facets.
+ * Without `page` or `limit` every matching product is returned.
+ * @param {Object} params - The request query string (q, category, minPrice, maxPrice, sort, page, limit).
+ * @returns {Promise<Object>} The page of products, totals and facets.
+ */
+async function searchProducts(params) {
+    const hasSearch = Boolean(params.q && String(params.q).trim());
+    const page = Math.max(parseInt(params.page) || 1, 1);
+    const limit = params.limit || params.page ? Math.min(Math.max(parseInt(params.limit) || 20, 1), MAX_PAGE_SIZE) : 0;
+
+    const run = async (useText) => {
+        const { query, categoryCondition } = buildProductQuery(params, useText);
+        const filter = categoryCondition ? { ...query, ...categoryCondition } : query;
+
+        let sort = PRODUCT_SORTS[params.sort];
+        if (!sort) sort = useText ? { score: { $meta: 'textScore' } } : {};
+        sort = { ...sort, legacyId: 1 }; // Stable order for pagination
+
+        const projection = useText ? { score: { $meta: 'textScore' } } : {};
+        const [products, total, categories] = await Promise.all([
+            Product.find(filter, projection).sort(sort).skip(limit ? (page - 1) * limit : 0).limit(limit).lean(),
+            Product.countDocuments(filter),
+            Product.aggregate([
+                { $match: query },
+                { $unwind: '$category' },
+                { $group: { _id: '$category', count: { $sum: 1 } } },
+                { $sort: { count: -1, _id: 1 } }
+            ])
+        ]);
+        return { products, total, categories };
+    };
+
+    // Text search matches whole words only, so fall back to partial matching when
+    // someone is still typing (e.g. "gh" for "ghee").
+    let result = await run(hasSearch);
+    if (hasSearch && result.total === 0) result = await run(false);
+
+    return {
+        products: await formatProducts(result.products),
+        total: result.total,
+        page: limit ? page : 1,
+        limit: limit || result.total,
+        totalPages: limit ? Math.ceil(result.total / limit) : 1,
+        facets: {
+            categories: result.categories.map(c => ({ name: c._id, count: c.count }))
+        }
+    };
+}
+
+// Lists products. With ?page= or ?limit= the response is a page with totals and facets;
+// without either it stays the bare array of every matching product.
+app.get('/api/products', async (req, res) => {
+    try {
+        const { minPrice, maxPrice, page, limit } = req.query;
+        if ([minPrice, maxPrice].some(v => v !== undefined && (v === '' || isNaN(Number(v))))) {
+            return res.status(400).json({ error: 'minPrice and maxPrice must be numbers.' });
+        }
+        const result = await searchProducts(req.query);
+        res.json(page || limit ? result : result.products);
+    } catch (error) {
+        console.error('Error fetching products from DB:', error);
+        res.status(500).json({ error: 'Failed to fetch products' });
+    }
+});
+
+// Lightweight top-5 matches for the search box, matching anywhere in the name or category.
+app.get('/api/products/suggestions', async (req, res) => {
+    try {
+        const search = req.query.q ? String(req.query.q).trim() : '';
+        if (search.length < 2) return res.json([]);
+
+        const searchRegex = { $regex: escapeRegex(search), $options: 'i' };
+        const matches = await Product.find(
+            { archived: { $ne: true }, $or: [{ name: searchRegex }, { category: searchRegex }] },
+            { legacyId: 1, slug: 1, name: 1, price: 1, images: { $slice: 1 } }
+        ).sort({ rating: -1, legacyId: 1 }).limit(5).lean();
+
+        res.json(matches.map(p => ({
+            id: p.legacyId,
+            slug: p.slug,
+            name: p.name,
+            price: p.price,
+            image: p.images && imageVariantUrl(p.images[0], 'thumb')
+        })));
+    } catch (error) {
+        console.error('Error fetching search suggestions:', error);
+        res.status(500).json({ error: 'Failed to fetch suggestions.' });
+    }
+});
+
+app.get('/api/products/:id', async (req, res) => {
+    try {
+        const filter = productRefQuery(req.params.id);
+        if (!filter) {
+            return res.status(400).json({ error: 'Invalid product ID format.' });
+        }
+        const product = await Product.findOne(filter).lean();
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found.' });
+        }
+        const [formatted] = await formatProducts([product]);
+        res.json(formatted);
+    } catch (error) {
+        console.error('Error fetching single product:', error);
+        res.status(500).json({ error: 'Failed to fetch product.' });
+    }
+});
+
+app.post('/api/upload', requireAdmin('catalog_editor'), upload.single('image'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded.' });
+    }
+    try {
+        const image = await processImageUpload(req.file.buffer);
+        if (!image) {
+            return res.status(400).json({ error: `Only image files are allowed! (${ACCEPTED_IMAGE_FORMATS.join(', ')})` });
+        }
+        if (!image.deduplicated) {
+            await recordAudit(req, { action: 'upload.create', entityType: 'upload', entityId: image.url, after: image });
+        }
+        // `url` is the card-size image to store in Product.images; the other sizes are derived from it
+        res.status(image.deduplicated ? 200 : 201).json(image);
+    } catch (error) {
+        console.error('Error processing upload:', error);
+        res.status(500).json({ error: 'Failed to process image.' });
+    }
+}, (error, req, res, next) => {
+    // Multer error handler
+    if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ error: `Images must be smaller than ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB.` });
+    }
+    res.status(400).json({ error: error.message });
+});
+
+// Finds (and unless ?dryRun=true, deletes) uploaded files no product uses any more.
+app.post('/api/admin/uploads/cleanup', requireAdmin('catalog_editor'), async (req, res) => {
+    try {
+        const dryRun = req.query.dryRun === 'true';
+        // Leave recent uploads alone: they may belong to a product that hasn't been saved yet
+        const result = await removeOrphanedUploads({ minAgeMs: 24 * 60 * 60 * 1000, dryRun });
+        console.log(`Upload cleanup by ${req.actor}: ${result.removed.length} files${dryRun ? ' (dry run)' : ' removed'}.`);
+        if (!dryRun && result.removed.length > 0) {
+            await recordAudit(req, {
+                action: 'upload.cleanup',
+                entityType: 'upload',
+                before: { files: result.removed },
+                after: { files: [] },
+                note: `${result.removed.length} unused files (${result.bytes} bytes) removed.`
+            });
+        }
+        res.json({ dryRun, ...result });
+    } catch (error) {
+        console.error('Error cleaning up uploads:', error);
+        res.status(500).json({ error: 'Failed to clean up uploads.' });
+    }
+});
+
+// What admins may set on a product. The rest is the server's to manage: ids, the rating and
+// review count (from reviews), and stock (through the stock endpoint, which logs movements).
+const PRODUCT_EDITABLE_FIELDS = ['name', 'slug', 'category', 'images', 'description', 'sellerTag', 'price', 'originalPrice', 'handlingDays', 'hsnCode', 'gstRate', 'archived', 'variants'];
+const VARIANT_EDITABLE_FIELDS = ['_id', 'sku', 'optionName', 'optionValue', 'price', 'originalPrice', 'image', 'weightGrams'];
+
+/**
+ * Picks the editable fields out of a product create or update body.
+ * @param {Object} body - The request body.
+ * @param {Object} [current] - The product being updated; its variants keep their stock.
+ *   New products may be given opening stock.
+ * @returns {Object} The fields to set.
+ */
+function productInput(body, current) {
+    const pick = (source, fields) => Object.fromEntries(fields.filter(field => source[field] !== undefined).map(field => [field, source[field]]));
+    const input = pick(body || {}, PRODUCT_EDITABLE_FIELDS);
+    if (Array.isArray(input.variants)) {
+        input.variants = input.variants.map(v => {
+            const variant = pick(v || {}, VARIANT_EDITABLE_FIELDS);
+            if (!current) {
+                if (v && v.stock !== undefined) variant.stock = v.stock;
+            } else if (mongoose.Types.ObjectId.isValid(variant._id)) {
+                const existing = current.variants.id(variant._id);
+                if (existing) variant.stock = existing.stock;
+            }
+            return variant;
+        });
+    }
+    return input;
+}
+
+app.post('/api/products', requireAdmin('catalog_editor'), async (req, res) => {
+    try {
+        const newProduct = new Product({
+            ...productInput(req.body),
+            legacyId: await allocateLegacyId(),
+            dateAdded: new Date()
+        });
+        await newProduct.save();
+        await recordPriceChanges(null, newProduct, { source: 'admin', actor: req.actor });
+        await recordAudit(req, { action: 'product.create', entityType: 'product', entityId: newProduct._id, after: newProduct });
+        const [formatted] = await formatProducts([newProduct]);
+        res.status(201).json(formatted);
+    } catch (error) {
+        console.error('Error creating product:', error);
+        res.status(400).json({ error: 'Failed to create product.', details: error.message });
+    }
+});
+
+app.put('/api/products/:id', requireAdmin('catalog_editor'), async (req, res) => {
+    try {
+        const filter = productRefQuery(req.params.id);
+        if (!filter) {
+            return res.status(400).json({ error: 'Invalid product ID format.' });
+        }
+        const updatedProduct = await Product.findOne(filter);
+        if (!updatedProduct) {
+            return res.status(404).json({ error: 'Product not found.' });
+        }
+        const before = auditSnapshot(updatedProduct);
+        // Saved as a document (not findByIdAndUpdate) so the price summary of its variants is kept up to date
+        updatedProduct.set(productInput(req.body, updatedProduct));
+        await updatedProduct.save();
+        await recordPriceChanges(before, updatedProduct, { source: 'admin', actor: req.actor });
+        await recordAudit(req, { action: 'product.update', entityType: 'product', entityId: updatedProduct._id, before, after: updatedProduct });
+        const [formatted] = await formatProducts([updatedProduct]);
+        res.json(formatted);
+    } catch (error) {
+        console.error('Error updating product:', error);
+        res.status(400).json({ error: 'Failed to update product.', details: error.message });
+    }
+});
+
+app.delete('/api/products/:id', requireAdmin('catalog_editor'), async (req, res) => {
+    try {
+        const filter = productRefQuery(req.params.id);
+        if (!filter) {
+            return res.status(400).json({ error: 'Invalid product ID format.' });
+        }
+        const deletedProduct = await Product.findOneAndDelete(filter);
+        if (!deletedProduct) return res.status(404).json({ error: 'Product not found.' });
+
+        // The snapshot lets the product be restored. Its images are kept for that too, and
+        // left for /api/admin/uploads/cleanup once the restore window has passed.
+        await recordAudit(req, { action: 'product.delete', entityType: 'product', entityId: deletedProduct._id, before: deletedProduct });
+        res.status(200).json({ message: 'Product deleted successfully.' });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to delete product.' });
+    }
+});
+
+// --- Review Service ---
+// Both review endpoints (the legacy numeric-id route and the product page comment form)
+// go through createReview, so moderation, verification and rating stats are the same.
+const REVIEW_BLOCKED_WORDS = ['fuck', 'shit', 'bitch', 'bastard', 'asshole', 'chutiya', 'madarchod', 'bhenchod', 'harami', 'kutta'];
+const REVIEW_REPORTS_TO_HIDE = 3;
+
+/**
+ * Looks for signs of spam or abuse in a review.
+ * @param {string} text - The review text.
+ * @returns {Array<string>} The reasons to hold it for moderation (empty if it looks fine).
+ */
+function screenReviewText(text) {
+    const reasons = [];
+    if (REVIEW_BLOCKED_WORDS.some(word => new RegExp(`\\b${word}(s|es)?\\b`, 'i').test(text))) reasons.push('profanity');
+    if (/(https?:\/\/|www\.|\.(com|in|net|org)\b)/i.test(text)) reasons.push('contains link');
+    if (/\b\d{10}\b|\S+@\S+\.\S+/.test(text)) reasons.push('contains contact details');
+    if (/(.)\1{6,}/.test(text)) reasons.push('repeated characters');
+    const letters = text.replace(/[^a-z]/gi, '');
+    if (letters.length > 20 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.7) reasons.push('shouting');
+    return reasons;
+}
+
+// Identifies a voter or reporter: their account if logged in, otherwise their IP.
+const getVoterKey = (req) => req.customer ? `customer:${req.customer._id}` : `ip:${req.ip}`;
+
+/**
+ * Recomputes a product's rating and review count from its approved reviews.
+ * The average keeps one decimal place, so 4.5 stars isn't shown as 5.
+ * @param {Object} productId - The product's ObjectId.
+ * @returns {Promise<Object>} The new { rating, reviewsCount }.
+ */
+async function recalculateProductRating(productId) {
+    const [stats] = await Comment.aggregate([
+        { $match: { productId: new mongoose.Types.ObjectId(String(productId)), status: 'approved' } },
+        { $group: { _id: '$productId', avgRating: { $avg: '$rating' }, count: { $sum: 1 } } }
+    ]);
+    const rating = stats && stats.avgRating ? Math.round(stats.avgRating * 10) / 10 : 0;
+    const reviewsCount = stats ? stats.count : 0;
+    await Product.updateOne({ _id: productId }, { rating, reviewsCount });
+    return { rating, reviewsCount };
+}
+
+/**
+ * Creates a review. Clean reviews are published straight away; anything the spam check
+ * flags, or a repeat of a recent review, waits in the moderation queue.
+ * @param {Object} product - The product document being reviewed.
+ * @param {Object} fields - { username, comment, rating (optional), customer (optional) }.
+ * @returns {Promise<Object>} The saved review and the product's current rating stats.
+ */
+async function createReview(product, { username, comment, rating, customer }) {
+    const text = String(comment).trim();
+    const reasons = screenReviewText(`${username} ${text}`);
+    const isRepeat = await Comment.exists({
+        productId: product._id,
+        comment: text,
+        createdAt: { $gt: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+    });
+    if (isRepeat) reasons.push('duplicate');
+
+    const review = await Comment.create({
+        productId: product._id,
+        username,
+        comment: text,
+        rating: rating ? parseInt(rating) : undefined,
+        verifiedPurchase: await hasPurchased(customer, product.legacyId),
+        customerId: customer && customer._id,
+        status: reasons.length > 0 ? 'pending' : 'approved',
+        moderationReasons: reasons
+    });
+
+    const stats = review.status === 'approved'
+        ? await recalculateProductRating(product._id)
+        : { rating: product.rating, reviewsCount: product.reviewsCount };
+    console.log(`Review for ${product.name} (ID: ${product.legacyId}) saved as ${review.status}. Verified: ${review.verifiedPurchase}`);
+    queueEmail(ADMIN_NOTIFY_EMAIL, 'adminNewReview', product, review);
+    return { review, ...stats };
+}
+
+app.get('/api/comments/:productId', async (req, res) => {
+    try {
+        const { productId } = req.params;
+        const sort = req.query.sort || 'newest';
+        const stars = req.query.stars; // e.g., "5,4"
+
+        const filter = productRefQuery(productId);
+        if (!filter) {
+            return res.status(400).json({ message: 'Invalid Product ID format' });
+        }
+        const product = filter._id ? filter : await Product.findOne(filter, { _id: 1 }).lean();
+        if (!product) {
+            return res.status(404).json({ message: 'Product not found' });
+        }
+
+        // Build the query object
+        const query = { productId: product._id, status: 'approved' };
+        if (stars) {
+            const starFilters = stars.split(',').map(Number).filter(n => n >= 1 && n <= 5);
+            if (starFilters.length > 0) {
+                query.rating = { $in: starFilters };
+            }
+        }
+
+        // Build the sort object
+        let sortOptions = { createdAt: -1 }; // Default: newest
+        if (sort === 'oldest') sortOptions = { createdAt: 1 };
+        else if (sort === 'highest') sortOptions = { rating: -1, createdAt: -1 };
+        else if (sort === 'lowest') sortOptions = { rating: 1, createdAt: -1 };
+        else if (sort === 'helpful') sortOptions = { helpfulCount: -1, createdAt: -1 };
+
+        // Fetch all comments that match the query, without pagination. How a review was
+        // moderated, and whose account wrote it, stay private.
+        const comments = await Comment.find(query, { moderationReasons: 0, moderatedBy: 0, moderatedAt: 0, customerId: 0 })
+            .sort(sortOptions);
+        
+        res.json(comments);
+    } catch (error) {
+        console.error('Error fetching comments:', error);
+        res.status(500).json({ message: 'Server error while fetching comments.' });
+    }
+});
+
+app.post('/api/products/:id/reviews', attachCustomer, rateLimit('reviews'), requireHuman, preventDuplicates('review', 10), async (req, res) => {
+    const filter = productRefQuery(req.params.id);
+    const { user, rating, comment } = req.body;
+
+    if (!filter) {
+        return res.status(400).json({ error: 'Invalid product ID format.' });
+    }
+    if (!user || !rating || !comment || rating < 1 || rating > 5) {
+        return res.status(400).json({ error: 'Missing required review fields: user, rating, comment' });
+    }
+
+    try {
+        const product = await Product.findOne(filter);
+        if (!product) {
+            return res.status(404).json({ error: `Product with ID ${req.params.id} not found.` });
+        }
+
+        const { review, rating: newRating, reviewsCount: newReviewsCount } = await createReview(product, {
+            username: user, comment, rating, customer: req.customer
+        });
+        res.status(201).json({
+            newComment: review,
+            newRating,
+            newReviewsCount,
+            message: review.status === 'pending' ? 'Thanks! Your review will appear once it has been checked.' : undefined
+        });
+    } catch (error) {
+        console.error('Error adding review to DB:', error);
+        res.status(500).json({ error: 'Failed to add review.' });
+    }
+});
+
+app.post('/api/reviews/:id/helpful', attachCustomer, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid review ID format.' });
+        }
+        const voterKey = getVoterKey(req);
+        // The $ne condition makes a second vote from the same person a no-op
+        const review = await Comment.findOneAndUpdate(
+            { _id: req.params.id, status: 'approved', helpfulVoters: { $ne: voterKey } },
+            { $push: { helpfulVoters: voterKey }, $inc: { helpfulCount: 1 } },
+            { new: true }
+        );
+        if (!review) {
+            const exists = await Comment.exists({ _id: req.params.id, status: 'approved' });
+            if (!exists) return res.status(404).json({ error: 'Review not found.' });
+            return res.status(409).json({ error: 'You have already marked this review as helpful.' });
+        }
+        res.json({ helpfulCount: review.helpfulCount });
+    } catch (error) {
+        console.error('Error voting on review:', error);
+        res.status(500).json({ error: 'Failed to record your vote.' });
+    }
+});
+
+app.post('/api/reviews/:id/report', attachCustomer, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid review ID format.' });
+        }
+        const { reason } = req.body;
+        if (reason !== undefined && (typeof reason !== 'string' || reason.trim().length > 300)) {
+            return res.status(400).json({ error: 'The reason must be text of at most 300 characters.' });
+        }
+        const reporterKey = getVoterKey(req);
+        const review = await Comment.findOneAndUpdate(
+            { _id: req.params.id, status: 'approved', 'reports.reporterKey': { $ne: reporterKey } },
+            { $push: { reports: { reporterKey, reason: reason && reason.trim() } }, $inc: { reportCount: 1 } },
+            { new: true, runValidators: true }
+        );
+        if (!review) {
+            const exists = await Comment.exists({ _id: req.params.id, status: 'approved' });
+            if (!exists) return res.status(404).json({ error: 'Review not found.' });
+            return res.status(409).json({ error: 'You have already reported this review.' });
+        }
+
+        // Enough reports send the review back to the moderation queue until an admin looks at it
+        if (review.reportCount >= REVIEW_REPORTS_TO_HIDE) {
+            const held = await Comment.findOneAndUpdate(
+                { _id: review._id, status: 'approved' },
+                { status: 'pending', $addToSet: { moderationReasons: 'reported by customers' } }
+            );
+            if (held) await recalculateProductRating(review.productId);
+        }
+        res.json({ message: 'Thank you. Our team will review this.' });
+    } catch (error) {
+        console.error('Error reporting review:', error);
+        res.status(500).json({ error: 'Failed to report review.' });
+    }
+});
+
+// --- Review Moderation Endpoints ---
+app.get('/api/admin/reviews', requireAdmin('catalog_editor'), async (req, res) => {
+    try {
+        const status = req.query.status || 'pending';
+        const query = status === 'reported' ? { reportCount: { $gt: 0 } } : { status };
+        const reviews = await Comment.find(query)
+            .sort({ reportCount: -1, createdAt: -1 })
+            .limit(200)
+            .populate('productId', 'name legacyId')
+            .lean();
+        res.json(reviews);
+    } catch (error) {
+        console.error('Error fetching reviews for moderation:', error);
+        res.status(500).json({ error: 'Failed to fetch reviews.' });
+    }
+});
+
+app.post('/api/admin/reviews/:id/moderate', requireAdmin('catalog_editor'), async (req, res) => {
+    try {
+        const { status } = req.body;
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid review ID format.' });
+        }
+        if (!['approved', 'rejected'].includes(status)) {
+            return res.status(400).json({ error: 'Status must be approved or rejected.' });
+        }
+        const update = { status, moderatedBy: req.actor, moderatedAt: new Date() };
+        // Approving a reported review clears its reports so it doesn't bounce straight back
+        if (status === 'approved') Object.assign(update, { reports: [], reportCount: 0 });
+
+        const before = await Comment.findById(req.params.id).lean();
+        const review = before && await Comment.findByIdAndUpdate(req.params.id, update, { new: true });
+        if (!review) {
+            return res.status(404).json({ error: 'Review not found.' });
+        }
+        const stats = await recalculateProductRating(review.productId);
+        console.log(`Review ${review._id} ${status} by ${req.actor}.`);
+        await recordAudit(req, { action: `review.${status === 'approved' ? 'approve' : 'reject'}`, entityType: 'review', entityId: review._id, before, after: review });
+        res.json({ review, ...stats });
+    } catch (error) {
+        console.error('Error moderating review:', error);
+        res.status(500).json({ error: 'Failed to moderate review.' });
+    }
+});
+
+// --- Recommendations ---
+// Products are ranked by how often they were bought with the ones being viewed (or in the
+// cart), how many categories they share with them, and their rating. New products with no
+// orders yet fall back to the category and rating parts, and the best rated products fill
+// any places left.
+const RECOMMENDATION_WEIGHTS = { coPurchase: 0.6, category: 0.25, rating: 0.15 };
+const RECOMMENDATION_CANDIDATES = 50; // Per source of candidates, before ranking
+const MAX_RECOMMENDATIONS = 12;
+const RATING_CONFIDENCE_REVIEWS = 10; // A rating counts fully once it has this many reviews
+const CO_PURCHASE_MAX_ITEMS = 20; // Products per order counted, as pairs grow with the square
+
+/**
+ * Adds an order's product pairs to the co-purchase counts, or takes them off again when
+ * the order is cancelled. The order's coPurchaseCounted flag is flipped first, atomically,
+ * so an order is never counted twice, nor taken off without having been counted.
+ * @param {Object} order - The order.
+ * @param {boolean} [counted] - True to count the order, false to take it off.
+ */
+async function countCoPurchases(order, counted = true) {
+    const claimed = await Order.updateOne(
+        { _id: order._id, coPurchaseCounted: counted ? { $ne: true } : true },
+        { $set: { coPurchaseCounted: counted } }
+    );
+    if (claimed.modifiedCount === 0) return;
+
+    const ids = [...new Set(order.items.map(item => item.id))].slice(0, CO_PURCHASE_MAX_ITEMS);
+    const operations = ids.flatMap(productId => ids.filter(relatedId => relatedId !== productId).map(relatedId => ({
+        updateOne: {
+            filter: { productId, relatedId },
+            update: counted ? { $inc: { count: 1 }, $max: { lastOrderedAt: order.date || new Date() } } : { $inc: { count: -1 } },
+            upsert: counted
+        }
+    })));
+    if (operations.length > 0) await CoPurchase.bulkWrite(operations, { ordered: false });
+}
+
+/**
+ * Recommends products to go with the given ones.
+ * @param {Array<number>} sourceIds - The legacyIds of the products being viewed or in the cart.
+ *   May be empty, in which case the best rated products are returned.
+ * @param {number} limit - How many to return.
+ * @returns {Promise<Array>} Formatted products, each with a `recommendation` giving its
+ *   score, the main reason (bought_together, similar or popular) and its co-purchase count.
+ */
+async function recommendProducts(sourceIds, limit) {
+    const sources = await Product.find({ legacyId: { $in: sourceIds } }, { category: 1 }).lean();
+    const categories = new Set(sources.flatMap(p => p.category || []));
+    const available = { legacyId: { $nin: sourceIds }, archived: { $ne: true } };
+
+    const pairs = await CoPurchase.aggregate([
+        { $match: { productId: { $in: sourceIds }, relatedId: { $nin: sourceIds }, count: { $gt: 0 } } },
+        { $group: { _id: '$relatedId', count: { $sum: '$count' } } },
+        { $sort: { count: -1 } },
+        { $limit: RECOMMENDATION_CANDIDATES }
+    ]);
+    const coPurchaseCounts = new Map(pairs.map(pair => [pair._id, pair.count]));
+
+    const [boughtTogether, similar, popular] = await Promise.all([
+        pairs.length > 0 ? Product.find({ ...available, legacyId: { $in: [...coPurchaseCounts.keys()] } }).lean() : [],
+        categories.size > 0
+            ? Product.find({ ...available, category: { $in: [...categories] } }).sort({ rating: -1, reviewsCount: -1 }).limit(RECOMMENDATION_CANDIDATES).lean()
+            : [],
+        Product.find(available).sort({ rating: -1, reviewsCount: -1 }).limit(limit).lean()
+    ]);
+    const candidates = new Map([...boughtTogether, ...similar, ...popular].map(p => [p.legacyId, p]));
+
+    const maxCount = Math.max(1, ...coPurchaseCounts.values());
+    const ranked = [...candidates.values()]
+        .filter(p => getStockInfo(p).stockStatus !== 'out_of_stock')
+        .map(p => {
+            const coPurchases = coPurchaseCounts.get(p.legacyId) || 0;
+            const productCategories = p.category || [];
+            const shared = productCategories.filter(c => categories.has(c)).length;
+            const scores = {
+                coPurchase: coPurchases / maxCount,
+                category: productCategories.length > 0 ? shared / productCategories.length : 0,
+                rating: ((p.rating || 0) / 5) * Math.min(1, (p.reviewsCount || 0) / RATING_CONFIDENCE_REVIEWS)
+            };
+            const score = Object.entries(RECOMMENDATION_WEIGHTS).reduce((sum, [part, weight]) => sum + weight * scores[part], 0);
+            const reason = coPurchases > 0 ? 'bought_together' : shared > 0 ? 'similar' : 'popular';
+            return { product: p, recommendation: { score: Math.round(score * 1000) / 1000, reason, coPurchases } };
+        })
+        .sort((a, b) => b.recommendation.score - a.recommendation.score || a.product.legacyId - b.product.legacyId)
+        .slice(0, limit);
+    const formatted = await formatProducts(ranked.map(r => r.product));
+    return formatted.map((product, i) => ({ ...product, recommendation: ranked[i].recommendation }));
+}
+
+const parseRecommendationLimit = (limit) => Math.min(Math.max(parseInt(limit) || 6, 1), MAX_RECOMMENDATIONS);
+
+app.get('/api/products/:id/recommendations', async (req, res) => {
+    try {
+        const filter = productRefQuery(req.params.id);
+        if (!filter) {
+            return res.status(400).json({ error: 'Invalid product ID format.' });
+        }
+        const product = await Product.findOne(filter, { legacyId: 1 }).lean();
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found.' });
+        }
+        const recommendations = await recommendProducts([product.legacyId], parseRecommendationLimit(req.query.limit));
+        res.json({ productId: product.legacyId, recommendations });
+    } catch (error) {
+        console.error('Error fetching recommendations:', error);
+        res.status(500).json({ error: 'Failed to fetch recommendations.' });
+    }
+});
+
+// Suggestions for the whole cart (the best rated products while it's empty)
+app.get('/api/cart/recommendations', attachCustomer, async (req, res) => {
+    try {
+        const { cart } = await resolveCart(req);
+        const ids = cart ? [...new Set(cart.items.map(item => item.id))] : [];
+        res.json({ recommendations: await recommendProducts(ids, parseRecommendationLimit(req.query.limit)) });
+    } catch (error) {
+        console.error('Error fetching cart recommendations:', error);
+        res.status(500).json({ error: 'Failed to fetch recommendations.' });
+    }
+});
+
+// --- Contact Messages ---
+// Code that wants to know about new enquiries (besides the admin email) registers a hook:
+//   onContactMessage(async (message) => { ... })
+// Hooks run after the message is saved and never hold up or fail the request.
+const contactMessageHooks = [];
+const onContactMessage = (hook) => contactMessageHooks.push(hook);
+
+onContactMessage(message => queueEmail(ADMIN_NOTIFY_EMAIL, 'adminNewContactMessage', message));
+
+// Posts new enquiries as JSON to CONTACT_WEBHOOK_URL, e.g. a chat channel's incoming webhook.
+if (process.env.CONTACT_WEBHOOK_URL) {
+    onContactMessage(async (message) => {
+        const response = await fetch(process.env.CONTACT_WEBHOOK_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                text: `New enquiry from ${message.name} (${message.email}): ${message.subject}`,
+                message: { id: message._id, name: message.name, email: message.email, subject: message.subject, orderId: message.orderId }
+            })
+        });
+        if (!response.ok) throw new Error(`Webhook responded with ${response.status}`);
+    });
+}
+
+function notifyContactMessage(message) {
+    for (const hook of contactMessageHooks) {
+        Promise.resolve()
+            .then(() => hook(message))
+            .catch(error => console.error(`Contact message hook failed for ${message._id}:`, error));
+    }
+}
+
+app.post('/api/contact', attachCustomer, rateLimit('contact', req => req.body && req.body.email), requireHuman, preventDuplicates('contact', 60), async (req, res) => {
+    try {
+        const { name, email, subject, message, orderId } = req.body;
+        if (!name || !email || !subject || !message) {
+            return res.status(400).json({ error: 'Name, email, subject and message are required.' });
+        }
+
+        // An order is only linked when it belongs to the sender, so nobody can attach
+        // messages to (or learn about) someone else's order
+        let linkedOrderId;
+        if (orderId) {
+            const order = await Order.findOne({ orderId: String(orderId).trim() }, { orderId: 1, 'user.email': 1, customerId: 1 }).lean();
+            const isSenders = order && (
+                String(order.user.email).toLowerCase() === String(email).toLowerCase().trim() ||
+                (req.customer && order.customerId && req.customer._id.equals(order.customerId))
+            );
+            if (!isSenders) {
+                return res.status(400).json({ error: 'We could not find that order for your email address.', details: { orderId } });
+            }
+            linkedOrderId = order.orderId;
+        }
+
+        // Contact details are expected in an enquiry, so only the other spam signals count
+        const flagReasons = screenReviewText(`${name} ${subject} ${message}`).filter(reason => reason !== 'contains contact details');
+        const contactMessage = await ContactMessage.create({
+            name,
+            email,
+            subject,
+            message,
+            orderId: linkedOrderId,
+            customerId: req.customer && req.customer._id,
+            ip: req.ip,
+            flagReasons
+        });
+        if (flagReasons.length === 0) notifyContactMessage(contactMessage);
+        else console.warn(`Contact message ${contactMessage._id} flagged: ${flagReasons.join(', ')}.`);
+
+        res.status(201).json({ id: contactMessage._id, message: 'Thank you! Your message has been sent. We will get back to you soon.' });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ error: 'Please check your message and try again.', details: error.message });
+        }
+        console.error('Error saving contact message:', error);
+        res.status(500).json({ error: 'Failed to send your message.' });
+    }
+});
+
+// --- Contact Inbox Endpoints ---
+// Filters: status (comma-separated), flagged=true|false, orderId, and search over the
+// sender, subject and message. Newest first, a page at a time.
+app.get('/api/admin/contact-messages', requireAdmin('order_manager'), async (req, res) => {
+    try {
+        const { status, flagged, orderId, search } = req.query;
+        const query = {};
+        if (status) {
+            query.status = { $in: String(status).split(',').map(s => s.trim()).filter(s => CONTACT_STATUSES.includes(s)) };
+        }
+        if (flagged === 'true') query['flagReasons.0'] = { $exists: true };
+        if (flagged === 'false') query['flagReasons.0'] = { $exists: false };
+        if (orderId) query.orderId = String(orderId).trim();
+        if (search) {
+            const searchRegex = { $regex: escapeRegex(search), $options: 'i' };
+            query.$or = [{ name: searchRegex }, { email: searchRegex }, { subject: searchRegex }, { message: searchRegex }];
+        }
+
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_PAGE_SIZE);
+        const [messages, total, unread] = await Promise.all([
+            ContactMessage.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+            ContactMessage.countDocuments(query),
+            ContactMessage.countDocuments({ status: 'new' })
+        ]);
+        res.json({ messages, total, unread, page, totalPages: Math.ceil(total / limit) });
+    } catch (error) {
+        console.error('Error fetching contact messages:', error);
+        res.status(500).json({ error: 'Failed to fetch contact messages.' });
+    }
+});
+
+app.get('/api/admin/contact-messages/:id', requireAdmin('order_manager'), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid message ID format.' });
+        }
+        const message = await ContactMessage.findById(req.params.id);
+        if (!message) {
+            return res.status(404).json({ error: 'Message not found.' });
+        }
+        res.json(message);
+    } catch (error) {
+        console.error('Error fetching contact message:', error);
+        res.status(500).json({ error: 'Failed to fetch contact message.' });
+    }
+});
+
+// Marks a message new, read or resolved.
+app.post('/api/admin/contact-messages/:id/status', requireAdmin('order_manager'), async (req, res) => {
+    try {
+        const { status } = req.body;
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid message ID format.' });
+        }
+        if (!CONTACT_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Status must be one of: ${CONTACT_STATUSES.join(', ')}.` });
+        }
+        const message = await ContactMessage.findById(req.params.id);
+        if (!message) {
+            return res.status(404).json({ error: 'Message not found.' });
+        }
+
+        const before = auditSnapshot(message);
+        message.status = status;
+        if (status !== 'new' && !message.readAt) message.readAt = new Date();
+        if (status === 'resolved') Object.assign(message, { resolvedAt: new Date(), resolvedBy: req.actor });
+        else Object.assign(message, { resolvedAt: undefined, resolvedBy: undefined });
+        await message.save();
+        await recordAudit(req, { action: 'contact_message.status', entityType: 'contact_message', entityId: message._id, before, after: message });
+        res.json(message);
+    } catch (error) {
+        console.error('Error updating contact message:', error);
+        res.status(400).json({ error: 'Failed to update contact message.', details: error.message });
+    }
+});
+
+// Emails a reply to the sender and adds it to the thread. Send `resolve: true` to close
+// the message at the same time.
+app.post('/api/admin/contact-messages/:id/replies', requireAdmin('order_manager'), async (req, res) => {
+    try {
+        const { body, resolve } = req.body;
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid message ID format.' });
+        }
+        if (!body || typeof body !== 'string' || !body.trim()) {
+            return res.status(400).json({ error: 'A reply needs some text.' });
+        }
+        const message = await ContactMessage.findById(req.params.id);
+        if (!message) {
+            return res.status(404).json({ error: 'Message not found.' });
+        }
+
+        const before = auditSnapshot(message);
+        message.replies.push({ author: req.actor, body });
+        if (!message.readAt) message.readAt = new Date();
+        if (resolve === true) Object.assign(message, { status: 'resolved', resolvedAt: new Date(), resolvedBy: req.actor });
+        else if (message.status === 'new') message.status = 'read';
+        await message.save();
+
+        const reply = message.replies[message.replies.length - 1];
+        await queueEmail(message.email, 'contactReply', message, reply);
+        await recordAudit(req, { action: 'contact_message.reply', entityType: 'contact_message', entityId: message._id, before, after: message });
+        res.status(201).json(message);
+    } catch (error) {
+        console.error('Error replying to contact message:', error);
+        res.status(400).json({ error: 'Failed to send reply.', details: error.message });
+    }
+});
+
+// --- Order and Admin Endpoints ---
+
+// Rounds a rupee amount to paise so floating point noise never fails a total comparison.
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Prices the requested order items against the catalog. Names and prices sent by the
+ * client are ignored; only the product id, variant and quantity are trusted.
+ * @param {Array} items - The items from the request body ({ id, quantity, variantId or sku }).
+ *   The variant may be left out for products that only have one.
+ * @returns {Promise<Object>} The priced line items, the subtotal, and any problems found.
+ */
+async function priceOrderItems(items) {
+    const invalidItems = [];
+    const requested = [];
+    items.forEach((item, index) => {
+        const id = Number(item && item.id);
+        const quantity = Number(item && item.quantity);
+        if (!Number.isInteger(id) || !Number.isInteger(quantity) || quantity < 1) {
+            invalidItems.push({ index, id: item && item.id, quantity: item && item.quantity });
+            return;
+        }
+        requested.push({ index, id, quantity, variantRef: item.variantId ?? item.sku });
+    });
+
+    const requestedIds = [...new Set(requested.map(r => r.id))];
+    const products = await Product.find({ legacyId: { $in: requestedIds }, archived: { $ne: true } }).lean();
+    const productMap = new Map(products.map(p => [p.legacyId, p]));
+    const missingIds = requestedIds.filter(id => !productMap.has(id));
+
+    // Merge duplicate lines for the same variant into a single quantity
+    const lines = new Map();
+    for (const { index, id, quantity, variantRef } of requested) {
+        const product = productMap.get(id);
+        if (!product) continue;
+        const variant = findVariant(product, variantRef);
+        if (!variant) {
+            invalidItems.push({
+                index, id, quantity, variant: variantRef,
+                error: !variantRef ? 'This product comes in several variants; choose one.' : 'Unknown variant.'
+            });
+            continue;
+        }
+        const key = String(variant._id);
+        if (lines.has(key)) {
+            lines.get(key).quantity += quantity;
+            continue;
+        }
+        lines.set(key, {
+            id,
+            variantId: variant._id,
+            sku: variant.sku,
+            variant: variantLabel(variant),
+            name: product.name,
+            quantity,
+            price: variant.price,
+            category: product.category || [],
+            hsnCode: product.hsnCode,
+            gstRate: typeof product.gstRate === 'number' ? product.gstRate : DEFAULT_GST_RATE,
+            weightGrams: typeof variant.weightGrams === 'number' ? variant.weightGrams : DEFAULT_ITEM_WEIGHT_GRAMS,
+            handlingDays: typeof product.handlingDays === 'number' ? product.handlingDays : 1
+        });
+    }
+    const lineItems = [...lines.values()].map(line => ({ ...line, lineTotal: roundCurrency(line.price * line.quantity) }));
+    const subtotal = roundCurrency(lineItems.reduce((sum, item) => sum + item.lineTotal, 0));
+
+    return { lineItems, subtotal, missingIds, invalidItems };
+}
+
+// --- Payments ---
+// Each provider implements:
+//   createIntent(order) -> { intentId, redirectUrl?, clientDetails? }
+//   verifyWebhook(req)  -> { eventId, type: 'payment.succeeded' | 'payment.failed', intentId, amount, reason? }
+//                          or null when the signature doesn't check out.
+// Orders are only marked paid from a verified webhook, never from the browser.
+// Production must name a provider; elsewhere it can be left unset to take cash on delivery only.
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER;
+const MOCK_PAYMENT_ENABLED = PAYMENT_PROVIDER === 'mock';
+const MOCK_WEBHOOK_SECRET = process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+const paymentProviders = new Map();
+
+const registerPaymentProvider = (name, provider) => paymentProviders.set(name, provider);
+
+const signWebhookPayload = (payload, secret) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+// Constant-time comparison of two hex signatures.
+const signaturesMatch = (received, expected) => typeof received === 'string' &&
+    received.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+
+// A local stand-in for a real gateway, for testing only: anyone can settle its payments by
+// calling the simulate endpoint, which sends a signed webhook back to this server like a
+// real provider would. It's only registered when PAYMENT_PROVIDER=mock.
+if (MOCK_PAYMENT_ENABLED && process.env.NODE_ENV === 'production') {
+    console.error('FATAL ERROR: The mock payment provider cannot be used in production. Set PAYMENT_PROVIDER to a real provider.');
+    process.exit(1);
+}
+if (MOCK_PAYMENT_ENABLED && !MOCK_WEBHOOK_SECRET) {
+    console.error('FATAL ERROR: MOCK_PAYMENT_WEBHOOK_SECRET must be set to use the mock payment provider.');
+    process.exit(1);
+}
+if (MOCK_PAYMENT_ENABLED) registerPaymentProvider('mock', {
+    async createIntent(order) {
+        const intentId = `mock_pi_${crypto.randomBytes(12).toString('hex')}`;
+        return {
+            intentId,
+            clientDetails: { amount: order.total, currency: 'INR', simulateUrl: `/api/payments/mock/${intentId}/simulate` }
+        };
+    },
+    verifyWebhook(req) {
+        const expected = signWebhookPayload(req.rawBody || '', MOCK_WEBHOOK_SECRET);
+        if (!signaturesMatch(req.headers['x-mock-signature'], expected)) return null;
+        const { id, type, intentId, amount, reason } = req.body;
+        return { eventId: id, type, intentId, amount, reason };
+    }
+});
+
+if (process.env.NODE_ENV === 'production' && !PAYMENT_PROVIDER) {
+    console.error('FATAL ERROR: PAYMENT_PROVIDER is not set.');
+    process.exit(1);
+}
+if (PAYMENT_PROVIDER && !paymentProviders.has(PAYMENT_PROVIDER)) {
+    console.error(`FATAL ERROR: Unknown PAYMENT_PROVIDER "${PAYMENT_PROVIDER}".`);
+    process.exit(1);
+}
+
+/**
+ * Marks a pending payment as failed and cancels its order, returning the stock and coupon
+ * it was holding.
+ * @param {Object} order - The order.
+ * @param {string} actor - Who is failing it, for the status history.
+ * @param {string} [reason] - Why the payment failed.
+ * @returns {Promise<Object|null>} The failed order, or null if the payment was no longer pending.
+ */
+async function failPayment(order, actor, reason) {
+    const failedOrder = await Order.findOneAndUpdate(
+        { _id: order._id, 'payment.status': 'pending' },
+        { 'payment.status': 'failed', 'payment.failureReason': reason },
+        { new: true }
+    );
+    // A failed online payment means the order won't be fulfilled, so free up its stock
+    if (failedOrder && ORDER_TRANSITIONS[failedOrder.status].includes('cancelled')) {
+        await transitionOrder(failedOrder, 'cancelled', actor, { note: reason || 'Payment failed' });
+    }
+    return failedOrder;
+}
+
+/**
+ * Handles a verified payment event. Safe to call more than once for the same event:
+ * every update is conditional on the payment not having been received yet. A payment
+ * that succeeds after its order was cancelled is still recorded, and flagged for a refund.
+ * @param {string} providerName - The provider that sent the event.
+ * @param {Object} event - The normalised event from the provider's verifyWebhook.
+ */
+async function applyPaymentEvent(providerName, event) {
+    const order = await Order.findOne({ 'payment.provider': providerName, 'payment.intentId': event.intentId });
+    if (!order) {
+        console.error(`Payment event ${event.eventId} refers to unknown intent ${event.intentId}.`);
+        return;
+    }
+
+    if (event.type === 'payment.succeeded') {
+        if (roundCurrency(Number(event.amount)) !== order.total) {
+            console.error(`Payment for ${order.orderId} was ${event.amount}, expected ${order.total}. Not marking as paid.`);
+            return;
+        }
+        // A payment we gave up on (expired or reported failed) can still go through
+        const paidOrder = await Order.findOneAndUpdate(
+            { _id: order._id, 'payment.status': { $in: ['pending', 'failed'] } },
+            { 'payment.status': 'paid', 'payment.paidAt': new Date() },
+            { new: true }
+        );
+        if (!paidOrder) return;
+        console.log(`Order ${order.orderId} paid via ${providerName}.`);
+        // The order won't be fulfilled, so the money has to go back. Orders cancelled from
+        // now on are flagged by transitionOrder.
+        if (paidOrder.status === 'cancelled') {
+            console.error(`Payment for ${order.orderId} arrived after it was cancelled. Refund it through ${providerName}.`);
+            queueEmail(ADMIN_NOTIFY_EMAIL, 'adminRefundDue', paidOrder);
+        }
+    } else if (event.type === 'payment.failed') {
+        await failPayment(order, `payment:${providerName}`, event.reason);
+    }
+}
+
+// Online orders hold stock and coupon uses from checkout. If the shopper never completes
+// the payment, no webhook comes, so after PAYMENT_EXPIRY_MINUTES we give up on it.
+const PAYMENT_EXPIRY_MINUTES = Number(process.env.PAYMENT_EXPIRY_MINUTES) || 60;
+const PAYMENT_EXPIRY_WORKER_INTERVAL_MS = 5 * 60 * 1000;
+
+async function expireStalePayments() {
+    const cutoff = new Date(Date.now() - PAYMENT_EXPIRY_MINUTES * 60 * 1000);
+    // Unpaid online orders can't be confirmed, so they're all still pending. One with a failed
+    // payment is left over from a cancellation that didn't finish, and is cancelled again.
+    const stale = await Order.find({
+        status: 'pending',
+        'payment.method': 'online',
+        'payment.status': { $in: ['pending', 'failed'] },
+        date: { $lt: cutoff }
+    }).limit(100);
+    for (const order of stale) {
+        if (order.payment.status === 'failed') {
+            await transitionOrder(order, 'cancelled', 'system:payment-expiry', { note: order.payment.failureReason || 'Payment failed' });
+        } else if (await failPayment(order, 'system:payment-expiry', 'Payment not completed in time')) {
+            console.log(`Payment for order ${order.orderId} expired.`);
+        }
+    }
+}
+
+function startPaymentExpiryWorker() {
+    let running = false;
+    const run = async () => {
+        if (running) return;
+        running = true;
+        try {
+            await expireStalePayments();
+        } catch (error) {
+            console.error('Payment expiry worker error:', error);
+        } finally {
+            running = false;
+        }
+    };
+    run();
+    setInterval(run, PAYMENT_EXPIRY_WORKER_INTERVAL_MS);
+    console.log('Payment expiry worker started.');
+}
+
+app.post('/api/payments/webhook/:provider', async (req, res) => {
+    const providerName = req.params.provider;
+    const provider = paymentProviders.get(providerName);
+    if (!provider) {
+        return res.status(404).json({ error: 'Unknown payment provider.' });
+    }
+    const event = provider.verifyWebhook(req);
+    if (!event || !event.eventId || !event.intentId) {
+        return res.status(400).json({ error: 'Invalid webhook signature or payload.' });
+    }
+
+    try {
+        await PaymentEvent.create({ provider: providerName, eventId: event.eventId, type: event.type, intentId: event.intentId });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.json({ received: true, duplicate: true }); // Already handled this delivery
+        }
+        console.error('Error recording payment event:', error);
+        return res.status(500).json({ error: 'Failed to record payment event.' });
+    }
+
+    try {
+        await applyPaymentEvent(providerName, event);
+        res.json({ received: true });
+    } catch (error) {
+        // Forget the event so the provider's retry gets processed
+        await PaymentEvent.deleteOne({ provider: providerName, eventId: event.eventId }).catch(() => {});
+        console.error('Error processing payment webhook:', error);
+        res.status(500).json({ error: 'Failed to process payment webhook.' });
+    }
+});
+
+// Mock provider only: settle a payment as a real gateway would, optionally after a delay.
+if (MOCK_PAYMENT_ENABLED) app.post('/api/payments/mock/:intentId/simulate', async (req, res) => {
+    const { outcome = 'success', delayMs = 0 } = req.body || {};
+    if (!['success', 'failure'].includes(outcome)) {
+        return res.status(400).json({ error: 'Outcome must be success or failure.' });
+    }
+
+    try {
+        const order = await Order.findOne({ 'payment.provider': 'mock', 'payment.intentId': req.params.intentId }).lean();
+        if (!order) {
+            return res.status(404).json({ error: 'Payment intent not found.' });
+        }
+
+        const payload = JSON.stringify({
+            id: `mock_evt_${crypto.randomBytes(12).toString('hex')}`,
+            type: outcome === 'success' ? 'payment.succeeded' : 'payment.failed',
+            intentId: req.params.intentId,
+            amount: order.total,
+            reason: outcome === 'failure' ? 'Card declined (simulated)' : undefined
+        });
+        const sendWebhook = () => fetch(`http://localhost:${PORT}/api/payments/webhook/mock`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'x-mock-signature': signWebhookPayload(payload, MOCK_WEBHOOK_SECRET) },
+            body: payload
+        }).catch(err => console.error('Mock payment webhook failed:', err));
+
+        const delay = Math.min(Math.max(Number(delayMs) || 0, 0), 5 * 60 * 1000);
+        setTimeout(sendWebhook, delay);
+        res.status(202).json({ message: `Webhook for ${outcome} will be sent in ${delay}ms.`, payload: JSON.parse(payload) });
+    } catch (error) {
+        console.error('Error simulating payment:', error);
+        res.status(500).json({ error: 'Failed to simulate payment.' });
+    }
+});
+
+// --- Coupons ---
+
+// Identifies a shopper for per-customer coupon limits.
+const getCustomerKey = (customer, email) => customer ? String(customer._id) : String(email || '').toLowerCase().trim();
+
+/**
+ * Works out what a coupon is worth for a priced cart.
+ * @param {string} code - The coupon code as typed.
+ * @param {Array} lineItems - Line items from priceOrderItems.
+ * @param {string} customerKey - Who is using the coupon (see getCustomerKey).
+ * @returns {Promise<Object>} { coupon, discount } when it applies, or { error } explaining why not.
+ */
+async function evaluateCoupon(code, lineItems, customerKey) {
+    const coupon = await Coupon.findOne({ code: String(code).toUpperCase().trim() });
+    const now = new Date();
+    if (!coupon || !coupon.active) return { error: 'This coupon code is not valid.' };
+    if (coupon.startsAt && coupon.startsAt > now) return { error: 'This coupon is not active yet.' };
+    if (coupon.endsAt && coupon.endsAt < now) return { error: 'This coupon has expired.' };
+    if (coupon.usageLimit && coupon.redemptionCount >= coupon.usageLimit) {
+        return { error: 'This coupon has reached its usage limit.' };
+    }
+    if (coupon.perCustomerLimit) {
+        const used = await CouponRedemption.countDocuments({ couponId: coupon._id, customerKey });
+        if (used >= coupon.perCustomerLimit) return { error: 'You have already used this coupon.' };
+    }
+
+    const { categories = [], productIds = [] } = coupon.scope || {};
+    const isScoped = categories.length > 0 || productIds.length > 0;
+    const eligibleItems = lineItems.filter(item => !isScoped ||
+        productIds.includes(item.id) || item.category.some(c => categories.includes(c)));
+    const eligibleSubtotal = roundCurrency(eligibleItems.reduce((sum, item) => sum + item.lineTotal, 0));
+
+    if (eligibleItems.length === 0) return { error: 'This coupon does not apply to any items in your cart.' };
+    if (eligibleSubtotal < coupon.minOrderValue) {
+        return { error: `Add items worth ₹${roundCurrency(coupon.minOrderValue - eligibleSubtotal)} more to use this coupon.` };
+    }
+
+    let discount = coupon.type === 'percentage' ? eligibleSubtotal * coupon.value / 100 : coupon.value;
+    if (coupon.maxDiscount !== undefined && coupon.maxDiscount !== null) discount = Math.min(discount, coupon.maxDiscount);
+    discount = roundCurrency(Math.min(discount, eligibleSubtotal));
+    return { coupon, discount, eligibleIds: eligibleItems.map(item => item.id) };
+}
+
+/**
+ * Records a coupon use. The count is bumped with a conditional update so that two
+ * checkouts racing for the last use can't both get it.
+ * @returns {Promise<boolean>} False if the usage limit was reached in the meantime.
+ */
+async function redeemCoupon(coupon, orderId, customerKey, discount) {
+    const filter = { _id: coupon._id };
+    if (coupon.usageLimit) filter.redemptionCount = { $lt: coupon.usageLimit };
+    const updated = await Coupon.findOneAndUpdate(filter, { $inc: { redemptionCount: 1 } });
+    if (!updated) return false;
+    await CouponRedemption.create({ couponId: coupon._id, orderId, customerKey, discount });
+    return true;
+}
+
+// Gives a coupon use back, e.g. when the order it was used on is cancelled.
+async function releaseCoupon(couponId, orderId) {
+    const { deletedCount } = await CouponRedemption.deleteOne({ couponId, orderId });
+    if (deletedCount > 0) {
+        await Coupon.updateOne({ _id: couponId, redemptionCount: { $gt: 0 } }, { $inc: { redemptionCount: -1 } });
+    }
+}
+
+app.post('/api/coupons/validate', attachCustomer, rateLimit('coupons'), async (req, res) => {
+    try {
+        const { code, items, email } = req.body;
+        if (!code || !Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({ error: 'A coupon code and cart items are required.' });
+        }
+        const { lineItems, subtotal, missingIds, invalidItems } = await priceOrderItems(items);
+        if (invalidItems.length > 0 || missingIds.length > 0) {
+            return res.status(400).json({ error: 'Some cart items are invalid.', details: { invalidItems, missingIds } });
+        }
+
+        const { coupon, discount, error } = await evaluateCoupon(code, lineItems, getCustomerKey(req.customer, email));
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        res.json({
+            code: coupon.code,
+            description: coupon.description,
+            discount,
+            subtotal,
+            total: roundCurrency(subtotal - discount)
+        });
+    } catch (error) {
+        console.error('Error validating coupon:', error);
+        res.status(500).json({ error: 'Failed to validate coupon.' });
+    }
+});
+
+// --- GST and Invoices ---
+// Catalog prices include GST, so tax is taken out of what the customer pays rather than
+// added on top: a ₹105 item at 5% is ₹100 taxable value plus ₹5 GST.
+const DEFAULT_GST_RATE = Number(process.env.DEFAULT_GST_RATE ?? 5);
+const SHOP_DETAILS = {
+    name: process.env.SHOP_LEGAL_NAME || 'Brundavanam Goshala',
+    address: process.env.SHOP_ADDRESS || '4-8, Manyam Parvathipuram District, Andhra Pradesh, India - 535592',
+    state: process.env.SHOP_GST_STATE || 'Andhra Pradesh', // Where we're registered for GST
+    gstin: process.env.SHOP_GSTIN
+};
+
+// GST state codes, used to recognise the shipping state and print the place of supply.
+const GST_STATE_CODES = {
+    'Jammu and Kashmir': '01', 'Himachal Pradesh': '02', 'Punjab': '03', 'Chandigarh': '04', 'Uttarakhand': '05',
+    'Haryana': '06', 'Delhi': '07', 'Rajasthan': '08', 'Uttar Pradesh': '09', 'Bihar': '10', 'Sikkim': '11',
+    'Arunachal Pradesh': '12', 'Nagaland': '13', 'Manipur': '14', 'Mizoram': '15', 'Tripura': '16', 'Meghalaya': '17',
+    'Assam': '18', 'West Bengal': '19', 'Jharkhand': '20', 'Odisha': '21', 'Chhattisgarh': '22', 'Madhya Pradesh': '23',
+    'Gujarat': '24', 'Dadra and Nagar Haveli and Daman and Diu': '26', 'Maharashtra': '27', 'Karnataka': '29', 'Goa': '30',
+    'Lakshadweep': '31', 'Kerala': '32', 'Tamil Nadu': '33', 'Puducherry': '34', 'Andaman and Nicobar Islands': '35',
+    'Telangana': '36', 'Andhra Pradesh': '37', 'Ladakh': '38'
+};
+const GST_STATE_ALIASES = { 'orissa': 'Odisha', 'pondicherry': 'Puducherry', 'new delhi': 'Delhi', 'uttaranchal': 'Uttarakhand', 'ap': 'Andhra Pradesh', 'ts': 'Telangana', 'tn': 'Tamil Nadu' };
+
+const normaliseStateName = (name) => String(name || '').toLowerCase().replace(/&/g, 'and').replace(/[^a-z]+/g, ' ').trim();
+
+/**
+ * Recognises a typed-in state name (any case, "&" for "and", common old names).
+ * @param {string} name - The state from an address.
+ * @returns {Object} { name, code }; unrecognised states are returned as typed, without a code.
+ */
+function resolveGstState(name) {
+    const key = normaliseStateName(name);
+    const known = GST_STATE_ALIASES[key] || Object.keys(GST_STATE_CODES).find(state => normaliseStateName(state) === key);
+    return known ? { name: known, code: GST_STATE_CODES[known] } : { name: String(name || '').trim() };
+}
+
+/**
+ * Works out the GST in an order's lines. Any discount is shared out over the lines it
+ * applied to in proportion to their value, since tax is due on what was actually paid.
+ * @param {Array} lineItems - Lines with { id, price, quantity, hsnCode, gstRate }; lines with
+ *   `discountable: false` (e.g. shipping) never take a share of the discount.
+ * @param {string} state - The shipping state, which decides CGST/SGST or IGST.
+ * @param {Object} [discount] - { amount, eligibleIds }: the discount and the product ids it applied to (all if omitted).
+ * @returns {Object} { items: the tax fields for each line, in order, tax: the order totals }.
+ */
+function calculateGst(lineItems, state, { amount = 0, eligibleIds } = {}) {
+    const placeOfSupply = resolveGstState(state);
+    const intraState = normaliseStateName(placeOfSupply.name) === normaliseStateName(SHOP_DETAILS.state);
+
+    const lineTotals = lineItems.map(item => roundCurrency(item.price * item.quantity));
+    const eligible = lineItems.map(item => item.discountable !== false && (!eligibleIds || eligibleIds.includes(item.id)));
+    const eligibleTotal = lineTotals.reduce((sum, total, i) => sum + (eligible[i] ? total : 0), 0);
+    let discountLeft = roundCurrency(amount);
+    const lastEligible = eligible.lastIndexOf(true);
+
+    const items = lineItems.map((item, i) => {
+        let share = 0;
+        if (eligible[i] && eligibleTotal > 0) {
+            // The last line takes whatever rounding left over, so the shares add up exactly
+            share = i === lastEligible ? discountLeft : roundCurrency(amount * lineTotals[i] / eligibleTotal);
+            discountLeft = roundCurrency(discountLeft - share);
+        }
+        const gstRate = typeof item.gstRate === 'number' ? item.gstRate : DEFAULT_GST_RATE;
+        const paid = roundCurrency(lineTotals[i] - share);
+        const tax = roundCurrency(paid * gstRate / (100 + gstRate));
+        const cgst = intraState ? roundCurrency(tax / 2) : 0;
+        return {
+            hsnCode: item.hsnCode,
+            gstRate,
+            taxableValue: roundCurrency(paid - tax),
+            cgst,
+            sgst: intraState ? roundCurrency(tax - cgst) : 0,
+            igst: intraState ? 0 : tax
+        };
+    });
+
+    const sum = (field) => roundCurrency(items.reduce((total, item) => total + item[field], 0));
+    const tax = {
+        supplyType: intraState ? 'intra_state' : 'inter_state',
+        placeOfSupply: placeOfSupply.code ? `${placeOfSupply.name} (${placeOfSupply.code})` : placeOfSupply.name,
+        taxableValue: sum('taxableValue'),
+        cgst: sum('cgst'),
+        sgst: sum('sgst'),
+        igst: sum('igst')
+    };
+    tax.totalTax = roundCurrency(tax.cgst + tax.sgst + tax.igst);
+    return { items, tax };
+}
+
+// Indian financial years run April to March, e.g. "2026-27".
+const financialYear = (date) => {
+    const local = new Date(date.getTime() + SHOP_UTC_OFFSET_MS);
+    const startYear = local.getUTCMonth() >= 3 ? local.getUTCFullYear() : local.getUTCFullYear() - 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * Gives an order its invoice number, the next in the current financial year. Orders from
+ * before GST tracking get their tax worked out first, from the products' current rates.
+ * @param {Object} order - The order document.
+ * @returns {Promise<Object>} The order with its invoice (unchanged if it already had one).
+ */
+async function issueInvoice(order) {
+    if (order.invoice && order.invoice.number) return order;
+
+    const update = {};
+    if (!order.tax || !order.tax.supplyType) {
+        const products = await Product.find({ legacyId: { $in: order.items.map(i => i.id) } }, { legacyId: 1, hsnCode: 1, gstRate: 1 }).lean();
+        const productMap = new Map(products.map(p => [p.legacyId, p]));
+        const lines = order.items.map(item => ({ ...item.toObject(), ...(productMap.get(item.id) && {
+            hsnCode: productMap.get(item.id).hsnCode,
+            gstRate: productMap.get(item.id).gstRate
+        }) }));
+        const gst = calculateGst(lines, order.user.state, { amount: order.discount });
+        update.tax = gst.tax;
+        update.items = lines.map((line, i) => ({ ...line, ...gst.items[i] }));
+    }
+
+    // GST invoice numbers must have no gaps, so the order is claimed before a number is
+    // taken, and both happen in one transaction: a request that loses the race to number
+    // the order takes no number, and one that fails partway gives its number back.
+    const session = await mongoose.startSession();
+    let updated = null;
+    try {
+        await session.withTransaction(async () => {
+            updated = null;
+            const claimed = await Order.findOneAndUpdate(
+                { _id: order._id, 'invoice.number': { $exists: false } },
+                { $set: update },
+                { session }
+            );
+            if (!claimed) return;
+            const issuedAt = new Date();
+            const year = financialYear(issuedAt);
+            const seq = await nextSequence(`invoice:${year}`, session);
+            updated = await Order.findOneAndUpdate(
+                { _id: order._id },
+                { $set: { invoice: { number: `INV/${year}/${String(seq).padStart(5, '0')}`, financialYear: year, issuedAt } } },
+                { session, new: true }
+            );
+        });
+    } finally {
+        await session.endSession();
+    }
+    return updated || Order.findById(order._id);
+}
+
+// Everything printed on an invoice, shared by the HTML and PDF versions.
+function invoiceData(order) {
+    const intraState = order.tax.supplyType === 'intra_state';
+    return {
+        intraState,
+        lines: order.items.map((item, i) => ({
+            number: i + 1,
+            name: orderItemName(item),
+            hsnCode: item.hsnCode || '',
+            quantity: item.quantity,
+            gstRate: item.gstRate,
+            taxableValue: item.taxableValue,
+            cgst: item.cgst,
+            sgst: item.sgst,
+            igst: item.igst,
+            total: roundCurrency(item.taxableValue + item.cgst + item.sgst + item.igst)
+        })).concat(order.shipping && order.shipping.charge > 0 ? [{
+            number: order.items.length + 1,
+            name: `Shipping${order.shipping.zoneName ? ` (${order.shipping.zoneName})` : ''}`,
+            hsnCode: SHIPPING_SAC_CODE,
+            quantity: 1,
+            gstRate: order.shipping.gstRate,
+            taxableValue: order.shipping.taxableValue,
+            cgst: order.shipping.cgst,
+            sgst: order.shipping.sgst,
+            igst: order.shipping.igst,
+            total: order.shipping.charge
+        }] : []),
+        buyer: [
+            `${order.user.firstname} ${order.user.lastname}`,
+            order.user.address1,
+            order.user.address2,
+            `${order.user.city}, ${order.user.state} ${order.user.zip}`,
+            `Phone: ${order.user.phone}`
+        ].filter(Boolean)
+    };
+}
+
+function renderInvoiceHtml(order) {
+    const { intraState, lines, buyer } = invoiceData(order);
+    const taxHeaders = intraState ? '<th>CGST</th><th>SGST</th>' : '<th>IGST</th>';
+    const taxCells = (line) => intraState
+        ? `<td>${formatRupees(line.cgst)}</td><td>${formatRupees(line.sgst)}</td>`
+        : `<td>${formatRupees(line.igst)}</td>`;
+    return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>Invoice ${escapeHtml(order.invoice.number)}</title>
+<style>
+body { font-family: Arial, sans-serif; color: #292524; max-width: 900px; margin: 24px auto; font-size: 14px; }
+table { border-collapse: collapse; width: 100%; margin: 16px 0; }
+th, td { border: 1px solid #d6d3d1; padding: 6px; text-align: right; }
+th:nth-child(2), td:nth-child(2) { text-align: left; }
+.parties { display: flex; justify-content: space-between; gap: 24px; }
+@media print { button { display: none; } }
+</style></head><body>
+<button onclick="window.print()">Print</button>
+<h2 style="color: #166534;">Tax Invoice</h2>
+<div class="parties">
+<div><strong>${escapeHtml(SHOP_DETAILS.name)}</strong><br>${escapeHtml(SHOP_DETAILS.address)}${SHOP_DETAILS.gstin ? `<br>GSTIN: ${escapeHtml(SHOP_DETAILS.gstin)}` : ''}</div>
+<div>Invoice number: <strong>${escapeHtml(order.invoice.number)}</strong><br>Invoice date: ${order.invoice.issuedAt.toLocaleDateString('en-IN', { timeZone: SHOP_TIMEZONE })}<br>Order: ${escapeHtml(order.orderId)}<br>Place of supply: ${escapeHtml(order.tax.placeOfSupply)}</div>
+</div>
+<p><strong>Bill to / Ship to</strong><br>${buyer.map(escapeHtml).join('<br>')}</p>
+<table>
+<tr><th>#</th><th>Item</th><th>HSN</th><th>Qty</th><th>Taxable value</th><th>GST %</th>${taxHeaders}<th>Total</th></tr>
+${lines.map(line => `<tr><td>${line.number}</td><td>${escapeHtml(line.name)}</td><td>${escapeHtml(line.hsnCode)}</td><td>${line.quantity}</td><td>${formatRupees(line.taxableValue)}</td><td>${line.gstRate}%</td>${taxCells(line)}<td>${formatRupees(line.total)}</td></tr>`).join('\n')}
+<tr><td colspan="4"><strong>Total</strong></td><td>${formatRupees(order.tax.taxableValue)}</td><td></td>${taxCells(order.tax)}<td><strong>${formatRupees(order.total)}</strong></td></tr>
+</table>
+${order.discount ? `<p>Includes a discount of ${formatRupees(order.discount)}${order.coupon && order.coupon.code ? ` (${escapeHtml(order.coupon.code)})` : ''}.</p>` : ''}
+<p>Total GST: ${formatRupees(order.tax.totalTax)}. Payment: ${escapeHtml(order.payment.method === 'cod' ? 'Cash on delivery' : 'Online')} (${escapeHtml(order.payment.status)}).</p>
+</body></html>`;
+}
+
+/**
+ * Renders an invoice as a PDF. The built-in PDF fonts have no rupee sign, so amounts are
+ * written as "Rs.".
+ * @returns {Promise<Buffer>} The PDF file.
+ */
+function renderInvoicePdf(order) {
+    const { intraState, lines, buyer } = invoiceData(order);
+    const rs = (amount) => `Rs. ${Number(amount || 0).toFixed(2)}`;
+    const columns = [
+        { label: '#', width: 20, value: l => l.number },
+        { label: 'Item', width: intraState ? 145 : 170, value: l => l.name, align: 'left' },
+        { label: 'HSN', width: 45, value: l => l.hsnCode },
+        { label: 'Qty', width: 30, value: l => l.quantity },
+        { label: 'Taxable', width: 65, value: l => rs(l.taxableValue) },
+        { label: 'GST %', width: 35, value: l => l.gstRate },
+        ...(intraState
+            ? [{ label: 'CGST', width: 55, value: l => rs(l.cgst) }, { label: 'SGST', width: 55, value: l => rs(l.sgst) }]
+            : [{ label: 'IGST', width: 85, value: l => rs(l.igst) }]),
+        { label: 'Total', width: 65, value: l => rs(l.total) }
+    ];
+
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 40 });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        doc.fontSize(16).fillColor('#166534').text('Tax Invoice').fillColor('#292524').moveDown(0.5);
+        doc.fontSize(10).font('Helvetica-Bold').text(SHOP_DETAILS.name).font('Helvetica').text(SHOP_DETAILS.address);
+        if (SHOP_DETAILS.gstin) doc.text(`GSTIN: ${SHOP_DETAILS.gstin}`);
+        doc.moveDown(0.5)
+            .text(`Invoice number: ${order.invoice.number}`)
+            .text(`Invoice date: ${order.invoice.issuedAt.toLocaleDateString('en-IN', { timeZone: SHOP_TIMEZONE })}`)
+            .text(`Order: ${order.orderId}`)
+            .text(`Place of supply: ${order.tax.placeOfSupply}`)
+            .moveDown(0.5)
+            .font('Helvetica-Bold').text('Bill to / Ship to').font('Helvetica');
+        buyer.forEach(line => doc.text(line));
+        doc.moveDown();
+
+        const drawRow = (values, bold) => {
+            const y = doc.y;
+            let x = doc.page.margins.left;
+            let height = 0;
+            doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+            columns.forEach((column, i) => {
+                const text = String(values[i] ?? '');
+                doc.text(text, x, y, { width: column.width - 4, align: column.align || 'right' });
+                height = Math.max(height, doc.heightOfString(text, { width: column.width - 4 }));
+                x += column.width;
+            });
+            doc.x = doc.page.margins.left;
+            doc.y = y + height + 6;
+        };
+        drawRow(columns.map(c => c.label), true);
+        lines.forEach(line => drawRow(columns.map(c => c.value(line))));
+        const totals = { number: '', name: 'Total', hsnCode: '', quantity: '', gstRate: '', ...order.tax, total: order.total };
+        drawRow(columns.map(c => c.value(totals)), true);
+
+        doc.moveDown();
+        if (order.discount) doc.text(`Includes a discount of ${rs(order.discount)}${order.coupon && order.coupon.code ? ` (${order.coupon.code})` : ''}.`);
+        doc.text(`Total GST: ${rs(order.tax.totalTax)}. Payment: ${order.payment.method === 'cod' ? 'Cash on delivery' : 'Online'} (${order.payment.status}).`);
+        doc.end();
+    });
+}
+
+/**
+ * Sends an order's invoice as HTML (default) or, with ?format=pdf, as a PDF download.
+ * The invoice is issued first if the order is confirmed but doesn't have one yet.
+ */
+async function sendInvoice(req, res, order) {
+    const invoiceable = ['confirmed', 'packed', 'shipped', 'delivered'].includes(order.status);
+    if (!invoiceable && !(order.invoice && order.invoice.number)) {
+        return res.status(409).json({ error: 'An invoice is issued once the order has been confirmed.' });
+    }
+    const invoiced = await issueInvoice(order);
+    const fileName = `invoice-${invoiced.invoice.number.replace(/\//g, '-')}`;
+    if (req.query.format === 'pdf') {
+        res.header('Content-Type', 'application/pdf');
+        res.attachment(`${fileName}.pdf`);
+        return res.send(await renderInvoicePdf(invoiced));
+    }
+    res.type('html').send(renderInvoiceHtml(invoiced));
+}
+
+// Customers can fetch invoices for their own orders; guests confirm the order's email with ?email=.
+app.get('/api/orders/:orderId/invoice', attachCustomer, async (req, res) => {
+    try {
+        const order = await Order.findOne({ orderId: req.params.orderId });
+        const isOwner = order && ((req.customer && order.customerId && order.customerId.equals(req.customer._id)) ||
+            (req.query.email && String(req.query.email).trim().toLowerCase() === order.user.email.toLowerCase()));
+        if (!isOwner) {
+            return res.status(404).json({ error: 'Order not found.' });
+        }
+        await sendInvoice(req, res, order);
+    } catch (error) {
+        console.error('Error rendering invoice:', error);
+        res.status(500).json({ error: 'Failed to render invoice.' });
+    }
+});
+
+app.get('/api/admin/orders/:orderId/invoice', requireAdmin('order_manager'), async (req, res) => {
+    try {
+        const order = await Order.findOne({ orderId: req.params.orderId });
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found.' });
+        }
+        await sendInvoice(req, res, order);
+    } catch (error) {
+        console.error('Error rendering invoice:', error);
+        res.status(500).json({ error: 'Failed to render invoice.' });
+    }
+});
+
+// --- Shipping ---
+// Shipping is charged per order from the zone the delivery pincode (or state) falls in.
+// It's taxed as part of the order at the highest GST rate among its items, and listed on
+// invoices under the SAC code for courier services.
+const DEFAULT_ITEM_WEIGHT_GRAMS = 500; // For variants without a weight
+const SHIPPING_SAC_CODE = '996812';
+const PINCODE_PATTERN = /^[1-9]\d{5}$/;
+
+/**
+ * Finds the zone that delivers to a pincode. Pincode ranges win over states (the
+ * narrowest range first), and the default zone catches the rest.
+ * @param {string} pincode - The six-digit delivery pincode.
+ * @param {string} [state] - The delivery state, for zones defined by state.
+ * @returns {Promise<Object|null>} The zone, or null if we don't deliver there.
+ */
+async function findShippingZone(pincode, state) {
+    const zones = await ShippingZone.find({ active: true }).lean();
+    const pin = Number(pincode);
+    const rangeSize = (zone) => Math.min(...zone.pincodeRanges
+        .filter(r => pin >= r.from && pin <= r.to)
+        .map(r => r.to - r.from));
+    const byPincode = zones.filter(zone => zone.pincodeRanges.some(r => pin >= r.from && pin <= r.to));
+    if (byPincode.length > 0) return byPincode.sort((a, b) => rangeSize(a) - rangeSize(b))[0];
+
+    const stateKey = state && normaliseStateName(resolveGstState(state).name);
+    const byState = stateKey && zones.find(zone => zone.states.some(s => normaliseStateName(resolveGstState(s).name) === stateKey));
+    return byState || zones.find(zone => zone.isDefault) || null;
+}
+
+/**
+ * What a zone charges for a parcel.
+ * @param {Object} zone - The shipping zone.
+ * @param {number} weightGrams - The parcel's total weight.
+ * @param {number} subtotal - The value of the items, before discounts.
+ * @returns {number} The shipping charge.
+ */
+function shippingCharge(zone, weightGrams, subtotal) {
+    if (typeof zone.freeShippingThreshold === 'number' && subtotal >= zone.freeShippingThreshold) return 0;
+    if (zone.rateType === 'flat') return zone.flatRate;
+    const extraWeight = Math.max(weightGrams - zone.baseWeightGrams, 0);
+    return roundCurrency(zone.baseRate + Math.ceil(extraWeight / zone.additionalWeightGrams) * zone.additionalRate);
+}
+
+/**
+ * Estimates the delivery window: the slowest item's handling time, then the zone's transit
+ * time, counted in working days (Sundays are skipped) from today in shop time.
+ * @returns {Object} { from, to } as YYYY-MM-DD dates.
+ */
+function estimateDelivery(handlingDays, transitDays, now = new Date()) {
+    const addWorkingDays = (start, days) => {
+        const date = new Date(start);
+        for (let left = days; left > 0;) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            if (date.getUTCDay() !== 0) left--;
+        }
+        return date;
+    };
+    // Shift into shop time and read it back with the UTC getters
+    const shipped = addWorkingDays(new Date(now.getTime() + SHOP_UTC_OFFSET_MS), handlingDays);
+    return {
+        from: addWorkingDays(shipped, transitDays.min).toISOString().slice(0, 10),
+        to: addWorkingDays(shipped, Math.max(transitDays.max, transitDays.min)).toISOString().slice(0, 10)
+    };
+}
+
+/**
+ * Quotes shipping for priced line items (from priceOrderItems).
+ * @param {Array} lineItems - The priced lines, with weightGrams and handlingDays.
+ * @param {number} subtotal - Their value before discounts.
+ * @param {Object} destination - { pincode, state }.
+ * @returns {Promise<Object>} The quote, or { error } if we can't deliver there.
+ */
+async function quoteShipping(lineItems, subtotal, { pincode, state }) {
+    const pin = String(pincode || '').trim();
+    if (!PINCODE_PATTERN.test(pin)) return { error: 'Please enter a valid 6-digit pincode.' };
+    const zone = await findShippingZone(pin, state);
+    if (!zone) return { error: 'Sorry, we do not deliver to this pincode yet.' };
+
+    const weightGrams = lineItems.reduce((sum, item) => sum + item.weightGrams * item.quantity, 0);
+    const handlingDays = Math.max(0, ...lineItems.map(item => item.handlingDays));
+    const hasThreshold = typeof zone.freeShippingThreshold === 'number';
+    return {
+        pincode: pin,
+        zone: { id: zone._id, name: zone.name },
+        charge: shippingCharge(zone, weightGrams, subtotal),
+        weightGrams,
+        freeShippingThreshold: hasThreshold ? zone.freeShippingThreshold : undefined,
+        amountToFreeShipping: hasThreshold ? roundCurrency(Math.max(zone.freeShippingThreshold - subtotal, 0)) : undefined,
+        estimatedDelivery: estimateDelivery(handlingDays, zone.transitDays)
+    };
+}
+
+// The GST line for an order's shipping charge, taxed at its items' highest rate.
+const shippingTaxLine = (lineItems, charge) => ({
+    id: 'shipping',
+    price: charge,
+    quantity: 1,
+    hsnCode: SHIPPING_SAC_CODE,
+    gstRate: Math.max(0, ...lineItems.map(item => item.gstRate)),
+    discountable: false
+});
+
+// Quotes shipping and a delivery estimate for { pincode, state?, items? }. Without items,
+// the shopper's cart is quoted.
+app.post('/api/shipping/quote', attachCustomer, async (req, res) => {
+    try {
+        let { items } = req.body;
+        if (!items) {
+            const { cart } = await resolveCart(req);
+            items = cart ? cart.items.map(({ id, variantId, quantity }) => ({ id, variantId: String(variantId), quantity })) : [];
+        }
+        if (!Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({ error: 'There is nothing to ship yet.' });
+        }
+        const { lineItems, subtotal, missingIds, invalidItems } = await priceOrderItems(items);
+        if (invalidItems.length > 0 || missingIds.length > 0) {
+            return res.status(400).json({ error: 'Some cart items are invalid.', details: { invalidItems, missingIds } });
+        }
+        const quote = await quoteShipping(lineItems, subtotal, req.body);
+        if (quote.error) {
+            return res.status(400).json({ error: quote.error, details: { pincode: req.body.pincode } });
+        }
+        res.json({ ...quote, subtotal, total: roundCurrency(subtotal + quote.charge) });
+    } catch (error) {
+        console.error('Error quoting shipping:', error);
+        res.status(500).json({ error: 'Failed to quote shipping.' });
+    }
+});
+
+// --- Shipping Admin Endpoints ---
+app.get('/api/admin/shipping-zones', requireAdmin('order_manager'), async (req, res) => {
+    try {
+        const zones = await ShippingZone.find().sort({ isDefault: 1, name: 1 });
+        res.json(zones);
+    } catch (error) {
+        console.error('Error fetching shipping zones:', error);
+        res.status(500).json({ error: 'Failed to fetch shipping zones.' });
+    }
+});
+
+app.post('/api/admin/shipping-zones', requireAdmin('order_manager'), async (req, res) => {
+    try {
+        const zone = await ShippingZone.create(req.body);
+        await recordAudit(req, { action: 'shipping_zone.create', entityType: 'shipping_zone', entityId: zone._id, after: zone });
+        res.status(201).json(zone);
+    } catch (error) {
+        console.error('Error creating shipping zone:', error);
+        res.status(400).json({ error: 'Failed to create shipping zone.', details: error.message });
+    }
+});
+
+app.put('/api/admin/shipping-zones/:id', requireAdmin('order_manager'), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid shipping zone ID format.' });
+        }
+        const zone = await ShippingZone.findById(req.params.id);
+        if (!zone) {
+            return res.status(404).json({ error: 'Shipping zone not found.' });
+        }
+        const before = auditSnapshot(zone);
+        zone.set(req.body);
+        await zone.save(); // save() so the pincode range validator can compare from and to
+        await recordAudit(req, { action: 'shipping_zone.update', entityType: 'shipping_zone', entityId: zone._id, before, after: zone });
+        res.json(zone);
+    } catch (error) {
+        console.error('Error updating shipping zone:', error);
+        res.status(400).json({ error: 'Failed to update shipping zone.', details: error.message });
+    }
+});
+
+app.delete('/api/admin/shipping-zones/:id', requireAdmin('order_manager'), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid shipping zone ID format.' });
+        }
+        const zone = await ShippingZone.findByIdAndDelete(req.params.id);
+        if (!zone) return res.status(404).json({ error: 'Shipping zone not found.' });
+        await recordAudit(req, { action: 'shipping_zone.delete', entityType: 'shipping_zone', entityId: zone._id, before: zone });
+        res.json({ message: 'Shipping zone deleted successfully.' });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to delete shipping zone.' });
+    }
+});
+
+// --- Cart ---
+// Guests send their cart token in the X-Cart-Token header; logged-in customers can also
+// just send their session token. A token is returned whenever a new cart is created.
+
+/**
+ * Finds the cart for a request. A guest cart presented by a logged-in customer is attached
+ * to their account, taking in the items of any cart they already had.
+ * @param {Object} req - The request (after attachCustomer).
+ * @param {boolean} [create] - Whether to start a new cart if there is none.
+ * @returns {Promise<Object>} { cart, token }: token is only set for a newly created cart.
+ */
+async function resolveCart(req, create = false) {
+    const token = req.get('X-Cart-Token');
+    let cart = token ? await Cart.findOne({ tokenHash: hashToken(token) }) : null;
+    if (cart && cart.customerId && !(req.customer && cart.customerId.equals(req.customer._id))) {
+        cart = null; // Another customer's cart; the token alone isn't enough to use it
+    }
+
+    if (req.customer) {
+        const ownCart = await Cart.findOne({ customerId: req.customer._id, ...(cart ? { _id: { $ne: cart._id } } : {}) });
+        if (cart && !cart.customerId) {
+            cart.customerId = req.customer._id;
+            if (ownCart) {
+                mergeCartItems(cart, ownCart.items);
+                await ownCart.deleteOne();
+            }
+            await cart.save();
+        } else if (!cart) {
+            cart = ownCart;
+        }
+    }
+
+    if (cart || !create) return { cart };
+    const newToken = crypto.randomBytes(32).toString('hex');
+    cart = new Cart({ tokenHash: hashToken(newToken), customerId: req.customer ? req.customer._id : undefined });
+    return { cart, token: newToken };
+}
+
+/**
+ * Adds items to a cart. Items already in it keep the larger of the two quantities, so
+ * merging the same cart twice doesn't double anything.
+ * @param {Object} cart - The cart document.
+ * @param {Array} items - Items in cart form ({ id, variantId, quantity, price }).
+ */
+function mergeCartItems(cart, items) {
+    for (const item of items) {
+        const existing = cart.items.find(i => i.variantId.equals(item.variantId));
+        if (existing) existing.quantity = Math.max(existing.quantity, item.quantity);
+        else cart.items.push({ id: item.id, variantId: item.variantId, quantity: item.quantity, price: item.price });
+    }
+}
+
+/**
+ * Prices a cart against the catalog. Items whose product or variant has been deleted or
+ * archived are removed, and repriced items are updated; both are reported as notices
+ * (once) so the storefront can tell the shopper. Saves the cart if anything changed.
+ * @param {Object} cart - The cart document.
+ * @returns {Promise<Object>} The priced lines, item count, subtotal and notices.
+ */
+async function priceCart(cart) {
+    const products = await Product.find({ legacyId: { $in: cart.items.map(i => i.id) } }).lean();
+    const productMap = new Map(products.map(p => [p.legacyId, p]));
+    const notices = [];
+    const lines = [];
+
+    const kept = cart.items.filter(item => {
+        const product = productMap.get(item.id);
+        const variant = product && !product.archived && findVariant(product, item.variantId);
+        if (!variant) {
+            notices.push({
+                type: 'removed',
+                id: item.id,
+                name: product ? product.name : undefined,
+                message: `${product ? product.name : 'A product'} is no longer available and was removed from your cart.`
+            });
+            return false;
+        }
+        if (variant.price !== item.price) {
+            notices.push({
+                type: 'price_changed',
+                id: item.id,
+                itemId: item._id,
+                name: product.name,
+                from: item.price,
+                to: variant.price,
+                message: `The price of ${product.name} changed from ${formatRupees(item.price)} to ${formatRupees(variant.price)}.`
+            });
+            item.price = variant.price;
+        }
+        if (typeof variant.stock === 'number' && variant.stock < item.quantity) {
+            notices.push({
+                type: 'insufficient_stock',
+                id: item.id,
+                itemId: item._id,
+                name: product.name,
+                available: variant.stock,
+                message: variant.stock > 0 ? `Only ${variant.stock} of ${product.name} left in stock.` : `${product.name} is out of stock.`
+            });
+        }
+        lines.push({
+            itemId: item._id,
+            id: item.id,
+            variantId: variant._id,
+            sku: variant.sku,
+            variant: variantLabel(variant),
+            name: product.name,
+            image: variant.image || (product.images && product.images[0]),
+            price: variant.price,
+            quantity: item.quantity,
+            lineTotal: roundCurrency(variant.price * item.quantity),
+            ...getStockInfo(variant)
+        });
+        return true;
+    });
+
+    if (kept.length !== cart.items.length || notices.some(n => n.type === 'price_changed')) {
+        cart.items = kept;
+        await cart.save();
+    }
+    return {
+        items: lines,
+        itemCount: lines.reduce((sum, line) => sum + line.quantity, 0),
+        subtotal: roundCurrency(lines.reduce((sum, line) => sum + line.lineTotal, 0)),
+        notices
+    };
+}
+
+/**
+ * Looks up the product and variant for an item being put in a cart.
+ * @returns {Promise<Object>} { product, variant } or { status, error }.
+ */
+async function findCartProduct({ id, variantId, sku }) {
+    const product = await Product.findOne({ legacyId: Number(id), archived: { $ne: true } }).lean();
+    if (!product) return { status: 404, error: 'Product not found.' };
+    const variant = findVariant(product, variantId ?? sku);
+    if (!variant) {
+        return { status: 400, error: (variantId ?? sku) ? 'Unknown variant.' : 'This product comes in several variants; choose one.' };
+    }
+    return { product, variant };
+}
+
+// Sends the priced cart, with the token when the cart was just created.
+const sendCart = async (res, cart, token, status = 200) => {
+    const priced = cart ? await priceCart(cart) : { items: [], itemCount: 0, subtotal: 0, notices: [] };
+    res.status(status).json({ ...(token ? { token } : {}), ...priced });
+};
+
+const validCartQuantity = (quantity) => Number.isInteger(quantity) && quantity >= 1 && quantity <= MAX_CART_QUANTITY;
+
+app.get('/api/cart', attachCustomer, async (req, res) => {
+    try {
+        const { cart } = await resolveCart(req);
+        await sendCart(res, cart);
+    } catch (error) {
+        console.error('Error fetching cart:', error);
+        res.status(500).json({ error: 'Failed to fetch cart.' });
+    }
+});
+
+// Adds `quantity` (default 1) of a product to the cart, on top of any already in it.
+app.post('/api/cart/items', attachCustomer, async (req, res) => {
+    try {
+        const quantity = req.body.quantity === undefined ? 1 : Number(req.body.quantity);
+        if (!validCartQuantity(quantity)) {
+            return res.status(400).json({ error: `Quantity must be a whole number from 1 to ${MAX_CART_QUANTITY}.` });
+        }
+        const { product, variant, status, error } = await findCartProduct(req.body);
+        if (error) return res.status(status).json({ error });
+
+        const { cart, token } = await resolveCart(req, true);
+        const existing = cart.items.find(i => i.variantId.equals(variant._id));
+        if (existing) {
+            existing.quantity = Math.min(existing.quantity + quantity, MAX_CART_QUANTITY);
+            existing.price = variant.price;
+        } else {
+            cart.items.push({ id: product.legacyId, variantId: variant._id, quantity, price: variant.price });
+        }
+        await cart.save();
+        await sendCart(res, cart, token, token ? 201 : 200);
+    } catch (error) {
+        console.error('Error adding to cart:', error);
+        res.status(500).json({ error: 'Failed to add to cart.' });
+    }
+});
+
+// Sets an item's quantity; a quantity of 0 removes it.
+app.put('/api/cart/items/:itemId', attachCustomer, async (req, res) => {
+    try {
+        const quantity = Number(req.body.quantity);
+        if (quantity !== 0 && !validCartQuantity(quantity)) {
+            return res.status(400).json({ error: `Quantity must be a whole number from 0 to ${MAX_CART_QUANTITY}.` });
+        }
+        const { cart } = await resolveCart(req);
+        const item = cart && mongoose.Types.ObjectId.isValid(req.params.itemId) && cart.items.id(req.params.itemId);
+        if (!item) {
+            return res.status(404).json({ error: 'Cart item not found.' });
+        }
+        if (quantity === 0) item.deleteOne();
+        else item.quantity = quantity;
+        await cart.save();
+        await sendCart(res, cart);
+    } catch (error) {
+        console.error('Error updating cart:', error);
+        res.status(500).json({ error: 'Failed to update cart.' });
+    }
+});
+
+app.delete('/api/cart/items/:itemId', attachCustomer, async (req, res) => {
+    try {
+        const { cart } = await resolveCart(req);
+        const item = cart && mongoose.Types.ObjectId.isValid(req.params.itemId) && cart.items.id(req.params.itemId);
+        if (!item) {
+            return res.status(404).json({ error: 'Cart item not found.' });
+        }
+        item.deleteOne();
+        await cart.save();
+        await sendCart(res, cart);
+    } catch (error) {
+        console.error('Error removing from cart:', error);
+        res.status(500).json({ error: 'Failed to remove from cart.' });
+    }
+});
+
+// One-time import of a cart kept in the browser ({ items: [{ id, quantity, variantId? }] }).
+// Items that can't be added any more are skipped and reported as notices.
+app.post('/api/cart/merge', attachCustomer, async (req, res) => {
+    try {
+        const { items } = req.body;
+        if (!Array.isArray(items)) {
+            return res.status(400).json({ error: 'Items must be an array.' });
+        }
+        const toMerge = [];
+        const skipped = [];
+        for (const item of items) {
+            const quantity = Math.min(Number(item && item.quantity), MAX_CART_QUANTITY);
+            const found = validCartQuantity(quantity) ? await findCartProduct(item) : { error: 'Invalid quantity.' };
+            if (found.error) {
+                skipped.push({ type: 'skipped', id: item && item.id, message: found.error });
+                continue;
+            }
+            toMerge.push({ id: found.product.legacyId, variantId: found.variant._id, quantity, price: found.variant.price });
+        }
+
+        const { cart, token } = await resolveCart(req, true);
+        mergeCartItems(cart, toMerge);
+        await cart.save();
+        const priced = await priceCart(cart);
+        res.status(token ? 201 : 200).json({ ...(token ? { token } : {}), ...priced, notices: [...skipped, ...priced.notices] });
+    } catch (error) {
+        console.error('Error merging cart:', error);
+        res.status(500).json({ error: 'Failed to merge cart.' });
+    }
+});
+
+app.post('/api/orders', attachCustomer, rateLimit('orders', req => req.body && req.body.user && req.body.user.email), requireHuman, preventDuplicates('order', 10), async (req, res) => {
+    const { items, total, user, saveAddress, couponCode, paymentMethod = 'cod' } = req.body;
+    if (!items || !Array.isArray(items) || items.length === 0 || !total || !user) {
+        return res.status(400).json({ error: 'Invalid order data.' });
+    }
+    if (!['cod', 'online'].includes(paymentMethod)) {
+        return res.status(400).json({ error: 'Payment method must be cod or online.' });
+    }
+    if (paymentMethod === 'online' && !PAYMENT_PROVIDER) {
+        return res.status(400).json({ error: 'Online payment is not available; please choose cash on delivery.' });
+    }
+
+    try {
+        const { lineItems, subtotal, missingIds, invalidItems } = await priceOrderItems(items);
+
+        if (invalidItems.length > 0) {
+            return res.status(400).json({
+                error: 'Some order items are invalid.',
+                details: { invalidItems }
+            });
+        }
+        if (missingIds.length > 0) {
+            return res.status(400).json({
+                error: 'Some products in your order are no longer available.',
+                details: { missingIds }
+            });
+        }
+
+        // Only a signed-in customer's orders go in their account. Anyone can type an email at
+        // checkout; guest orders join an account when its owner verifies the email (linkGuestOrders).
+        const customer = req.customer;
+        const customerKey = getCustomerKey(customer, user.email);
+
+        let coupon = null;
+        let discount = 0;
+        let eligibleIds;
+        if (couponCode) {
+            const result = await evaluateCoupon(couponCode, lineItems, customerKey);
+            if (result.error) {
+                return res.status(400).json({ error: result.error, details: { couponCode } });
+            }
+            ({ coupon, discount, eligibleIds } = result);
+        }
+
+        const shipping = await quoteShipping(lineItems, subtotal, { pincode: user.zip, state: user.state });
+        if (shipping.error) {
+            return res.status(400).json({ error: shipping.error, details: { pincode: user.zip } });
+        }
+
+        const computedTotal = roundCurrency(subtotal - discount + shipping.charge);
+        const clientTotal = roundCurrency(parseFloat(total));
+        if (clientTotal !== computedTotal) {
+            // Prices changed since the cart was built (or the cart was tampered with)
+            return res.status(409).json({
+                error: 'Order total does not match current prices.',
+                details: { items: lineItems, subtotal, discount, shipping: shipping.charge, total: computedTotal, clientTotal }
+            });
+        }
+
+        const orderId = `ORD-${Date.now()}`;
+        const outOfStock = await reserveStock(lineItems, orderId);
+        if (outOfStock.length > 0) {
+            return res.status(409).json({
+                error: 'Some products do not have enough stock.',
+                details: { outOfStock }
+            });
+        }
+        if (coupon && !(await redeemCoupon(coupon, orderId, customerKey, discount))) {
+            await releaseStock(lineItems, orderId, 'Coupon no longer available');
+            return res.status(409).json({ error: 'This coupon has reached its usage limit.', details: { couponCode } });
+        }
+
+        const taxLines = shipping.charge > 0 ? [...lineItems, shippingTaxLine(lineItems, shipping.charge)] : lineItems;
+        const gst = calculateGst(taxLines, user.state, { amount: discount, eligibleIds });
+        const shippingTax = shipping.charge > 0 ? gst.items[lineItems.length] : {};
+        const newOrder = new Order({
+            orderId,
+            user: user,
+            customerId: customer ? customer._id : undefined,
+            subtotal: subtotal,
+            discount: discount,
+            coupon: coupon ? { couponId: coupon._id, code: coupon.code } : undefined,
+            shipping: {
+                zoneId: shipping.zone.id,
+                zoneName: shipping.zone.name,
+                charge: shipping.charge,
+                weightGrams: shipping.weightGrams,
+                estimatedDelivery: shipping.estimatedDelivery,
+                gstRate: shippingTax.gstRate,
+                taxableValue: shippingTax.taxableValue,
+                cgst: shippingTax.cgst,
+                sgst: shippingTax.sgst,
+                igst: shippingTax.igst
+            },
+            total: computedTotal,
+            items: lineItems.map(({ id, variantId, sku, variant, name, quantity, price }, i) => ({ id, variantId, sku, variant, name, quantity, price, ...gst.items[i] })),
+            tax: gst.tax,
+            payment: { method: paymentMethod },
+            status: 'pending',
+            statusHistory: [{ to: 'pending', changedBy: 'customer' }]
+        });
+        let paymentIntent = null;
+        try {
+            if (paymentMethod === 'online') {
+                paymentIntent = await paymentProviders.get(PAYMENT_PROVIDER).createIntent(newOrder);
+                newOrder.payment.provider = PAYMENT_PROVIDER;
+                newOrder.payment.intentId = paymentIntent.intentId;
+            }
+            await newOrder.save();
+        } catch (saveError) {
+            // Don't keep stock or a coupon use locked up for an order that was never stored
+            await releaseStock(newOrder.items, orderId, 'Order could not be saved');
+            if (coupon) await releaseCoupon(coupon._id, orderId);
+            throw saveError;
+        }
+        console.log(`New order ${newOrder.orderId} saved to MongoDB.`);
+        countCoPurchases(newOrder).catch(err => console.error('Could not count co-purchases for order:', err));
+        // The order now holds what was in the cart, so start the shopper's next cart empty
+        resolveCart(req)
+            .then(({ cart }) => cart && Cart.updateOne({ _id: cart._id }, { $set: { items: [] } }))
+            .catch(err => console.error('Could not empty cart after order:', err));
+        queueEmail(newOrder.user.email, 'orderConfirmation', newOrder);
+        queueEmail(ADMIN_NOTIFY_EMAIL, 'adminNewOrder', newOrder);
+
+        if (req.customer && saveAddress) {
+            const { email, ...address } = newOrder.toObject().user;
+            const isKnown = req.customer.addresses.some(a => a.address1 === address.address1 && a.zip === address.zip);
+            if (!isKnown) {
+                req.customer.addresses.push(address);
+                await req.customer.save().catch(err => console.error('Could not save checkout address:', err));
+            }
+        }
+        res.status(201).json({
+            message: 'Order placed successfully!',
+            orderId: newOrder.orderId,
+            items: lineItems,
+            subtotal,
+            discount,
+            couponCode: coupon ? coupon.code : undefined,
+            shipping: { charge: shipping.charge, zone: shipping.zone.name, estimatedDelivery: shipping.estimatedDelivery },
+            total: computedTotal,
+            tax: gst.tax,
+            payment: {
+                method: paymentMethod,
+                status: newOrder.payment.status,
+                provider: newOrder.payment.provider,
+                intentId: newOrder.payment.intentId,
+                redirectUrl: paymentIntent ? paymentIntent.redirectUrl : undefined,
+                clientDetails: paymentIntent ? paymentIntent.clientDetails : undefined
+            }
+        });
+    } catch (err) {
+        console.error('Error processing order:', err);
+        res.status(500).json({ error: 'Failed to process the order.' });
+    }
+});
+
+/**
+ * Builds the Mongo query behind the admin order list and CSV export.
+ * @param {Object} params - The request query string ({ search, status }); `status` may be a comma-separated list.
+ * @returns {Object} { query }, or { error } if a status isn't one of ORDER_STATUSES.
+ */
+function buildOrderQuery({ search, status }) {
+    const query = {};
+
+    if (search) {
+        const searchRegex = { $regex: escapeRegex(search), $options: 'i' }; // i for case-insensitive
+        query.$or = [
+            { orderId: searchRegex },
+            { 'user.firstname': searchRegex },
+            { 'user.lastname': searchRegex },
+            { 'user.email': searchRegex }
+        ];
+    }
+    if (status) {
+        const statuses = String(status).split(',').map(s => s.trim()).filter(Boolean);
+        const unknown = statuses.filter(s => !ORDER_STATUSES.includes(s));
+        if (unknown.length > 0) {
+            return { error: `Unknown order status: ${unknown.join(', ')}. Status must be one of: ${ORDER_STATUSES.join(', ')}.` };
+        }
+        if (statuses.length > 0) query.status = { $in: statuses };
+    }
+    return { query };
+}
+
+const PAID_BEFORE_FULFILMENT = ['confirmed', 'packed', 'shipped', 'delivered'];
+
+/**
+ * Moves an order to a new status, if the lifecycle allows it from the current one, and
+ * applies the side effects of the new status (returning stock and coupons on cancel).
+ * @param {Object} order - The order document as last read.
+ * @param {string} status - The status to move to.
+ * @param {string} actor - Who is making the change, for the status history.
+ * @param {Object} [options] - An optional note, plus carrier/trackingNumber/trackingUrl when shipping.
+ * @returns {Promise<Object>} { order } on success, or { error, details } if the move isn't allowed.
+ */
+async function transitionOrder(order, status, actor, { note, carrier, trackingNumber, trackingUrl } = {}) {
+    const allowed = ORDER_TRANSITIONS[order.status];
+    if (!allowed.includes(status)) {
+        return {
+            error: `Cannot move an order from ${order.status} to ${status}.`,
+            details: { status: order.status, allowed }
+        };
+    }
+    // Online orders are only fulfilled once the payment has gone through
+    if (PAID_BEFORE_FULFILMENT.includes(status) && order.payment && order.payment.method !== 'cod' && order.payment.status !== 'paid') {
+        return {
+            error: `Cannot move an order to ${status} before its online payment is received.`,
+            details: { status: order.status, paymentStatus: order.payment.status }
+        };
+    }
+    // Only money that was received can be refunded
+    if (status === 'refunded' && !(order.payment && ['paid', 'refunded'].includes(order.payment.status))) {
+        return {
+            error: 'Cannot refund an order whose payment was never received.',
+            details: { status: order.status, paymentStatus: order.payment ? order.payment.status : undefined }
+        };
+    }
+
+    const update = {
+        $set: { status },
+        $push: { statusHistory: { from: order.status, to: status, changedBy: actor, note } }
+    };
+    if (status === 'shipped') {
+        Object.assign(update.$set, {
+            'shipment.carrier': carrier,
+            'shipment.trackingNumber': trackingNumber,
+            'shipment.trackingUrl': trackingUrl,
+            'shipment.shippedAt': new Date()
+        });
+    } else if (status === 'delivered') {
+        update.$set['shipment.deliveredAt'] = new Date();
+        // Cash on delivery is collected by the courier on handover
+        if (order.payment && order.payment.method === 'cod') {
+            update.$set['payment.status'] = 'paid';
+            update.$set['payment.paidAt'] = new Date();
+        }
+    } else if (status === 'refunded') {
+        update.$set['payment.status'] = 'refunded';
+    }
+
+    // Matching on the current status makes the transition atomic: if someone else moved
+    // the order in the meantime, this update finds nothing and we report a conflict.
+    const updatedOrder = await Order.findOneAndUpdate(
+        { _id: order._id, status: order.status },
+        update,
+        { new: true, runValidators: true }
+    );
+    if (!updatedOrder) {
+        return { error: 'The order was updated by someone else. Please reload and try again.' };
+    }
+
+    if (status === 'cancelled') {
+        await releaseStock(updatedOrder.items, updatedOrder.orderId, 'Order cancelled');
+        if (updatedOrder.coupon && updatedOrder.coupon.couponId) {
+            await releaseCoupon(updatedOrder.coupon.couponId, updatedOrder.orderId);
+        }
+        countCoPurchases(updatedOrder, false).catch(err => console.error('Could not uncount co-purchases for order:', err));
+        if (updatedOrder.payment && updatedOrder.payment.status === 'paid') queueEmail(ADMIN_NOTIFY_EMAIL, 'adminRefundDue', updatedOrder);
+    }
+    console.log(`Order ${updatedOrder.orderId} moved from ${order.status} to ${status} by ${actor}.`);
+    let result = updatedOrder;
+    if (status === 'confirmed') {
+        // The order is confirmed either way; an invoice that fails now is issued when it is next requested
+        try {
+            result = await issueInvoice(updatedOrder);
+        } catch (error) {
+            console.error(`Failed to issue the invoice for order ${updatedOrder.orderId}:`, error);
+        }
+    }
+    queueEmail(result.user.email, 'orderStatusChanged', result);
+    return { order: result };
+}
+
+app.post('/api/admin/orders/:orderId/status', requireAdmin('order_manager'), async (req, res) => {
+    try {
+        const { status, note, carrier, trackingNumber, trackingUrl } = req.body;
+        if (!ORDER_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Status must be one of: ${ORDER_STATUSES.join(', ')}.` });
+        }
+        if (status === 'shipped' && !trackingNumber) {
+            return res.status(400).json({ error: 'A tracking number is required to mark an order as shipped.' });
+        }
+
+        const order = await Order.findOne({ orderId: req.params.orderId });
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found.' });
+        }
+        const before = auditSnapshot(order);
+        const result = await transitionOrder(order, status, req.actor, { note, carrier, trackingNumber, trackingUrl });
+        if (result.error) {
+            return res.status(409).json({ error: result.error, details: result.details });
+        }
+        await recordAudit(req, { action: 'order.status', entityType: 'order', entityId: order.orderId, before, after: result.order, note });
+        res.json(result.order);
+    } catch (error) {
+        console.error('Error updating order status:', error);
+        res.status(400).json({ error: 'Failed to update order status.', details: error.message });
+    }
+});
+
+// --- Returns and Refunds ---
+// Customers can ask to return items of a delivered order within RETURN_WINDOW_DAYS, by
+// order ID and email like the invoice endpoint. Approved returns record a refund on the
+// order (the money itself goes back through the gateway or bank, outside this server).
+const RETURN_WINDOW_DAYS = Number(process.env.RETURN_WINDOW_DAYS) || 7;
+// Goods returned for these reasons can't be sold again, so they aren't restocked by default
+const RETURN_NO_RESTOCK_REASONS = ['damaged', 'defective'];
+
+// Whether a request comes from the order's customer: their account, or the order's email.
+const isOrderOwner = (order, req, email) => Boolean(order) && (
+    (req.customer && order.customerId && order.customerId.equals(req.customer._id)) ||
+    (email && String(email).trim().toLowerCase() === order.user.email.toLowerCase())
+);
+
+// What was paid for one unit of an order item: its share of the line total after the
+// discount (kept as the GST breakdown), or the list price for orders from before GST.
+const paidUnitPrice = (item) => typeof item.taxableValue === 'number'
+    ? roundCurrency((item.taxableValue + (item.cgst || 0) + (item.sgst || 0) + (item.igst || 0)) / item.quantity)
+    : item.price;
+
+/**
+ * Checks whether an order can still have items returned.
+ * @param {Object} order - The order.
+ * @returns {Object} { returnBy } when it can, or { error } when it can't.
+ */
+function returnWindow(order) {
+    if (order.status !== 'delivered') {
+        return { error: 'Only delivered orders can be returned.' };
+    }
+    const delivered = (order.statusHistory || []).filter(h => h.to === 'delivered').pop();
+    const deliveredAt = (order.shipment && order.shipment.deliveredAt) || (delivered && delivered.at) || order.date;
+    const returnBy = new Date(new Date(deliveredAt).getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    if (returnBy < new Date()) {
+        return { error: `Returns must be requested within ${RETURN_WINDOW_DAYS} days of delivery.`, returnBy };
+    }
+    return { returnBy };
+}
+
+/**
+ * Lists an order's items with how many units of each can still be returned: those not
+ * already returned or waiting in an open return request.
+ * @param {Object} order - The order.
+ * @returns {Promise<Array>} The items ({ itemId, id, variantId, sku, name, variant, quantity, unitRefund, returnable }).
+ */
+async function returnableItems(order) {
+    const open = await ReturnRequest.find({ orderId: order.orderId, status: 'requested' }, { items: 1 }).lean();
+    const pending = new Map();
+    open.flatMap(r => r.items).forEach(item => pending.set(String(item.itemId), (pending.get(String(item.itemId)) || 0) + item.quantity));
+    return order.items.map(item => ({
+        itemId: item._id,
+        id: item.id,
+        variantId: item.variantId,
+        sku: item.sku,
+        name: item.name,
+        variant: item.variant,
+        quantity: item.quantity,
+        unitRefund: paidUnitPrice(item),
+        returnable: Math.max(0, item.quantity - (item.returnedQuantity || 0) - (pending.get(String(item._id)) || 0))
+    }));
+}
+
+// What a customer can return from an order, for the returns form. Guests confirm the email with ?email=.
+app.get('/api/orders/:orderId/returnable', attachCustomer, async (req, res) => {
+    try {
+        const order = await Order.findOne({ orderId: req.params.orderId }).lean();
+        if (!isOrderOwner(order, req, req.query.email)) {
+            return res.status(404).json({ error: 'Order not found.' });
+        }
+        const { error, returnBy } = returnWindow(order);
+        res.json({
+            orderId: order.orderId,
+            eligible: !error,
+            error,
+            returnBy,
+            reasons: RETURN_REASONS,
+            items: error ? [] : await returnableItems(order)
+        });
+    } catch (error) {
+        console.error('Error fetching returnable items:', error);
+        res.status(500).json({ error: 'Failed to fetch returnable items.' });
+    }
+});
+
+// Opens a return request. Sent as multipart/form-data when there are photos (with
+// `items` as a JSON string), or as JSON without them. Items are picked by the order
+// item's itemId or by SKU.
+app.post('/api/returns', attachCustomer, rateLimit('returns'), returnPhotoUpload.array('photos', MAX_RETURN_PHOTOS), requireHuman, preventDuplicates('return', 10), async (req, res) => {
+    try {
+        const { orderId, email, reason, comments } = req.body;
+        let items = req.body.items;
+        if (typeof items === 'string') {
+            try {
+                items = JSON.parse(items);
+            } catch (error) {
+                items = null;
+            }
+        }
+        if (!orderId || !email || !reason || !Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({ error: 'Order ID, email, reason and items are required.' });
+        }
+        if (!RETURN_REASONS.includes(reason)) {
+            return res.status(400).json({ error: `Reason must be one of: ${RETURN_REASONS.join(', ')}.` });
+        }
+
+        const order = await Order.findOne({ orderId: String(orderId).trim() }).lean();
+        if (!isOrderOwner(order, req, email)) {
+            return res.status(404).json({ error: 'We could not find that order for your email address.', details: { orderId } });
+        }
+        const period = returnWindow(order);
+        if (period.error) {
+            return res.status(409).json({ error: period.error, details: { returnBy: period.returnBy } });
+        }
+
+        // Lines for the same order item are added together before checking what's left to return
+        const returnable = await returnableItems(order);
+        const lines = new Map();
+        const invalidItems = [];
+        items.forEach((requested, index) => {
+            const ref = String((requested && (requested.itemId ?? requested.sku)) ?? '');
+            const item = returnable.find(i => String(i.itemId) === ref || (i.sku && i.sku === ref.toUpperCase()));
+            const quantity = Number(requested && requested.quantity);
+            if (!item || !Number.isInteger(quantity) || quantity < 1) {
+                invalidItems.push({ index, item: ref, quantity: requested && requested.quantity });
+                return;
+            }
+            const key = String(item.itemId);
+            lines.set(key, { ...item, quantity: (lines.has(key) ? lines.get(key).quantity : 0) + quantity });
+        });
+        for (const line of lines.values()) {
+            if (line.quantity > line.returnable) {
+                invalidItems.push({ item: String(line.itemId), name: line.name, quantity: line.quantity, returnable: line.returnable });
+            }
+        }
+        if (invalidItems.length > 0) {
+            return res.status(400).json({ error: 'Some return items are invalid.', details: { invalidItems } });
+        }
+
+        const photos = [];
+        for (const file of req.files || []) {
+            const image = await processImageUpload(file.buffer);
+            if (!image) {
+                return res.status(400).json({ error: `Photos must be images (${ACCEPTED_IMAGE_FORMATS.join(', ')}).` });
+            }
+            photos.push(image.url);
+        }
+
+        const returnRequest = await ReturnRequest.create({
+            returnId: `RET-${String(await nextSequence('returnId')).padStart(5, '0')}`,
+            orderId: order.orderId,
+            email: order.user.email,
+            customerId: order.customerId,
+            items: [...lines.values()].map(({ returnable: _, ...line }) => line),
+            reason,
+            comments,
+            photos
+        });
+        console.log(`Return ${returnRequest.returnId} requested for order ${order.orderId}.`);
+        queueEmail(returnRequest.email, 'returnRequested', returnRequest);
+        queueEmail(ADMIN_NOTIFY_EMAIL, 'adminNewReturn', returnRequest);
+        res.status(201).json(returnRequest);
+    } catch (error) {
+        console.error('Error creating return request:', error);
+        res.status(400).json({ error: 'Failed to create return request.', details: error.message });
+    }
+}, (error, req, res, next) => {
+    // Multer error handler
+    if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ error: `Photos must be smaller than ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB.` });
+    }
+    if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+        return res.status(400).json({ error: `Up to ${MAX_RETURN_PHOTOS} photos can be sent, in the "photos" field.` });
+    }
+    res.status(400).json({ error: error.message });
+});
+
+app.get('/api/returns/:returnId', attachCustomer, async (req, res) => {
+    try {
+        const returnRequest = await ReturnRequest.findOne({ returnId: req.params.returnId }).lean();
+        const isOwner = returnRequest && ((req.customer && returnRequest.customerId && req.customer._id.equals(returnRequest.customerId)) ||
+            (req.query.email && String(req.query.email).trim().toLowerCase() === returnRequest.email));
+        if (!isOwner) {
+            return res.status(404).json({ error: 'Return request not found.' });
+        }
+        const { resolvedBy, ...visible } = returnRequest;
+        res.json(visible);
+    } catch (error) {
+        console.error('Error fetching return request:', error);
+        res.status(500).json({ error: 'Failed to fetch return request.' });
+    }
+});
+
+// --- Return Admin Endpoints ---
+app.get('/api/admin/returns', requireAdmin('order_manager'), async (req, res) => {
+    try {
+        const query = {};
+        if (RETURN_STATUSES.includes(req.query.status)) query.status = req.query.status;
+        if (req.query.orderId) query.orderId = String(req.query.orderId);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_PAGE_SIZE);
+        const [returns, total] = await Promise.all([
+            ReturnRequest.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+            ReturnRequest.countDocuments(query)
+        ]);
+        res.json({ returns, total, page, totalPages: Math.ceil(total / limit) });
+    } catch (error) {
+        console.error('Error fetching return requests:', error);
+        res.status(500).json({ error: 'Failed to fetch return requests.' });
+    }
+});
+
+app.get('/api/admin/returns/:returnId', requireAdmin('order_manager'), async (req, res) => {
+    try {
+        const returnRequest = await ReturnRequest.findOne({ returnId: req.params.returnId });
+        if (!returnRequest) {
+            return res.status(404).json({ error: 'Return request not found.' });
+        }
+        const order = await Order.findOne({ orderId: returnRequest.orderId },
+            { orderId: 1, status: 1, total: 1, refundedAmount: 1, refunds: 1, payment: 1, user: 1 }).lean();
+        res.json({ ...returnRequest.toObject(), order });
+    } catch (error) {
+        console.error('Error fetching return request:', error);
+        res.status(500).json({ error: 'Failed to fetch return request.' });
+    }
+});
+
+/**
+ * Works out the refund for a return: what its items were paid unless an amount is given,
+ * never more than is still unrefunded on the order, and the GST it reverses.
+ * @param {Object} order - The order document.
+ * @param {Array} lines - The return's items ({ itemId, quantity, unitRefund }).
+ * @param {number} [requestedAmount] - The refund the admin chose, if any.
+ * @returns {Object} { amount, tax: { taxableValue, cgst, sgst, igst } }, or { error }.
+ */
+function refundTotals(order, lines, requestedAmount) {
+    const itemsValue = roundCurrency(lines.reduce((sum, item) => sum + item.unitRefund * item.quantity, 0));
+    const refundable = roundCurrency(order.total - (order.refundedAmount || 0));
+    const amount = requestedAmount !== undefined ? roundCurrency(Number(requestedAmount)) : Math.min(itemsValue, refundable);
+    if (!Number.isFinite(amount) || amount < 0 || amount > refundable) {
+        return { error: `The refund must be between ${formatRupees(0)} and the ${formatRupees(refundable)} not yet refunded on this order.` };
+    }
+
+    // The GST reversed is each line's GST in proportion to the units returned (and to
+    // the refund, if it differs from what the items were paid)
+    const scale = itemsValue > 0 ? amount / itemsValue : 0;
+    const tax = { taxableValue: 0, cgst: 0, sgst: 0, igst: 0 };
+    for (const line of lines) {
+        const item = order.items.id(line.itemId);
+        if (!item || typeof item.taxableValue !== 'number') continue;
+        Object.keys(tax).forEach(field => { tax[field] += (item[field] || 0) * (line.quantity / item.quantity) * scale; });
+    }
+    Object.keys(tax).forEach(field => { tax[field] = roundCurrency(tax[field]); });
+    return { amount, tax };
+}
+
+/**
+ * Approves a return: records the refund (by default what was paid for the items, capped
+ * at what hasn't been refunded yet) and its GST on the order, and puts the items back in
+ * stock unless they were returned damaged or defective (`restock` overrides either way).
+ * An order refunded in full moves to the refunded status.
+ * Body: { amount?, restock?, reference?, note? }.
+ */
+app.post('/api/admin/returns/:returnId/approve', requireAdmin('order_manager'), async (req, res) => {
+    try {
+        const { amount: requestedAmount, restock: requestedRestock, reference, note } = req.body;
+        const returnRequest = await ReturnRequest.findOne({ returnId: req.params.returnId });
+        if (!returnRequest) {
+            return res.status(404).json({ error: 'Return request not found.' });
+        }
+        if (returnRequest.status !== 'requested') {
+            return res.status(409).json({ error: `This return has already been ${returnRequest.status}.` });
+        }
+        const order = await Order.findOne({ orderId: returnRequest.orderId });
+        if (!order) {
+            return res.status(404).json({ error: 'The order for this return no longer exists.' });
+        }
+
+        const totals = refundTotals(order, returnRequest.items, requestedAmount);
+        if (totals.error) {
+            return res.status(400).json({ error: totals.error });
+        }
+        const { amount, tax } = totals;
+        const restock = requestedRestock !== undefined ? Boolean(requestedRestock) : !RETURN_NO_RESTOCK_REASONS.includes(returnRequest.reason);
+
+        // Claimed first, so the same return can't be approved twice
+        const before = auditSnapshot(returnRequest);
+        const approved = await ReturnRequest.findOneAndUpdate(
+            { _id: returnRequest._id, status: 'requested' },
+            { $set: { status: 'approved', refundAmount: amount, restocked: restock, resolutionNote: note, resolvedBy: req.actor, resolvedAt: new Date() } },
+            { new: true, runValidators: true }
+        );
+        if (!approved) {
+            return res.status(409).json({ error: 'This return was just resolved by someone else. Please reload.' });
+        }
+
+        // The order is only updated if, in the meantime, no other return has taken back more
+        // units than were ordered or refunded more than was paid (half a paisa for rounding)
+        const fullyRefunded = roundCurrency((order.refundedAmount || 0) + amount) >= order.total;
+        const orderBefore = auditSnapshot(order);
+        const update = {
+            $inc: { refundedAmount: amount },
+            $push: {
+                refunds: {
+                    returnId: approved.returnId,
+                    amount,
+                    ...tax,
+                    items: approved.items.map(line => ({ itemId: line.itemId, quantity: line.quantity })),
+                    reference,
+                    note,
+                    refundedBy: req.actor
+                }
+            }
+        };
+        approved.items.forEach((line, i) => { update.$inc[`items.$[returned${i}].returnedQuantity`] = line.quantity; });
+        if (fullyRefunded && order.payment && order.payment.status === 'paid') update.$set = { 'payment.status': 'refunded' };
+        const updatedOrder = await Order.findOneAndUpdate(
+            {
+                _id: order._id,
+                $expr: { $lte: [{ $add: [{ $ifNull: ['$refundedAmount', 0] }, amount] }, { $add: ['$total', 0.005] }] },
+                $and: approved.items.map(line => ({
+                    items: { $elemMatch: { _id: line.itemId, returnedQuantity: { $not: { $gt: order.items.id(line.itemId).quantity - line.quantity } } } }
+                }))
+            },
+            update,
+            { new: true, runValidators: true, arrayFilters: approved.items.map((line, i) => ({ [`returned${i}._id`]: line.itemId })) }
+        );
+        if (!updatedOrder) {
+            await ReturnRequest.updateOne(
+                { _id: approved._id },
+                { $set: { status: 'requested' }, $unset: { refundAmount: 1, restocked: 1, resolutionNote: 1, resolvedBy: 1, resolvedAt: 1 } }
+            );
+            return res.status(409).json({ error: 'The order changed while this return was being approved. Please reload and try again.' });
+        }
+
+        if (restock) await releaseStock(approved.items, updatedOrder.orderId, `Returned (${approved.returnId})`);
+        let finalOrder = updatedOrder;
+        if (fullyRefunded && ORDER_TRANSITIONS[updatedOrder.status].includes('refunded')) {
+            const result = await transitionOrder(updatedOrder, 'refunded', req.actor, { note: `Refunded in full by return ${approved.returnId}` });
+            if (result.order) finalOrder = result.order;
+        }
+        console.log(`Return ${approved.returnId} approved by ${req.actor}: ${formatRupees(amount)} refunded on ${updatedOrder.orderId}.`);
+        queueEmail(approved.email, 'returnResolved', approved);
+        await recordAudit(req, { action: 'return.approve', entityType: 'return', entityId: approved.returnId, before, after: approved, note });
+        await recordAudit(req, { action: 'order.refund', entityType: 'order', entityId: updatedOrder.orderId, before: orderBefore, after: finalOrder, note: `Return ${approved.returnId}` });
+        res.json({
+            return: approved,
+            order: { orderId: finalOrder.orderId, status: finalOrder.status, total: finalOrder.total, refundedAmount: finalOrder.refundedAmount, payment: finalOrder.payment }
+        });
+    } catch (error) {
+        console.error('Error approving return:', error);
+        res.status(400).json({ error: 'Failed to approve return.', details: error.message });
+    }
+});
+
+app.post('/api/admin/returns/:returnId/reject', requireAdmin('order_manager'), async (req, res) => {
+    try {
+        const note = req.body.note ? String(req.body.note).trim() : '';
+        if (!note) {
+            return res.status(400).json({ error: 'Please give a reason; it is sent to the customer.' });
+        }
+        const returnRequest = await ReturnRequest.findOne({ returnId: req.params.returnId });
+        if (!returnRequest) {
+            return res.status(404).json({ error: 'Return request not found.' });
+        }
+        const before = auditSnapshot(returnRequest);
+        const rejected = await ReturnRequest.findOneAndUpdate(
+            { _id: returnRequest._id, status: 'requested' },
+            { $set: { status: 'rejected', resolutionNote: note, resolvedBy: req.actor, resolvedAt: new Date() } },
+            { new: true, runValidators: true }
+        );
+        if (!rejected) {
+            return res.status(409).json({ error: `This return has already been ${returnRequest.status === 'requested' ? 'resolved' : returnRequest.status}.` });
+        }
+        queueEmail(rejected.email, 'returnResolved', rejected);
+        await recordAudit(req, { action: 'return.reject', entityType: 'return', entityId: rejected.returnId, before, after: rejected, note });
+        res.json(rejected);
+    } catch (error) {
+        console.error('Error rejecting return:', error);
+        res.status(400).json({ error: 'Failed to reject return.', details: error.message });
+    }
+});
+
+// --- Coupon Admin Endpoints ---
+app.get('/api/admin/coupons', requireAdmin('catalog_editor'), async (req, res) => {
+    try {
+        const coupons = await Coupon.find().sort({ createdAt: -1 });
+        res.json(coupons);
+    } catch (error) {
+        console.error('Error fetching coupons:', error);
+        res.status(500).json({ error: 'Failed to fetch coupons.' });
+    }
+});
+
+app.post('/api/admin/coupons', requireAdmin('catalog_editor'), async (req, res) => {
+    try {
+        const { redemptionCount, ...fields } = req.body; // The count is only ever changed by checkouts
+        const coupon = await Coupon.create(fields);
+        await recordAudit(req, { action: 'coupon.create', entityType: 'coupon', entityId: coupon._id, after: coupon });
+        res.status(201).json(coupon);
+    } catch (error) {
+        console.error('Error creating coupon:', error);
+        res.status(400).json({ error: 'Failed to create coupon.', details: error.message });
+    }
+});
+
+app.put('/api/admin/coupons/:id', requireAdmin('catalog_editor'), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid coupon ID format.' });
+        }
+        const coupon = await Coupon.findById(req.params.id);
+        if (!coupon) {
+            return res.status(404).json({ error: 'Coupon not found.' });
+        }
+        const { redemptionCount, ...fields } = req.body;
+        const before = auditSnapshot(coupon);
+        coupon.set(fields);
+        await coupon.save(); // save() rather than findByIdAndUpdate so the percentage validator sees `type`
+        await recordAudit(req, { action: 'coupon.update', entityType: 'coupon', entityId: coupon._id, before, after: coupon });
+        res.json(coupon);
+    } catch (error) {
+        console.error('Error updating coupon:', error);
+        res.status(400).json({ error: 'Failed to update coupon.', details: error.message });
+    }
+});
+
+app.delete('/api/admin/coupons/:id', requireAdmin('catalog_editor'), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid coupon ID format.' });
+        }
+        // Used coupons are kept for the order history and deactivated instead
+        const coupon = await Coupon.findById(req.params.id);
+        if (!coupon) return res.status(404).json({ error: 'Coupon not found.' });
+        const before = auditSnapshot(coupon);
+        if (coupon.redemptionCount > 0) {
+            coupon.active = false;
+            await coupon.save();
+            await recordAudit(req, { action: 'coupon.deactivate', entityType: 'coupon', entityId: coupon._id, before, after: coupon });
+            return res.json({ message: 'Coupon has been used, so it was deactivated instead of deleted.' });
+        }
+        await coupon.deleteOne();
+        await recordAudit(req, { action: 'coupon.delete', entityType: 'coupon', entityId: coupon._id, before });
+        res.json({ message: 'Coupon deleted successfully.' });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to delete coupon.' });
+    }
+});
+
+app.get('/api/admin/coupons/:id/redemptions', requireAdmin('catalog_editor', 'order_manager'), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid coupon ID format.' });
+        }
+        const coupon = await Coupon.findById(req.params.id).lean();
+        if (!coupon) return res.status(404).json({ error: 'Coupon not found.' });
+        const redemptions = await CouponRedemption.find({ couponId: coupon._id }).sort({ createdAt: -1 }).lean();
+        res.json({
+            code: coupon.code,
+            redemptionCount: coupon.redemptionCount,
+            totalDiscount: roundCurrency(redemptions.reduce((sum, r) => sum + r.discount, 0)),
+            redemptions
+        });
+    } catch (error) {
+        console.error('Error fetching coupon redemptions:', error);
+        res.status(500).json({ error: 'Failed to fetch coupon redemptions.' });
+    }
+});
+
+// --- Price Rule Endpoints ---
+// Fields only the worker sets
+const PRICE_RULE_SERVER_FIELDS = ['status', 'applied', 'skipped', 'appliedAt', 'endedAt', 'createdBy', 'createdAt'];
+const priceRuleInput = (body) => Object.fromEntries(Object.entries(body || {}).filter(([field]) => !PRICE_RULE_SERVER_FIELDS.includes(field)));
+
+/**
+ * Finds scheduled or running sales that overlap a rule in time and name some of the same
+ * products or categories. (A product that a sale names and another only reaches through a
+ * category is caught when the second one starts, and skipped by it.)
+ * @param {Object} rule - The price rule document.
+ * @returns {Promise<Array>} The clashing rules.
+ */
+function findClashingPriceRules(rule) {
+    return PriceRule.find({
+        _id: { $ne: rule._id },
+        status: { $in: ['scheduled', 'applying', 'active'] },
+        startsAt: { $lt: rule.endsAt },
+        endsAt: { $gt: rule.startsAt },
+        $or: [{ 'scope.productIds': { $in: rule.scope.productIds } }, { 'scope.categories': { $in: rule.scope.categories } }]
+    }, { name: 1, startsAt: 1, endsAt: 1, status: 1 }).lean();
+}
+
+app.get('/api/admin/price-rules', requireAdmin('catalog_editor'), async (req, res) => {
+    try {
+        const query = PRICE_RULE_STATUSES.includes(req.query.status) ? { status: req.query.status } : {};
+        const rules = await PriceRule.find(query).sort({ startsAt: -1 });
+        res.json(rules);
+    } catch (error) {
+        console.error('Error fetching price rules:', error);
+        res.status(500).json({ error: 'Failed to fetch price rules.' });
+    }
+});
+
+app.post('/api/admin/price-rules', requireAdmin('catalog_editor'), async (req, res) => {
+    try {
+        const rule = new PriceRule({ ...priceRuleInput(req.body), createdBy: req.actor });
+        await rule.validate();
+        const clashes = await findClashingPriceRules(rule);
+        if (clashes.length > 0) {
+            return res.status(409).json({ error: 'Another sale covers some of these products at the same time.', details: { clashes } });
+        }
+        await rule.save();
+        await recordAudit(req, { action: 'price_rule.create', entityType: 'price_rule', entityId: rule._id, after: rule });
+        res.status(201).json(rule);
+    } catch (error) {
+        console.error('Error creating price rule:', error);
+        res.status(400).json({ error: 'Failed to create price rule.', details: error.message });
+    }
+});
+
+// Only sales that haven't started can be edited; a running one can be cancelled instead
+app.put('/api/admin/price-rules/:id', requireAdmin('catalog_editor'), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid price rule ID format.' });
+        }
+        const rule = await PriceRule.findById(req.params.id);
+        if (!rule) {
+            return res.status(404).json({ error: 'Price rule not found.' });
+        }
+        if (rule.status !== 'scheduled') {
+            return res.status(409).json({ error: `This sale is ${rule.status}, so it can no longer be edited.` });
+        }
+        const before = auditSnapshot(rule);
+        rule.set(priceRuleInput(req.body));
+        await rule.validate();
+        const clashes = await findClashingPriceRules(rule);
+        if (clashes.length > 0) {
+            return res.status(409).json({ error: 'Another sale covers some of these products at the same time.', details: { clashes } });
+        }
+        // Only saved if the worker hasn't started it in the meantime
+        const { _id, __v, ...fields } = priceRuleInput(rule.toObject());
+        const updated = await PriceRule.findOneAndUpdate({ _id: rule._id, status: 'scheduled' }, { $set: fields }, { new: true });
+        if (!updated) {
+            return res.status(409).json({ error: 'This sale has just started, so it can no longer be edited.' });
+        }
+        await recordAudit(req, { action: 'price_rule.update', entityType: 'price_rule', entityId: rule._id, before, after: updated });
+        res.json(updated);
+    } catch (error) {
+        console.error('Error updating price rule:', error);
+        res.status(400).json({ error: 'Failed to update price rule.', details: error.message });
+    }
+});
+
+// Cancels a sale. If it is running, the products get their old prices back straight away.
+app.post('/api/admin/price-rules/:id/cancel', requireAdmin('catalog_editor'), async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid price rule ID format.' });
+        }
+        const cancelled = await endPriceRule({ _id: req.params.id, status: { $in: ['scheduled', 'applying', 'active'] } }, 'cancelled');
+        if (!cancelled) {
+            return res.status(409).json({ error: 'Only scheduled or running sales can be cancelled.' });
+        }
+        const { before, rule } = cancelled;
+        await recordAudit(req, { action: 'price_rule.cancel', entityType: 'price_rule', entityId: rule._id, before, after: rule });
+        res.json(rule);
+    } catch (error) {
+        console.error('Error cancelling price rule:', error);
+        res.status(500).json({ error: 'Failed to cancel price rule.' });
+    }
+});
+
+app.get('/api/admin/products/:id/price-history', requireAdmin('catalog_editor'), async (req, res) => {
+    try {
+        const filter = productRefQuery(req.params.id);
+        if (!filter) {
+            return res.status(400).json({ error: 'Invalid product ID format.' });
+        }
+        const product = await Product.findOne(filter, { legacyId: 1, name: 1 }).lean();
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found.' });
+        }
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_PAGE_SIZE);
+        const query = { productId: product._id };
+        const [history, total] = await Promise.all([
+            PriceHistory.find(query).sort({ changedAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+            PriceHistory.countDocuments(query)
+        ]);
+        res.json({ id: product.legacyId, name: product.name, history, total, page, totalPages: Math.ceil(total / limit) });
+    } catch (error) {
+        console.error('Error fetching price history:', error);
+        res.status(500).json({ error: 'Failed to fetch price history.' });
+    }
+});
+
+// --- Inventory Admin Endpoints ---
+app.get('/api/admin/products/:id/stock', requireAdmin('catalog_editor', 'order_manager'), async (req, res) => {
+    try {
+        const filter = productRefQuery(req.params.id);
+        if (!filter) {
+            return res.status(400).json({ error: 'Invalid product ID format.' });
+        }
+        const product = await Product.findOne(filter).lean();
+        if (!product) {
+            return res.status(404).json({ error: 'Product not found.' });
+        }
+        const movements = await StockMovement.find({ productId: product._id }).sort({ createdAt: -1 }).limit(100);
+        res.json({
+            ...getStockInfo(product),
+            variants: product.variants.map(v => ({ id: v._id, sku: v.sku, label: variantLabel(v), stock: v.stock ?? null, ...getStockInfo(v) })),
+            movements
+        });
+    } catch (error) {
+        console.error('Error fetching stock:', error);
+        res.status(500).json({ error: 'Failed to fetch stock.' });
+    }
+});
+
+// Adjust a variant's stock by a relative `change`, or set an absolute `stock` count (e.g. after
+// a stocktake). Name the variant with `variantId` or `sku` unless the product only has one.
+app.post('/api/admin/products/:id/stock', requireAdmin('catalog_editor'), async (req, res) => {
+    try {
+        const { change, stock, reason, variantId, sku } = req.body;
+        const filter = productRefQuery(req.params.id);
+        if (!filter) {
+            return res.status(400).json({ error: 'Invalid product ID format.' });
+        }
+        if (!reason || typeof reason !== 'string' || !reason.trim()) {
+            return res.status(400).json({ error: 'A reason for the stock adjustment is required.' });
+        }
+        const isRelative = change !== undefined;
+        if (isRelative === (stock !== undefined)) {
+            return res.status(400).json({ error: 'Provide either change or stock, but not both.' });
+        }
+        const amount = Number(isRelative ? change : stock);
+        if (!Number.isInteger(amount) || (!isRelative && amount < 0) || (isRelative && amount === 0)) {
+            return res.status(400).json({ error: 'Stock amounts must be whole numbers, and stock cannot be negative.' });
+        }
+
+        const before = await Product.findOne(filter).lean();
+        if (!before) {
+            return res.status(404).json({ error: 'Product not found.' });
+        }
+        const variantBefore = findVariant(before, variantId ?? sku);
+        if (!variantBefore) {
+            return res.status(400).json({ error: 'Choose which variant to adjust (variantId or sku).' });
+        }
+
+        let product;
+        const variantFilter = { _id: variantBefore._id };
+        if (isRelative && typeof variantBefore.stock === 'number') {
+            // A negative change only applies if it wouldn't take stock below zero
+            if (amount < 0) variantFilter.stock = { $gte: -amount };
+            product = await Product.findOneAndUpdate(
+                { _id: before._id, variants: { $elemMatch: variantFilter } },
+                { $inc: { 'variants.$.stock': amount } },
+                { new: true }
+            );
+        } else if (!isRelative || amount > 0) {
+            // Setting a count, or adding units to a variant that didn't track stock yet
+            product = await Product.findOneAndUpdate(
+                { _id: before._id, variants: { $elemMatch: variantFilter } },
+                { $set: { 'variants.$.stock': amount } },
+                { new: true }
+            );
+        }
+        if (!product) {
+            return res.status(409).json({ error: 'Not enough stock to remove.', details: { stock: variantBefore.stock ?? 0 } });
+        }
+
+        const variant = product.variants.id(variantBefore._id);
+        const movement = await StockMovement.create({
+            productId: product._id,
+            variantId: variant._id,
+            sku: variant.sku,
+            change: isRelative ? amount : variant.stock - (variantBefore.stock || 0),
+            stockAfter: variant.stock,
+            reason: reason.trim()
+        });
+        await recordAudit(req, { action: 'product.stock', entityType: 'product', entityId: product._id, before, after: product, note: reason.trim() });
+        res.json({ variantId: variant._id, sku: variant.sku, stock: variant.stock, ...getStockInfo(variant), movement });
+    } catch (error) {
+        console.error('Error adjusting stock:', error);
+        res.status(400).json({ error: 'Failed to adjust stock.', details: error.message });
+    }
+});
+
+app.get('/api/admin/orders', requireAdmin('order_manager'), async (req, res) => {
+    try {
+        const { query, error } = buildOrderQuery(req.query);
+        if (error) return res.status(400).json({ error });
+        const orders = await Order.find(query).sort({ date: -1 });
+        res.json(orders);
+    } catch (error) {
+        console.error('Error fetching orders from DB:', error);
+        res.status(500).json({ error: 'Failed to read orders data.' });
+    }
+});
+
+app.get('/api/admin/orders/export', requireAdmin('order_manager'), async (req, res) => {
+    try {
+        const { query, error } = buildOrderQuery(req.query);
+        if (error) return res.status(400).json({ error });
+        const orders = await Order.find(query).sort({ date: -1 }).lean();
+
+        if (orders.length === 0) {
+            return res.status(404).send('No orders to export.');
+        }
+
+        const headers = ['OrderID', 'Date', 'Status', 'CustomerName', 'Email', 'Phone', 'Address', 'Shipping', 'Total', 'InvoiceNumber', 'PlaceOfSupply', 'TaxableValue', 'CGST', 'SGST', 'IGST', 'TotalTax', 'Items', 'Carrier', 'TrackingNumber', 'ReturnID'];
+
+        const csvRows = [headers.join(',')]; // Header row
+
+        orders.forEach(order => {
+            const customer = [
+                `${order.user.firstname} ${order.user.lastname}`, order.user.email, order.user.phone,
+                `${order.user.address1}${order.user.address2 ? `, ${order.user.address2}` : ''}, ${order.user.city}, ${order.user.state} ${order.user.zip}`
+            ];
+            const hasTax = Boolean(order.tax && order.tax.supplyType);
+            const row = [
+                order.orderId, new Date(order.date).toISOString(), order.status, ...customer,
+                order.shipping ? order.shipping.charge : 0, order.total, order.invoice && order.invoice.number,
+                ...(hasTax
+                    ? [order.tax.placeOfSupply, order.tax.taxableValue, order.tax.cgst, order.tax.sgst, order.tax.igst, order.tax.totalTax]
+                    : ['', '', '', '', '', '']),
+                order.items.map(item => `${item.quantity} x ${orderItemName(item)}`).join('; '),
+                order.shipment && order.shipment.carrier, order.shipment && order.shipment.trackingNumber, ''
+            ].map(escapeCsvCell).join(',');
+            csvRows.push(row);
+
+            // Each refund follows its order as a negative line, so totals add up to what was kept
+            (order.refunds || []).forEach(refund => {
+                const refundTax = (refund.cgst || 0) + (refund.sgst || 0) + (refund.igst || 0);
+                const refundRow = [
+                    order.orderId, new Date(refund.createdAt).toISOString(), 'refund', ...customer,
+                    0, -refund.amount, order.invoice && order.invoice.number,
+                    ...(hasTax
+                        ? [order.tax.placeOfSupply, -(refund.taxableValue || 0), -(refund.cgst || 0), -(refund.sgst || 0), -(refund.igst || 0), -roundCurrency(refundTax)]
+                        : ['', '', '', '', '', '']),
+                    refund.items.map(line => {
+                        const item = order.items.find(i => String(i._id) === String(line.itemId));
+                        return `-${line.quantity} x ${item ? orderItemName(item) : 'Unknown item'}`;
+                    }).join('; '),
+                    '', '', refund.returnId
+                ].map(escapeCsvCell).join(',');
+                csvRows.push(refundRow);
+            });
+        });
+        
+        res.header('Content-Type', 'text/csv');
+        res.attachment('orders.csv');
+        res.send(csvRows.join('\n'));
+    } catch (error) {
+        console.error('Error exporting orders:', error);
+        res.status(500).json({ error: 'Failed to export orders.' });
     }
 });
 
-app.delete('/api/products/:id', adminAuth, async (req, res) => {
+// --- Audit Log Endpoints ---
+// Filters: entityType, entityId, actor, action, and a from/to date range (see
+// parseAnalyticsRange). Newest first, a page at a time.
+app.get('/api/admin/audit-log', requireAdmin(), async (req, res) => {
     try {
-        const deletedProduct = await Product.findByIdAndDelete(req.params.id);
-        if (!deletedProduct) return res.status(404).json({ error: 'Product not found.' });
-        res.status(200).json({ message: 'Product deleted successfully.' });
+        const { entityType, entityId, actor, action, from, to } = req.query;
+        const query = {};
+        if (entityType) query.entityType = String(entityType);
+        if (entityId) query.entityId = String(entityId);
+        if (actor) query.actor = String(actor).toLowerCase().trim();
+        if (action) query.action = String(action);
+        if (from || to) {
+            const range = parseAnalyticsRange({ from, to });
+            if (range.error) {
+                return res.status(400).json({ error: range.error });
+            }
+            query.createdAt = { $gte: range.from, $lte: range.to };
+        }
+
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_PAGE_SIZE);
+        const [entries, total] = await Promise.all([
+            AuditLog.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+            AuditLog.countDocuments(query)
+        ]);
+        res.json({ entries, total, page, totalPages: Math.ceil(total / limit) });
     } catch (error) {
-        res.status(500).json({ error: 'Failed to delete product.' });
+        console.error('Error fetching audit log:', error);
+        res.status(500).json({ error: 'Failed to fetch audit log.' });
     }
 });
 
-app.get('/api/comments/:productId', async (req, res) => {
+// Recreates a deleted product, with its original _id and legacyId, from the snapshot taken
+// when it was deleted. Stock counts come back as they were at that moment.
+app.post('/api/admin/products/:id/restore', requireAdmin('catalog_editor'), async (req, res) => {
     try {
-        const { productId } = req.params;
-        const sort = req.query.sort || 'newest';
-        const stars = req.query.stars; // e.g., "5,4"
-
-        if (!mongoose.Types.ObjectId.isValid(productId)) {
-            return res.status(400).json({ message: 'Invalid Product ID format' });
+        const filter = productRefQuery(req.params.id);
+        if (!filter) {
+            return res.status(400).json({ error: 'Invalid product ID format.' });
+        }
+        // Snapshots hold the product as JSON, so its ObjectId is stored as a string
+        const [[field, value]] = Object.entries(filter);
+        const deletion = await AuditLog.findOne({ action: 'product.delete', [`snapshot.${field}`]: field === '_id' ? String(value) : value })
+            .sort({ createdAt: -1 }).lean();
+        if (!deletion || !deletion.snapshot) {
+            return res.status(404).json({ error: 'No deleted product with this ID was found.' });
+        }
+        // Uploaded images are only kept that long after a deletion, so an older product would come back without them
+        const restorableSince = new Date(Date.now() - PRODUCT_RESTORE_DAYS * 24 * 60 * 60 * 1000);
+        if (deletion.createdAt < restorableSince) {
+            return res.status(410).json({
+                error: `Products can only be restored within ${PRODUCT_RESTORE_DAYS} days of being deleted.`,
+                details: { deletedAt: deletion.createdAt }
+            });
+        }
+        const { __v, ...snapshot } = deletion.snapshot;
+        if (await Product.exists({ _id: snapshot._id })) {
+            return res.status(409).json({ error: 'This product exists, so there is nothing to restore.' });
+        }
+        // A new product may have taken the slug since; the restored one then gets a fresh one
+        if (snapshot.slug && await Product.exists({ slug: snapshot.slug })) delete snapshot.slug;
+        const clash = await Product.findOne({ legacyId: snapshot.legacyId }, { name: 1 }).lean();
+        if (clash) {
+            return res.status(409).json({
+                error: 'Another product now uses this product\'s ID, so it cannot be restored.',
+                details: { legacyId: snapshot.legacyId, productId: clash._id, name: clash.name }
+            });
         }
 
-        // Build the query object
-        const query = { productId };
-        if (stars) {
-            const starFilters = stars.split(',').map(Number).filter(n => n >= 1 && n <= 5);
-            if (starFilters.length > 0) {
-                query.rating = { $in: starFilters };
-            }
+        const product = await Product.create(snapshot);
+        await recordPriceChanges(null, product, { source: 'restore', actor: req.actor });
+        // Its sale may have ended while it was deleted, in which case its prices go back now
+        if (product.sale && product.sale.ruleId) {
+            const rule = await PriceRule.findById(product.sale.ruleId).lean();
+            if (!rule || rule.status !== 'active') await revertSalePrices(product, rule);
+        }
+        await recordAudit(req, { action: 'product.restore', entityType: 'product', entityId: product._id, after: product, note: `Restored from the deletion of ${new Date(deletion.createdAt).toISOString()}` });
+        console.log(`Product ${product.legacyId} restored by ${req.actor}.`);
+        const [formatted] = await formatProducts([product]);
+        res.status(201).json(formatted);
+    } catch (error) {
+        console.error('Error restoring product:', error);
+        if (error.code === 11000) {
+            // e.g. a variant's SKU has since been given to another product
+            return res.status(409).json({ error: 'The product clashes with an existing one and cannot be restored.', details: error.message });
         }
+        res.status(400).json({ error: 'Failed to restore product.', details: error.message });
+    }
+});
 
-        // Build the sort object
-        let sortOptions = { createdAt: -1 }; // Default: newest
-        if (sort === 'oldest') sortOptions = { createdAt: 1 };
-        else if (sort === 'highest') sortOptions = { rating: -1, createdAt: -1 };
-        else if (sort === 'lowest') sortOptions = { rating: 1, createdAt: -1 };
+// --- Sales Analytics ---
+// Every endpoint takes ?from=YYYY-MM-DD&to=YYYY-MM-DD (default: the last 30 days) and
+// ignores cancelled and refunded orders, and online orders that haven't been paid.
+// Revenue is net of partial refunds. Days, weeks and months follow Indian time.
+const ANALYTICS_MAX_POINTS = 400;
+const ANALYTICS_DATE_FORMATS = { day: '%Y-%m-%d', week: '%Y-%m-%d', month: '%Y-%m' };
 
-        // Fetch all comments that match the query, without pagination
-        const comments = await Comment.find(query)
-            .sort(sortOptions);
-        
-        res.json(comments);
-    } catch (error) {
-        console.error('Error fetching comments:', error);
-        res.status(500).json({ message: 'Server error while fetching comments.' });
+/**
+ * Reads the date range of an analytics request.
+ * @param {Object} query - The request query string ({ from, to }).
+ * @returns {Object} { from, to } as Dates, or { error } if they can't be parsed.
+ */
+function parseAnalyticsRange({ from, to }) {
+    // Plain dates are taken as whole days in shop time
+    const parse = (value, endOfDay) => /^\d{4}-\d{2}-\d{2}$/.test(value)
+        ? new Date(new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}Z`).getTime() - SHOP_UTC_OFFSET_MS)
+        : new Date(value);
+    const end = to ? parse(to, true) : new Date();
+    const start = from ? parse(from, false) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+    if (isNaN(start) || isNaN(end) || start > end) {
+        return { error: 'from and to must be valid dates, with from before to.' };
+    }
+    return { from: start, to: end };
+}
+
+// The $match stage shared by every analytics query. Cash on delivery orders count before
+// the courier collects, as they are fulfilled without waiting for payment.
+const analyticsMatch = ({ from, to }) => ({
+    $match: {
+        date: { $gte: from, $lte: to },
+        status: { $nin: ['cancelled', 'refunded'] },
+        $or: [{ 'payment.method': { $ne: 'online' } }, { 'payment.status': { $in: ['paid', 'refunded'] } }]
     }
 });
 
-app.post('/api/products/:id/reviews', async (req, res) => {
-    const legacyId = parseInt(req.params.id);
-    const { user, rating, comment } = req.body;
+// What an order brought in: its total less anything refunded from it so far
+const ANALYTICS_ORDER_REVENUE = { $subtract: ['$total', { $ifNull: ['$refundedAmount', 0] }] };
 
-    if (!user || !rating || !comment || rating < 1 || rating > 5) {
-        return res.status(400).json({ error: 'Missing required review fields: user, rating, comment' });
+/**
+ * Lists every period label between two dates, so charts get a point (of zero) for
+ * days/weeks/months without orders.
+ * @returns {Array<string>} Labels in the same format as ANALYTICS_DATE_FORMATS.
+ */
+function periodLabels(from, to, interval) {
+    // Shift into shop time and read it back with the UTC getters
+    const cursor = new Date(from.getTime() + SHOP_UTC_OFFSET_MS);
+    const end = new Date(to.getTime() + SHOP_UTC_OFFSET_MS);
+    cursor.setUTCHours(0, 0, 0, 0);
+    if (interval === 'week') cursor.setUTCDate(cursor.getUTCDate() - ((cursor.getUTCDay() + 6) % 7)); // Back to Monday
+    if (interval === 'month') cursor.setUTCDate(1);
+
+    const labels = [];
+    while (cursor <= end && labels.length <= ANALYTICS_MAX_POINTS) {
+        labels.push(cursor.toISOString().slice(0, interval === 'month' ? 7 : 10));
+        if (interval === 'month') cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+        else cursor.setUTCDate(cursor.getUTCDate() + (interval === 'week' ? 7 : 1));
     }
+    return labels;
+}
 
+/**
+ * Wraps an analytics route: parses the date range, handles errors, and passes the range
+ * to `handler`, whose result is sent along with the range.
+ */
+const analyticsRoute = (name, handler) => async (req, res) => {
+    const range = parseAnalyticsRange(req.query);
+    if (range.error) {
+        return res.status(400).json({ error: range.error });
+    }
     try {
-        const product = await Product.findOne({ legacyId: legacyId });
-        if (!product) {
-            return res.status(404).json({ error: `Product with ID ${legacyId} not found.` });
+        const result = await handler(range, req.query);
+        if (result.error) return res.status(400).json({ error: result.error });
+        res.json({ from: range.from, to: range.to, ...result });
+    } catch (error) {
+        console.error(`Error computing ${name} analytics:`, error);
+        res.status(500).json({ error: `Failed to compute ${name} analytics.` });
+    }
+};
+
+// Revenue, order count and average order value per day, week or month.
+app.get('/api/admin/analytics/revenue', requireAdmin('order_manager'), analyticsRoute('revenue', async (range, { interval = 'day' }) => {
+    if (!ANALYTICS_DATE_FORMATS[interval]) return { error: 'interval must be day, week or month.' };
+    const labels = periodLabels(range.from, range.to, interval);
+    if (labels.length > ANALYTICS_MAX_POINTS) return { error: 'That range has too many points; use a longer interval.' };
+
+    const periodStart = interval === 'day'
+        ? '$date'
+        : { $dateTrunc: { date: '$date', unit: interval, timezone: SHOP_TIMEZONE, startOfWeek: 'monday' } };
+    const rows = await Order.aggregate([
+        analyticsMatch(range),
+        { $group: {
+            _id: { $dateToString: { date: periodStart, format: ANALYTICS_DATE_FORMATS[interval], timezone: SHOP_TIMEZONE } },
+            revenue: { $sum: ANALYTICS_ORDER_REVENUE },
+            orders: { $sum: 1 }
+        } }
+    ]);
+
+    const byLabel = new Map(rows.map(r => [r._id, r]));
+    const points = labels.map(label => {
+        const row = byLabel.get(label) || { revenue: 0, orders: 0 };
+        return {
+            label,
+            revenue: roundCurrency(row.revenue),
+            orders: row.orders,
+            averageOrderValue: row.orders ? roundCurrency(row.revenue / row.orders) : 0
+        };
+    });
+    const revenue = roundCurrency(points.reduce((sum, p) => sum + p.revenue, 0));
+    const orders = points.reduce((sum, p) => sum + p.orders, 0);
+    return {
+        interval,
+        totals: { revenue, orders, averageOrderValue: orders ? roundCurrency(revenue / orders) : 0 },
+        points
+    };
+}));
+
+// Best sellers by units sold or by item revenue (before order-level discounts and refunds).
+app.get('/api/admin/analytics/top-products', requireAdmin('order_manager'), analyticsRoute('top products', async (range, { by = 'revenue', limit }) => {
+    if (!['units', 'revenue'].includes(by)) return { error: 'by must be units or revenue.' };
+    const products = await Order.aggregate([
+        analyticsMatch(range),
+        { $unwind: '$items' },
+        { $group: {
+            _id: '$items.id',
+            name: { $last: '$items.name' },
+            units: { $sum: '$items.quantity' },
+            revenue: { $sum: { $multiply: ['$items.price', '$items.quantity'] } }
+        } },
+        { $sort: { [by]: -1, _id: 1 } },
+        { $limit: Math.min(Math.max(parseInt(limit) || 10, 1), 100) }
+    ]);
+    return {
+        by,
+        products: products.map(p => ({ id: p._id, name: p.name, units: p.units, revenue: roundCurrency(p.revenue) }))
+    };
+}));
+
+// Item sales per category, before order-level discounts and refunds. A product in several
+// categories counts towards each of them.
+app.get('/api/admin/analytics/categories', requireAdmin('order_manager'), analyticsRoute('category', async (range) => {
+    const categories = await Order.aggregate([
+        analyticsMatch(range),
+        { $unwind: '$items' },
+        { $lookup: { from: Product.collection.name, localField: 'items.id', foreignField: 'legacyId', as: 'product' } },
+        { $unwind: { path: '$product', preserveNullAndEmptyArrays: true } },
+        { $unwind: { path: '$product.category', preserveNullAndEmptyArrays: true } },
+        { $group: {
+            _id: { $ifNull: ['$product.category', 'Uncategorised'] },
+            units: { $sum: '$items.quantity' },
+            revenue: { $sum: { $multiply: ['$items.price', '$items.quantity'] } },
+            orders: { $addToSet: '$_id' }
+        } },
+        { $sort: { revenue: -1 } }
+    ]);
+    return {
+        categories: categories.map(c => ({ category: c._id, units: c.units, revenue: roundCurrency(c.revenue), orders: c.orders.length }))
+    };
+}));
+
+// How many customers (by email) ordered more than once in the range.
+app.get('/api/admin/analytics/customers', requireAdmin('order_manager'), analyticsRoute('customer', async (range) => {
+    const [stats] = await Order.aggregate([
+        analyticsMatch(range),
+        { $group: { _id: { $toLower: { $trim: { input: '$user.email' } } }, orders: { $sum: 1 }, revenue: { $sum: ANALYTICS_ORDER_REVENUE } } },
+        { $group: {
+            _id: null,
+            customers: { $sum: 1 },
+            repeatCustomers: { $sum: { $cond: [{ $gt: ['$orders', 1] }, 1, 0] } },
+            ordersFromRepeatCustomers: { $sum: { $cond: [{ $gt: ['$orders', 1] }, '$orders', 0] } },
+            revenueFromRepeatCustomers: { $sum: { $cond: [{ $gt: ['$orders', 1] }, '$revenue', 0] } }
+        } }
+    ]);
+    const { customers = 0, repeatCustomers = 0, ordersFromRepeatCustomers = 0, revenueFromRepeatCustomers = 0 } = stats || {};
+    return {
+        customers,
+        repeatCustomers,
+        repeatRate: customers ? Math.round((repeatCustomers / customers) * 1000) / 10 : 0, // Percent, one decimal
+        ordersFromRepeatCustomers,
+        revenueFromRepeatCustomers: roundCurrency(revenueFromRepeatCustomers)
+    };
+}));
+
+// Orders and revenue per shipping state, or per city with ?by=city.
+app.get('/api/admin/analytics/regions', requireAdmin('order_manager'), analyticsRoute('region', async (range, { by = 'state', limit }) => {
+    if (!['state', 'city'].includes(by)) return { error: 'by must be state or city.' };
+    // Addresses are typed by hand, so group case-insensitively and label each group with one of its spellings
+    const regions = await Order.aggregate([
+        analyticsMatch(range),
+        { $group: {
+            _id: { $toLower: { $trim: { input: `$user.${by}` } } },
+            name: { $first: { $trim: { input: `$user.${by}` } } },
+            orders: { $sum: 1 },
+            revenue: { $sum: ANALYTICS_ORDER_REVENUE }
+        } },
+        { $sort: { revenue: -1 } },
+        { $limit: Math.min(Math.max(parseInt(limit) || 20, 1), 200) }
+    ]);
+    return { by, regions: regions.map(r => ({ name: r.name, orders: r.orders, revenue: roundCurrency(r.revenue) })) };
+}));
+
+// --- Catalog Import/Export ---
+// Fields an import file may set. Ratings, review counts and stock are maintained by the
+// shop itself (reviews and stock adjustments) and are never overwritten by an import.
+// JSON files list each product's variants in a `variants` array; CSV files have one row
+// per variant, repeating the product's id (product columns are read from its first row).
+const CATALOG_FIELDS = ['name', 'dateAdded', 'category', 'images', 'description', 'sellerTag', 'handlingDays', 'hsnCode', 'gstRate'];
+const CATALOG_VARIANT_FIELDS = ['sku', 'optionName', 'optionValue', 'price', 'originalPrice', 'image', 'weightGrams'];
+const CATALOG_CSV_VARIANT_COLUMNS = { sku: 'sku', optionName: 'optionName', optionValue: 'optionValue', price: 'price', originalPrice: 'originalPrice', image: 'variantImage', weightGrams: 'weightGrams' };
+const CATALOG_LIST_FIELDS = ['category', 'images']; // Stored as "a|b|c" in CSV files
+const CATALOG_NUMBER_FIELDS = ['price', 'originalPrice', 'gstRate', 'handlingDays', 'weightGrams'];
+
+// Helper to escape CSV cells
+const escapeCsvCell = (cell) => {
+    if (cell === null || cell === undefined) return '';
+    let str = String(cell);
+    if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+        return `"${str.replace(/"/g, '""')}"`;
+    }
+    return str;
+};
+
+/**
+ * Parses CSV text into an array of objects keyed by the header row. Handles quoted
+ * cells with embedded commas, quotes ("") and newlines.
+ * @param {string} text - The CSV file contents.
+ * @returns {Array<Object>} One object per data row.
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, ''); // Spreadsheet exports often start with a BOM
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') { cell += '"'; i++; }
+            else if (char === '"') inQuotes = false;
+            else cell += char;
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell); cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell); cell = '';
+            rows.push(row); row = [];
+        } else {
+            cell += char;
         }
+    }
+    if (cell !== '' || row.length > 0) { row.push(cell); rows.push(row); }
 
-        // --- Verification Logic ---
-        let isVerified = false;
-        // Find orders that contain this product's legacyId
-        const ordersWithProduct = await Order.find({ 'items.id': legacyId });
-        
-        // Check if any of those orders were placed by a user with a matching name
-        if (ordersWithProduct.length > 0) {
-            const reviewerName = user.toLowerCase().trim();
-            isVerified = ordersWithProduct.some(order => {
-                const customerName = `${order.user.firstname || ''} ${order.user.lastname || ''}`.toLowerCase().trim();
-                // Check if the reviewer's name is part of the customer's full name
-                return customerName.includes(reviewerName);
-            });
+    const [headers = [], ...dataRows] = rows.filter(r => r.some(c => c.trim() !== ''));
+    return dataRows.map(r => Object.fromEntries(headers.map((h, i) => [h.trim(), r[i] === undefined ? '' : r[i]])));
+}
+
+/**
+ * Folds the one-row-per-variant layout of a CSV import into one row per product, in the
+ * same shape as a JSON import.
+ * @param {Array<Object>} rows - The parsed CSV rows.
+ * @returns {Array<Object>} One row per product id, each with a `variants` array and the
+ *   number of its first CSV row as `csvRow`.
+ */
+function groupCatalogCsvRows(rows) {
+    const products = new Map();
+    rows.forEach((row, index) => {
+        const key = String(row.legacyId ?? row.id ?? '').trim() || `row-${index}`;
+        if (!products.has(key)) products.set(key, { ...row, csvRow: index + 1, variants: [] });
+        const variant = {};
+        for (const [field, column] of Object.entries(CATALOG_CSV_VARIANT_COLUMNS)) {
+            if (row[column] !== undefined && row[column] !== '') variant[field] = row[column];
         }
-        // --- End Verification Logic ---
+        if (Object.keys(variant).length > 0) products.get(key).variants.push(variant);
+    });
+    return [...products.values()];
+}
 
-        const newComment = new Comment({
-            productId: product._id,
-            username: user,
-            rating: parseInt(rating),
-            comment: comment,
-            verifiedPurchase: isVerified
+/**
+ * Normalises one row of an import file (JSON object or grouped CSV row) into product
+ * fields. Blank CSV cells mean "leave unchanged". A row with a `price` but no variants
+ * (the format from before variants existed) describes a single variant.
+ * @param {Object} row - The raw row; the product is identified by `legacyId` or `id`.
+ * @param {boolean} fromCsv - Whether the values are CSV strings that need converting.
+ * @returns {Object} { legacyId, archived, fields }.
+ */
+function normaliseCatalogRow(row, fromCsv) {
+    const legacyId = Number(row.legacyId ?? row.id);
+    const archivedValue = row.archived;
+    const archived = archivedValue === true || String(archivedValue).toLowerCase() === 'true';
+    const fields = {};
+    for (const field of CATALOG_FIELDS) {
+        let value = row[field];
+        if (value === undefined || (fromCsv && value === '')) continue;
+        if (fromCsv && CATALOG_LIST_FIELDS.includes(field)) value = value.split('|').map(v => v.trim()).filter(Boolean);
+        if (fromCsv && CATALOG_NUMBER_FIELDS.includes(field)) value = Number(value);
+        if (field === 'dateAdded') value = new Date(value);
+        fields[field] = value;
+    }
+
+    let variants = Array.isArray(row.variants) && row.variants.length > 0 ? row.variants : null;
+    if (!variants && !fromCsv && row.price !== undefined) variants = [{ price: row.price, originalPrice: row.originalPrice }];
+    if (variants) {
+        fields.variants = variants.map(variant => {
+            const normalised = {};
+            for (const field of CATALOG_VARIANT_FIELDS) {
+                let value = variant && variant[field];
+                if (value === undefined || value === null || value === '') continue;
+                if (CATALOG_NUMBER_FIELDS.includes(field)) value = Number(value);
+                if (field === 'sku') value = String(value).trim().toUpperCase();
+                normalised[field] = value;
+            }
+            return normalised;
         });
-        await newComment.save();
+    }
+    return { legacyId, archived, fields };
+}
 
-        const stats = await Comment.aggregate([
-            { $match: { productId: product._id } },
-            { $group: { _id: '$productId', avgRating: { $avg: '$rating' }, count: { $sum: 1 } } }
-        ]);
+/**
+ * Lines up the variants in an import file with a product's existing ones, by SKU (or, for
+ * single-variant products, the one variant). Matched variants keep their id, so orders and
+ * stock movements still point at them, and fields the file leaves out keep their value.
+ * @returns {Array<Object>} The product's new variant list, without stock counts.
+ */
+function mergeCatalogVariants(existingVariants = [], importedVariants) {
+    return importedVariants.map(imported => {
+        const match = imported.sku
+            ? existingVariants.find(v => v.sku === imported.sku)
+            : importedVariants.length === 1 && existingVariants.length === 1 ? existingVariants[0] : null;
+        const { stock, ...kept } = match || {};
+        return { ...kept, ...imported };
+    });
+}
+
+// The parts of a variant list an import can change, for diffing.
+const catalogVariantView = (variants) => variants && variants.map(v =>
+    Object.fromEntries(CATALOG_VARIANT_FIELDS.filter(f => v[f] !== undefined).map(f => [f, v[f]])));
+
+// Compares values the way they'd be stored (dates and arrays included).
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Works out what an import would do, without writing anything. Each product is validated
+ * against ProductSchema exactly as it would be saved.
+ * @param {Array<Object>} rows - The rows of the import file.
+ * @param {Object} options - { fromCsv, archiveMissing }: archiveMissing archives every
+ *   product that isn't in the file.
+ * @returns {Promise<Object>} The per-product changes, a summary and whether the plan is valid.
+ */
+async function planCatalogImport(rows, { fromCsv = false, archiveMissing = false } = {}) {
+    const existingProducts = await Product.find().lean();
+    const existingById = new Map(existingProducts.map(p => [p.legacyId, p]));
+    const seen = new Set();
+    const changes = [];
 
-        if (stats.length > 0) {
-            product.rating = Math.round(stats[0].avgRating);
-            product.reviewsCount = stats[0].count;
-            await product.save();
+    const productRows = fromCsv ? groupCatalogCsvRows(rows) : rows;
+    productRows.forEach((row, index) => {
+        const { legacyId, archived, fields } = normaliseCatalogRow(row, fromCsv);
+        const change = { row: fromCsv ? row.csvRow : index + 1, legacyId, errors: [] };
+        changes.push(change);
+
+        if (!Number.isInteger(legacyId) || legacyId < 1) {
+            change.action = 'invalid';
+            change.errors.push('Every row needs a positive whole-number id (or legacyId).');
+            return;
+        }
+        if (seen.has(legacyId)) {
+            change.action = 'invalid';
+            change.errors.push(`Product ${legacyId} appears more than once in the file.`);
+            return;
         }
+        seen.add(legacyId);
 
-        console.log(`Review for ${product.name} (ID: ${legacyId}) saved. Verified: ${isVerified}`);
-        res.status(201).json({
-            newComment,
-            newRating: product.rating,
-            newReviewsCount: product.reviewsCount
-        });
-    } catch (error) {
-        console.error('Error adding review to DB:', error);
-        res.status(500).json({ error: 'Failed to add review.' });
-    }
-});
+        const existing = existingById.get(legacyId);
+        if (fields.variants && existing && existing.variants.length > 1 && fields.variants.some(v => !v.sku)) {
+            // Otherwise there's no telling which variant a price belongs to
+            change.errors.push('This product has several variants, so every variant in the file needs its sku.');
+        }
+        if (fields.variants) fields.variants = mergeCatalogVariants(existing && existing.variants, fields.variants);
 
-// --- Order and Admin Endpoints ---
-app.post('/api/orders', async (req, res) => {
-    const { items, total, user } = req.body;
-    if (!items || !Array.isArray(items) || items.length === 0 || !total || !user) {
-        return res.status(400).json({ error: 'Invalid order data.' });
+        const target = { ...(existing || { dateAdded: new Date() }), ...fields, legacyId, archived };
+        const product = new Product(target);
+        summariseVariants(product); // validateSync doesn't run the pre-validate hook
+        const validationError = product.validateSync();
+        if (validationError) {
+            change.errors.push(...Object.values(validationError.errors).map(e => e.message));
+        }
+        if (fields.variants) {
+            // Keep generated SKUs and variant ids, and the "from" price derived from the variants
+            fields.variants = product.variants.map(({ _id, sku }, i) => ({ ...fields.variants[i], _id, sku }));
+            target.variants = fields.variants;
+            fields.price = product.price;
+            fields.originalPrice = product.originalPrice;
+        }
+
+        const diff = {};
+        for (const field of [...CATALOG_FIELDS, 'variants', 'archived']) {
+            let before = existing ? existing[field] : undefined;
+            let after = target[field];
+            if (field === 'archived' && existing) before = Boolean(before);
+            if (field === 'variants') [before, after] = [catalogVariantView(before), catalogVariantView(after)];
+            if (!sameValue(before, after)) diff[field] = { from: before, to: after };
+        }
+        change.name = target.name;
+        change.diff = diff;
+        change.fields = { ...fields, archived };
+        if (change.errors.length > 0) change.action = 'invalid';
+        else if (!existing) change.action = 'create';
+        else if (Object.keys(diff).length === 0) change.action = 'unchanged';
+        else if (diff.archived && archived) change.action = 'archive';
+        else change.action = 'update';
+    });
+
+    if (archiveMissing) {
+        for (const product of existingProducts) {
+            if (seen.has(product.legacyId) || product.archived) continue;
+            changes.push({
+                legacyId: product.legacyId,
+                name: product.name,
+                action: 'archive',
+                diff: { archived: { from: false, to: true } },
+                fields: { archived: true },
+                errors: []
+            });
+        }
     }
 
+    const summary = { create: 0, update: 0, archive: 0, unchanged: 0, invalid: 0 };
+    changes.forEach(c => summary[c.action]++);
+    return { valid: summary.invalid === 0, summary, changes };
+}
+
+/**
+ * Writes a validated import plan in a single transaction, so either every product is
+ * updated or none are. Needs a MongoDB replica set (Atlas clusters are). Each product's
+ * audit log entry is written in the same transaction.
+ * @param {Object} plan - The result of planCatalogImport; must be valid.
+ * @param {Object} req - The import request, for the audit log.
+ */
+async function applyCatalogImport(plan, req) {
+    const session = await mongoose.startSession();
     try {
-        const newOrder = new Order({
-            orderId: `ORD-${Date.now()}`,
-            user: user,
-            total: parseFloat(total),
-            items: items
+        await session.withTransaction(async () => {
+            for (const change of plan.changes) {
+                if (change.action === 'create') {
+                    const [product] = await Product.create([{ dateAdded: new Date(), ...change.fields, legacyId: change.legacyId }], { session });
+                    await recordPriceChanges(null, product, { source: 'import', actor: req.actor }, session);
+                    await recordAudit(req, { action: 'product.create', entityType: 'product', entityId: product._id, after: product, note: 'Catalog import' }, session);
+                } else if (change.action === 'update' || change.action === 'archive') {
+                    const fields = { ...change.fields };
+                    const current = await Product.findOne({ legacyId: change.legacyId }).session(session).lean();
+                    if (fields.variants) {
+                        // Carry over stock counts as they are now, not as they were when the plan was made
+                        const stockById = new Map((current ? current.variants : []).map(v => [String(v._id), v.stock]));
+                        fields.variants = fields.variants.map(v => {
+                            const stock = stockById.get(String(v._id));
+                            return typeof stock === 'number' ? { ...v, stock } : v;
+                        });
+                    }
+                    const product = await Product.findOneAndUpdate(
+                        { legacyId: change.legacyId },
+                        { $set: fields },
+                        { session, runValidators: true, new: true }
+                    ).lean();
+                    await recordPriceChanges(current, product, { source: 'import', actor: req.actor }, session);
+                    await recordAudit(req, {
+                        action: change.action === 'archive' ? 'product.archive' : 'product.update',
+                        entityType: 'product',
+                        entityId: product._id,
+                        before: current,
+                        after: product,
+                        note: 'Catalog import'
+                    }, session);
+                }
+            }
+            // Imported products bring their own numbers, so move the counter past them
+            await syncLegacyIdSequence(session);
         });
-        await newOrder.save();
-        console.log(`New order ${newOrder.orderId} saved to MongoDB.`);
-        res.status(201).json({ message: 'Order placed successfully!', orderId: newOrder.orderId });
-    } catch (err) {
-        console.error('Error processing order:', err);
-        res.status(500).json({ error: 'Failed to process the order.' });
+    } finally {
+        await session.endSession();
     }
-});
+}
 
-app.get('/api/admin/orders', adminAuth, async (req, res) => {
-    try {
-        const { search } = req.query;
-        const query = {};
+/**
+ * Serialises the catalog for export, in the same format the importer reads.
+ * @param {string} format - 'json' or 'csv'.
+ * @param {boolean} includeArchived - Whether to include archived products.
+ * @returns {Promise<string>} The file contents.
+ */
+async function exportCatalog(format, includeArchived) {
+    const products = await Product.find(includeArchived ? {} : { archived: { $ne: true } }).sort({ legacyId: 1 }).lean();
+    const rows = products.map(p => ({
+        id: p.legacyId,
+        ...Object.fromEntries(CATALOG_FIELDS.map(field => [field, p[field]])),
+        variants: catalogVariantView(p.variants || []),
+        archived: Boolean(p.archived)
+    }));
+    if (format === 'json') return JSON.stringify(rows, null, 2);
 
-        if (search) {
-            const searchRegex = { $regex: search, $options: 'i' }; // i for case-insensitive
-            query.$or = [
-                { orderId: searchRegex },
-                { 'user.firstname': searchRegex },
-                { 'user.lastname': searchRegex },
-                { 'user.email': searchRegex }
-            ];
-        }
+    // One line per variant, with the product's columns repeated on each
+    const variantColumns = Object.values(CATALOG_CSV_VARIANT_COLUMNS);
+    const headers = ['id', ...CATALOG_FIELDS, ...variantColumns, 'archived'];
+    const lines = rows.flatMap(({ variants, ...product }) => variants.map(variant => ({
+        ...product,
+        ...Object.fromEntries(Object.entries(CATALOG_CSV_VARIANT_COLUMNS).map(([field, column]) => [column, variant[field]]))
+    })));
+    const csvRows = lines.map(row => headers.map(header => {
+        const value = row[header];
+        if (Array.isArray(value)) return escapeCsvCell(value.join('|'));
+        if (value instanceof Date) return escapeCsvCell(value.toISOString());
+        return escapeCsvCell(value);
+    }).join(','));
+    return [headers.join(','), ...csvRows].join('\n');
+}
 
-        const orders = await Order.find(query).sort({ date: -1 });
-        res.json(orders);
+/**
+ * Reads an import file's contents into rows.
+ * @param {string} text - The file contents.
+ * @param {string} format - 'json' or 'csv'.
+ * @returns {Array<Object>} The rows; JSON files may be an array or { products: [...] }.
+ */
+function readCatalogFile(text, format) {
+    if (format === 'csv') return parseCsv(text);
+    const data = JSON.parse(text);
+    const rows = Array.isArray(data) ? data : data.products;
+    if (!Array.isArray(rows)) throw new Error('JSON imports must be an array of products.');
+    return rows;
+}
+
+const catalogUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024, files: 1 } });
+
+app.get('/api/admin/catalog/export', requireAdmin('catalog_editor'), async (req, res) => {
+    try {
+        const format = req.query.format === 'csv' ? 'csv' : 'json';
+        const contents = await exportCatalog(format, req.query.includeArchived === 'true');
+        res.header('Content-Type', format === 'csv' ? 'text/csv' : 'application/json');
+        res.attachment(`catalog.${format}`);
+        res.send(contents);
     } catch (error) {
-        console.error('Error fetching orders from DB:', error);
-        res.status(500).json({ error: 'Failed to read orders data.' });
+        console.error('Error exporting catalog:', error);
+        res.status(500).json({ error: 'Failed to export catalog.' });
     }
 });
 
-app.get('/api/admin/orders/export', adminAuth, async (req, res) => {
+// Upload the file as multipart field "file" (.json or .csv), or send { products: [...] } as JSON.
+// Add ?dryRun=true to only see the diff, and ?archiveMissing=true to archive products not in the file.
+app.post('/api/admin/catalog/import', requireAdmin('catalog_editor'), parseJson(CATALOG_BODY_LIMIT), catalogUpload.single('file'), async (req, res) => {
     try {
-        const { search } = req.query;
-        const query = {};
-
-        if (search) {
-            const searchRegex = { $regex: search, $options: 'i' };
-            query.$or = [
-                { orderId: searchRegex },
-                { 'user.firstname': searchRegex },
-                { 'user.lastname': searchRegex },
-                { 'user.email': searchRegex }
-            ];
+        let rows;
+        let fromCsv = false;
+        try {
+            if (req.file) {
+                fromCsv = req.query.format === 'csv' || req.file.originalname.toLowerCase().endsWith('.csv');
+                rows = readCatalogFile(req.file.buffer.toString('utf8'), fromCsv ? 'csv' : 'json');
+            } else {
+                rows = readCatalogFile(JSON.stringify(req.body), 'json');
+            }
+        } catch (parseError) {
+            return res.status(400).json({ error: 'Could not read the import file.', details: parseError.message });
         }
 
-        const orders = await Order.find(query).sort({ date: -1 }).lean();
-
-        if (orders.length === 0) {
-            return res.status(404).send('No orders to export.');
+        const dryRun = req.query.dryRun === 'true';
+        const plan = await planCatalogImport(rows, { fromCsv, archiveMissing: req.query.archiveMissing === 'true' });
+        if (dryRun) {
+            return res.json({ dryRun, ...plan });
+        }
+        if (!plan.valid) {
+            return res.status(400).json({ error: 'The import has errors, so nothing was changed.', ...plan });
         }
 
-        const headers = ['OrderID', 'Date', 'CustomerName', 'Email', 'Phone', 'Address', 'Total', 'Items'];
-        
-        // Helper to escape CSV cells
-        const escapeCsvCell = (cell) => {
-            if (cell === null || cell === undefined) return '';
-            let str = String(cell);
-            if (str.includes(',') || str.includes('"') || str.includes('\n')) {
-                return `"${str.replace(/"/g, '""')}"`;
-            }
-            return str;
-        };
-
-        const csvRows = [headers.join(',')]; // Header row
-
-        orders.forEach(order => {
-            const row = [
-                order.orderId, new Date(order.date).toISOString(), `${order.user.firstname} ${order.user.lastname}`,
-                order.user.email, order.user.phone,
-                `${order.user.address1}${order.user.address2 ? `, ${order.user.address2}` : ''}, ${order.user.city}, ${order.user.state} ${order.user.zip}`,
-                order.total, order.items.map(item => `${item.quantity} x ${item.name}`).join('; ')
-            ].map(escapeCsvCell).join(',');
-            csvRows.push(row);
-        });
-        
-        res.header('Content-Type', 'text/csv');
-        res.attachment('orders.csv');
-        res.send(csvRows.join('\n'));
+        await applyCatalogImport(plan, req);
+        console.log(`Catalog import by ${req.actor}: ${JSON.stringify(plan.summary)}`);
+        res.json({ dryRun, ...plan });
     } catch (error) {
-        console.error('Error exporting orders:', error);
-        res.status(500).json({ error: 'Failed to export orders.' });
+        console.error('Error importing catalog:', error);
+        res.status(500).json({ error: 'Failed to import catalog. No changes were made.', details: error.message });
     }
+}, (error, req, res, next) => {
+    // Multer and body parser errors
+    res.status(error.type === 'entity.too.large' ? 413 : 400).json({ error: error.message });
 });
 
 // --- Endpoints for secondary product page (product.html) ---
@@ -425,21 +6014,22 @@ app.get('/api/admin/orders/export', adminAuth, async (req, res) => {
 // GET /product/:id: Fetch product details and its comments
 app.get('/product/:id', async (req, res) => {
   try {
-    const productId = req.params.id;
+    const filter = productRefQuery(req.params.id);
 
-    if (!mongoose.Types.ObjectId.isValid(productId)) {
+    if (!filter) {
         return res.status(400).json({ message: 'Invalid Product ID format' });
     }
 
-    const product = await Product.findById(productId);
+    const product = await Product.findOne(filter).lean();
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
 
-    const comments = await Comment.find({ productId: productId }).sort({ createdAt: -1 });
+    const comments = await Comment.find({ productId: product._id, status: 'approved' }).sort({ createdAt: -1 });
 
+    const [formatted] = await formatProducts([product]);
     res.json({
-      product,
+      product: formatted,
       comments,
     });
   } catch (error) {
@@ -449,42 +6039,423 @@ app.get('/product/:id', async (req, res) => {
 });
 
 // POST /product/:id/comment: Save a new comment
-app.post('/product/:id/comment', async (req, res) => {
+app.post('/product/:id/comment', attachCustomer, rateLimit('reviews'), requireHuman, preventDuplicates('review', 10), async (req, res) => {
   try {
-    const { id: productId } = req.params;
+    const filter = productRefQuery(req.params.id);
     const { username, comment } = req.body;
 
     if (!username || !comment) {
       return res.status(400).json({ message: 'Username and comment are required.' });
     }
     
-    if (!mongoose.Types.ObjectId.isValid(productId)) {
+    if (!filter) {
         return res.status(400).json({ message: 'Invalid Product ID format' });
     }
 
-    const productExists = await Product.findById(productId);
+    const productExists = await Product.findOne(filter);
     if (!productExists) {
         return res.status(404).json({ message: 'Cannot comment on a non-existent product.' });
     }
 
-    const newComment = new Comment({
-      productId,
-      username,
-      comment,
-    });
-
-    await newComment.save();
+    const { review } = await createReview(productExists, { username, comment, customer: req.customer });
 
-    res.status(201).json(newComment);
+    res.status(201).json(review);
   } catch (error) {
     console.error('Error posting comment:', error);
     res.status(500).json({ message: 'Server error while posting comment.' });
   }
 });
 
+// --- Crawlable Pages, Sitemap and Feeds ---
+// The storefront renders in the browser, which search engines and link previews (WhatsApp,
+// Facebook, X) don't wait for. These routes serve each product as plain HTML at a stable
+// URL, /products/<slug>, with OpenGraph/Twitter tags and schema.org JSON-LD, plus the
+// sitemap, robots.txt and feeds of new products that point crawlers to them.
+const SHOP_NAME = 'Brundavanam Goshala';
+const SHOP_DESCRIPTION = 'Pure desi cow ghee, milk products and panchagavya goods from Brundavanam Goshala, supporting the care and protection of our Gomata.';
+const FEED_SIZE = 30;
+const STATIC_PAGES = ['/', '/about.html', '/contact.html'];
+const PAGE_CACHE_CONTROL = 'public, max-age=300';
+
+const productPath = (product) => `/products/${product.slug || product.legacyId}`;
+const absoluteUrl = (url) => /^https?:\/\//.test(url) ? url : `${SITE_URL}${url.startsWith('/') ? '' : '/'}${url}`;
+const escapeXml = escapeHtml; // The same five characters need escaping in XML
+// Descriptions for meta tags: one line, cut at a word boundary
+const summarise = (text, length = 160) => {
+    const plain = String(text || '').replace(/\s+/g, ' ').trim();
+    return plain.length <= length ? plain : `${plain.slice(0, length - 1).replace(/\s+\S*$/, '')}…`;
+};
+// JSON-LD goes inside a <script> tag, so "</script>" in a product text mustn't end it early
+const jsonLd = (data) => JSON.stringify(data).replace(/</g, '\\u003c');
+
+const SCHEMA_AVAILABILITY = {
+    in_stock: 'https://schema.org/InStock',
+    low_stock: 'https://schema.org/LimitedAvailability',
+    out_of_stock: 'https://schema.org/OutOfStock'
+};
+
+/**
+ * Builds the schema.org Product (with offers, AggregateRating and reviews) for a product page.
+ * @param {Object} product - The product, as formatProducts returns it.
+ * @param {Array} reviews - Approved reviews to include.
+ * @returns {Object} The JSON-LD object.
+ */
+function productStructuredData(product, reviews) {
+    const url = absoluteUrl(productPath({ slug: product.slug, legacyId: product.id }));
+    const offers = product.variants.map(variant => ({
+        '@type': 'Offer',
+        sku: variant.sku,
+        name: variant.label || undefined,
+        price: variant.price.toFixed(2),
+        priceCurrency: 'INR',
+        availability: SCHEMA_AVAILABILITY[variant.stockStatus],
+        itemCondition: 'https://schema.org/NewCondition',
+        priceValidUntil: product.sale ? new Date(product.sale.endsAt).toISOString().slice(0, 10) : undefined,
+        url
+    }));
+    const prices = product.variants.map(v => v.price);
+    const rated = reviews.filter(r => r.rating);
+    return {
+        '@context': 'https://schema.org',
+        '@type': 'Product',
+        name: product.name,
+        description: product.description,
+        image: (product.images || []).map(absoluteUrl),
+        sku: product.variants.length === 1 ? product.variants[0].sku : undefined,
+        category: (product.category || []).join(', ') || undefined,
+        brand: { '@type': 'Brand', name: SHOP_NAME },
+        url,
+        offers: offers.length === 1 ? offers[0] : {
+            '@type': 'AggregateOffer',
+            priceCurrency: 'INR',
+            lowPrice: Math.min(...prices).toFixed(2),
+            highPrice: Math.max(...prices).toFixed(2),
+            offerCount: offers.length,
+            offers
+        },
+        aggregateRating: product.reviewsCount > 0 ? {
+            '@type': 'AggregateRating',
+            ratingValue: product.rating,
+            reviewCount: product.reviewsCount,
+            bestRating: 5,
+            worstRating: 1
+        } : undefined,
+        review: rated.length > 0 ? rated.map(review => ({
+            '@type': 'Review',
+            author: { '@type': 'Person', name: review.username },
+            datePublished: new Date(review.createdAt).toISOString().slice(0, 10),
+            reviewBody: review.comment,
+            reviewRating: { '@type': 'Rating', ratingValue: review.rating, bestRating: 5, worstRating: 1 }
+        })) : undefined
+    };
+}
+
+const stars = (rating) => '★'.repeat(Math.round(rating || 0)) + '☆'.repeat(5 - Math.round(rating || 0));
+
+// The page shell shared by product pages and the not-found page, in the storefront's look.
+const storefrontPage = ({ title, head = '', body }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    ${head}
+    <script src="https://cdn.tailwindcss.com"></script>
+    <link href="https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700;800&display=swap" rel="stylesheet">
+    <link rel="icon" type="image/png" href="/favicon.png">
+    <link rel="alternate" type="application/rss+xml" title="New at ${SHOP_NAME}" href="/feed.xml">
+    <style> body { font-family: 'Inter', sans-serif; } </style>
+</head>
+<body class="bg-stone-50">
+    <header class="bg-white/80 backdrop-blur-sm shadow-sm sticky top-0 z-50">
+        <div class="container mx-auto px-4 sm:px-6 lg:px-8 flex items-center justify-between h-16">
+            <a href="/index.html" class="text-xl sm:text-2xl font-bold text-green-800 hover:text-green-700">${SHOP_NAME}</a>
+            <nav class="flex items-center space-x-6 text-sm sm:text-base">
+                <a href="/index.html" class="text-stone-600 hover:text-green-700 font-medium">HOME</a>
+                <a href="/contact.html" class="text-stone-600 hover:text-green-700 font-medium">SUPPORT</a>
+                <a href="/cart.html" class="text-green-700 font-medium">CART</a>
+            </nav>
+        </div>
+    </header>
+    <main class="container mx-auto px-4 sm:px-6 lg:px-8 py-10">
+${body}
+    </main>
+    <footer class="bg-stone-800 text-white mt-12">
+        <div class="container mx-auto px-8 py-10 text-center">
+            <p class="font-bold text-2xl mb-2">${SHOP_NAME}</p>
+            <p class="text-stone-400 max-w-xl mx-auto">Promoting wellness and sustainability through sacred cow products, while supporting the care and protection of our beloved Gomata.</p>
+        </div>
+    </footer>
+</body>
+</html>`;
+
+/**
+ * Renders a product page: what the storefront shows, as HTML, with the meta tags and
+ * structured data for search engines and link previews.
+ * @param {Object} product - The product, as formatProducts returns it.
+ * @param {Array} reviews - Approved reviews, newest first.
+ * @returns {string} The HTML.
+ */
+function renderProductPage(product, reviews) {
+    const url = absoluteUrl(productPath({ slug: product.slug, legacyId: product.id }));
+    const description = summarise(product.description) || SHOP_DESCRIPTION;
+    const image = product.images && product.images[0] ? absoluteUrl(product.images[0]) : absoluteUrl('/logo.png');
+    const title = `${product.name} | ${SHOP_NAME}`;
+    const head = `<meta name="description" content="${escapeHtml(description)}">
+    <link rel="canonical" href="${escapeHtml(url)}">
+    <meta property="og:type" content="product">
+    <meta property="og:site_name" content="${SHOP_NAME}">
+    <meta property="og:title" content="${escapeHtml(product.name)}">
+    <meta property="og:description" content="${escapeHtml(description)}">
+    <meta property="og:url" content="${escapeHtml(url)}">
+    <meta property="og:image" content="${escapeHtml(image)}">
+    <meta property="product:price:amount" content="${product.price.toFixed(2)}">
+    <meta property="product:price:currency" content="INR">
+    <meta name="twitter:card" content="summary_large_image">
+    <meta name="twitter:title" content="${escapeHtml(product.name)}">
+    <meta name="twitter:description" content="${escapeHtml(description)}">
+    <meta name="twitter:image" content="${escapeHtml(image)}">
+    <script type="application/ld+json">${jsonLd(productStructuredData(product, reviews))}</script>`;
+
+    const images = product.images && product.images.length > 0 ? product.images : ['https://placehold.co/600x600/CCCCCC/FFFFFF?text=No+Image'];
+    const variantOptions = product.variants.length > 1
+        ? `<label for="variant-select" class="block font-medium text-stone-700 mb-2">Choose an option</label>
+            <select id="variant-select" class="w-full max-w-xs border border-stone-300 rounded-md px-3 py-2 mb-4">
+                ${product.variants.map(v => `<option value="${v._id}"${v.stockStatus === 'out_of_stock' ? ' disabled' : ''}>${escapeHtml(v.label || v.sku)} – ${formatRupees(v.price)}${v.stockStatus === 'out_of_stock' ? ' (out of stock)' : ''}</option>`).join('')}
+            </select>`
+        : '';
+    const body = `        <article class="grid grid-cols-1 md:grid-cols-2 gap-8">
+            <div class="space-y-4">
+                ${images.map((src, i) => `<img src="${escapeHtml(src)}" alt="${escapeHtml(product.name)}${i > 0 ? ` (photo ${i + 1})` : ''}" class="w-full rounded-lg shadow-md"${i > 0 ? ' loading="lazy"' : ''}>`).join('\n                ')}
+            </div>
+            <div>
+                <h1 class="text-3xl md:text-4xl font-bold text-stone-800 mb-2">${escapeHtml(product.name)}</h1>
+                ${product.reviewsCount > 0 ? `<p class="text-amber-500 mb-4">${stars(product.rating)} <span class="text-sm text-stone-500">(${product.reviewsCount} reviews)</span></p>` : ''}
+                ${product.sale ? `<p class="inline-block bg-red-600 text-white text-xs font-bold px-2 py-1 rounded mb-3">${escapeHtml(product.sale.tag)}</p>` : ''}
+                <p class="mb-1">
+                    <span class="text-3xl font-bold text-stone-900">${formatRupees(product.price)}</span>
+                    ${product.originalPrice > product.price ? `<span class="text-sm text-stone-500 line-through ml-2">M.R.P: ${formatRupees(product.originalPrice)}</span>` : ''}
+                </p>
+                ${product.sale ? `<p class="text-xs text-stone-500 mb-4">Lowest price in the ${product.lowestPriceDays} days before this sale: ${formatRupees(product.lowestPrice)}</p>` : ''}
+                <p class="text-sm font-medium mb-4 ${product.stockStatus === 'out_of_stock' ? 'text-red-600' : 'text-green-700'}">${product.stockStatus === 'out_of_stock' ? 'Out of stock' : product.stockStatus === 'low_stock' ? `Only ${product.stockLeft} left` : 'In stock'}</p>
+                <p class="text-stone-600 leading-relaxed mb-6" style="white-space: pre-line;">${escapeHtml(product.description)}</p>
+                ${variantOptions}
+                <button id="add-to-cart" data-product-id="${product.id}" class="w-full max-w-xs bg-amber-500 text-stone-900 font-bold py-3 px-6 rounded-lg hover:bg-amber-600 disabled:bg-stone-300"${product.stockStatus === 'out_of_stock' ? ' disabled' : ''}>Add to Cart</button>
+                <p id="cart-status" class="text-sm mt-3" role="status"></p>
+            </div>
+        </article>
+        <section class="mt-12 max-w-3xl">
+            <h2 class="text-2xl font-bold text-stone-800 mb-4">Customer reviews</h2>
+            ${reviews.length === 0 ? '<p class="text-stone-500">No reviews yet.</p>' : reviews.map(review => `<div class="bg-white rounded-lg shadow-sm p-4 mb-3">
+                <p class="font-semibold text-stone-800">${escapeHtml(review.username)}${review.verifiedPurchase ? ' <span class="text-xs text-green-700 font-medium">Verified purchase</span>' : ''}</p>
+                ${review.rating ? `<p class="text-amber-500 text-sm">${stars(review.rating)}</p>` : ''}
+                <p class="text-stone-600 mt-1" style="white-space: pre-line;">${escapeHtml(review.comment)}</p>
+                <p class="text-xs text-stone-400 mt-1">${new Date(review.createdAt).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })}</p>
+            </div>`).join('\n            ')}
+        </section>
+        <script type="module">
+            import { addToCart } from '/data.js';
+            const button = document.getElementById('add-to-cart');
+            const status = document.getElementById('cart-status');
+            button.addEventListener('click', async () => {
+                const variantSelect = document.getElementById('variant-select');
+                button.disabled = true;
+                try {
+                    await addToCart(Number(button.dataset.productId), variantSelect ? variantSelect.value : undefined);
+                    status.innerHTML = 'Added to your cart. <a href="/cart.html" class="text-green-700 font-semibold hover:underline">View cart</a>';
+                } catch (error) {
+                    status.textContent = error.message;
+                } finally {
+                    button.disabled = false;
+                }
+            });
+        </script>`;
+    return storefrontPage({ title, head, body });
+}
+
+const PRODUCT_PAGE_REVIEWS = 10;
+
+// Product pages. Any identifier works, but only the slug URL is served: the others
+// redirect to it, so each product has a single URL for search engines.
+app.get('/products/:ref', async (req, res) => {
+    try {
+        const filter = productRefQuery(req.params.ref);
+        const product = filter && await Product.findOne({ ...filter, archived: { $ne: true } }).lean();
+        if (!product) {
+            return res.status(404).type('html').send(storefrontPage({
+                title: `Product not found | ${SHOP_NAME}`,
+                head: '<meta name="robots" content="noindex">',
+                body: `        <div class="text-center py-16">
+            <h1 class="text-3xl font-bold text-stone-800 mb-4">Product not found</h1>
+            <p class="text-stone-500 mb-6">This product may have been removed or renamed.</p>
+            <a href="/index.html" class="inline-block bg-amber-600 hover:bg-amber-700 text-stone-900 font-bold py-3 px-8 rounded-lg">Continue Shopping</a>
+        </div>`
+            }));
+        }
+        if (product.slug && req.params.ref !== product.slug) {
+            return res.redirect(301, productPath(product));
+        }
+        const [[formatted], reviews] = await Promise.all([
+            formatProducts([product]),
+            Comment.find({ productId: product._id, status: 'approved' }).sort({ createdAt: -1 }).limit(PRODUCT_PAGE_REVIEWS).lean()
+        ]);
+        res.set('Cache-Control', PAGE_CACHE_CONTROL);
+        res.type('html').send(renderProductPage(formatted, reviews));
+    } catch (error) {
+        console.error('Error rendering product page:', error);
+        res.status(500).type('html').send(storefrontPage({
+            title: SHOP_NAME,
+            body: '        <p class="text-center text-stone-500 py-16">Something went wrong loading this product. Please try again.</p>'
+        }));
+    }
+});
+
+app.get('/sitemap.xml', async (req, res) => {
+    try {
+        const products = await Product.find({ archived: { $ne: true } }, { slug: 1, legacyId: 1, dateAdded: 1, name: 1, images: { $slice: 1 } })
+            .sort({ legacyId: 1 }).lean();
+        const urls = [
+            ...STATIC_PAGES.map(page => `  <url><loc>${escapeXml(absoluteUrl(page))}</loc></url>`),
+            ...products.map(p => `  <url>
+    <loc>${escapeXml(absoluteUrl(productPath(p)))}</loc>${p.dateAdded ? `
+    <lastmod>${new Date(p.dateAdded).toISOString().slice(0, 10)}</lastmod>` : ''}${p.images && p.images[0] ? `
+    <image:image><image:loc>${escapeXml(absoluteUrl(p.images[0]))}</image:loc><image:title>${escapeXml(p.name)}</image:title></image:image>` : ''}
+  </url>`)
+        ];
+        res.set('Cache-Control', PAGE_CACHE_CONTROL);
+        res.type('application/xml').send(`<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">
+${urls.join('\n')}
+</urlset>`);
+    } catch (error) {
+        console.error('Error building sitemap:', error);
+        res.status(500).type('text').send('Failed to build sitemap.');
+    }
+});
+
+app.get('/robots.txt', (req, res) => {
+    res.type('text').send(`User-agent: *
+Disallow: /api/
+Disallow: /cart.html
+Disallow: /checkout.html
+
+Sitemap: ${absoluteUrl('/sitemap.xml')}
+`);
+});
+
+// The newest products first, for the feeds
+const newProducts = () => Product.find({ archived: { $ne: true } }).sort({ dateAdded: -1, legacyId: -1 }).limit(FEED_SIZE).lean();
+
+// Feed entries carry the picture, description and price as HTML
+const feedContent = (product) => `${product.images && product.images[0] ? `<p><img src="${escapeHtml(absoluteUrl(product.images[0]))}" alt="${escapeHtml(product.name)}"></p>` : ''}<p>${escapeHtml(product.description)}</p><p>${formatRupees(product.price)}</p>`;
+
+// RSS 2.0
+app.get('/feed.xml', async (req, res) => {
+    try {
+        const products = await newProducts();
+        const items = products.map(p => `    <item>
+      <title>${escapeXml(p.name)}</title>
+      <link>${escapeXml(absoluteUrl(productPath(p)))}</link>
+      <guid isPermaLink="true">${escapeXml(absoluteUrl(productPath(p)))}</guid>${p.dateAdded ? `
+      <pubDate>${new Date(p.dateAdded).toUTCString()}</pubDate>` : ''}
+${(p.category || []).map(c => `      <category>${escapeXml(c)}</category>`).join('\n')}
+      <description>${escapeXml(feedContent(p))}</description>
+    </item>`);
+        res.set('Cache-Control', PAGE_CACHE_CONTROL);
+        res.type('application/rss+xml').send(`<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>New at ${SHOP_NAME}</title>
+    <link>${escapeXml(absoluteUrl('/'))}</link>
+    <atom:link href="${escapeXml(absoluteUrl('/feed.xml'))}" rel="self" type="application/rss+xml"/>
+    <description>${escapeXml(SHOP_DESCRIPTION)}</description>
+    <language>en-in</language>${products[0] && products[0].dateAdded ? `
+    <lastBuildDate>${new Date(products[0].dateAdded).toUTCString()}</lastBuildDate>` : ''}
+${items.join('\n')}
+  </channel>
+</rss>`);
+    } catch (error) {
+        console.error('Error building RSS feed:', error);
+        res.status(500).type('text').send('Failed to build feed.');
+    }
+});
+
+// Atom 1.0
+app.get('/feed.atom', async (req, res) => {
+    try {
+        const products = await newProducts();
+        const updated = (p) => new Date(p.dateAdded || 0).toISOString();
+        const entries = products.map(p => `  <entry>
+    <id>${escapeXml(absoluteUrl(productPath(p)))}</id>
+    <title>${escapeXml(p.name)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(absoluteUrl(productPath(p)))}"/>
+    <updated>${updated(p)}</updated>
+${(p.category || []).map(c => `    <category term="${escapeXml(c)}"/>`).join('\n')}
+    <summary>${escapeXml(summarise(p.description, 300))}</summary>
+    <content type="html">${escapeXml(feedContent(p))}</content>
+  </entry>`);
+        res.set('Cache-Control', PAGE_CACHE_CONTROL);
+        res.type('application/atom+xml').send(`<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(absoluteUrl('/feed.atom'))}</id>
+  <title>New at ${SHOP_NAME}</title>
+  <subtitle>${escapeXml(SHOP_DESCRIPTION)}</subtitle>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(absoluteUrl('/feed.atom'))}"/>
+  <link rel="alternate" type="text/html" href="${escapeXml(absoluteUrl('/'))}"/>
+  <author><name>${SHOP_NAME}</name></author>
+  <updated>${products[0] ? updated(products[0]) : new Date(0).toISOString()}</updated>
+${entries.join('\n')}
+</feed>`);
+    } catch (error) {
+        console.error('Error building Atom feed:', error);
+        res.status(500).type('text').send('Failed to build feed.');
+    }
+});
+
 // --- Data Migration and Seeding on Startup ---
 async function migrateAndSeed() {
   try {
+    // 0. Orders placed before the order lifecycle existed start out as pending
+    const { modifiedCount: ordersWithoutStatus } = await Order.updateMany(
+      { status: { $exists: false } },
+      { $set: { status: 'pending' }, $push: { statusHistory: { to: 'pending', changedBy: 'migration', at: new Date() } } }
+    );
+    if (ordersWithoutStatus > 0) {
+      console.log(`Set status 'pending' on ${ordersWithoutStatus} existing orders.`);
+    }
+
+    // Reviews written before moderation existed were already public, so approve them and
+    // recompute the ratings they feed into (which used to be rounded to whole stars)
+    const reviewedProductIds = await Comment.distinct('productId', { status: { $exists: false } });
+    if (reviewedProductIds.length > 0) {
+      await Comment.updateMany({ status: { $exists: false } }, { status: 'approved' });
+      for (const productId of reviewedProductIds) await recalculateProductRating(productId);
+      console.log(`Approved existing reviews and recalculated ratings for ${reviewedProductIds.length} products.`);
+    }
+
+    // Products from before variants carried their own price and stock: move those onto a
+    // single default variant. Done on the raw collection, as `stock` is no longer in the schema.
+    const productsWithoutVariants = await Product.collection.find({ variants: { $exists: false } }).toArray();
+    if (productsWithoutVariants.length > 0) {
+      await Product.collection.bulkWrite(productsWithoutVariants.map(p => {
+        const variant = { _id: new mongoose.Types.ObjectId(), sku: `SKU-${p.legacyId}`, price: p.price };
+        if (typeof p.originalPrice === 'number') variant.originalPrice = p.originalPrice;
+        if (typeof p.stock === 'number') variant.stock = p.stock;
+        return { updateOne: { filter: { _id: p._id }, update: { $set: { variants: [variant] }, $unset: { stock: '' } } } };
+      }));
+      console.log(`Moved ${productsWithoutVariants.length} products onto single default variants.`);
+    }
+
+    // Delivery dates used to be typed per product; they're now worked out from handling
+    // days and the shipping zone, so drop the old text
+    await Product.collection.updateMany({ deliveryDate: { $exists: true } }, { $unset: { deliveryDate: '' } });
+
+    // Until shipping zones are set up, keep delivering everywhere for free as before
+    if (await ShippingZone.countDocuments() === 0) {
+      await ShippingZone.create({ name: 'Rest of India', isDefault: true, rateType: 'flat', flatRate: 0 });
+      console.log("Created a default 'Rest of India' shipping zone with free delivery.");
+    }
+
     // 1. Migrate products from JSON file if they don't exist in DB
     const productCountInDB = await Product.countDocuments();
     if (productCountInDB < productsFromJson.length) {
@@ -506,34 +6477,23 @@ async function migrateAndSeed() {
           sellerTag: p.sellerTag,
           price: p.price,
           originalPrice: p.originalPrice,
-          deliveryDate: p.deliveryDate
+          handlingDays: p.handlingDays
         });
         await newProduct.save();
         migratedCount++;
 
         // Migrate embedded reviews to the Comment collection
         if (p.reviews && p.reviews.length > 0) {
-          // Find orders that contain this product's legacyId to check for verification
-          const ordersWithProduct = await Order.find({ 'items.id': p.id });
-
-          const commentsToCreate = p.reviews.map(review => {
-            let isVerified = false;
-            if (ordersWithProduct.length > 0) {
-                const reviewerName = review.user.toLowerCase().trim();
-                isVerified = ordersWithProduct.some(order => {
-                    const customerName = `${order.user.firstname || ''} ${order.user.lastname || ''}`.toLowerCase().trim();
-                    return customerName.includes(reviewerName);
-                });
-            }
-            return {
-              productId: newProduct._id,
-              username: review.user,
-              rating: review.rating,
-              comment: review.comment,
-              createdAt: review.createdAt || new Date(),
-              verifiedPurchase: isVerified
-            };
-          });
+          // Imported reviews have no customer account behind them, so none are verified
+          const commentsToCreate = p.reviews.map(review => ({
+            productId: newProduct._id,
+            username: review.user,
+            rating: review.rating,
+            comment: review.comment,
+            createdAt: review.createdAt || new Date(),
+            verifiedPurchase: false,
+            status: 'approved'
+          }));
           await Comment.insertMany(commentsToCreate);
         }
       }
@@ -544,6 +6504,30 @@ async function migrateAndSeed() {
       }
     }
 
+    // Products from before slugs existed get one from their name (the save hook makes it)
+    const productsWithoutSlugs = await Product.find({ slug: { $exists: false } });
+    for (const product of productsWithoutSlugs) {
+      try {
+        await product.save();
+      } catch (err) {
+        console.error(`Could not add a slug to product ${product.legacyId}:`, err.message);
+      }
+    }
+    if (productsWithoutSlugs.length > 0) console.log(`Added slugs to ${productsWithoutSlugs.length} products.`);
+    await syncLegacyIdSequence();
+
+    // "Limited time deal" now comes from running sales, so typed-in ones are dropped
+    const typedDealTags = await Product.updateMany({ sellerTag: DEFAULT_SALE_TAG }, { $unset: { sellerTag: 1 } });
+    if (typedDealTags.modifiedCount > 0) console.log(`Removed the typed "${DEFAULT_SALE_TAG}" tag from ${typedDealTags.modifiedCount} products.`);
+
+    // Orders placed before co-purchases were counted are added to the counts once
+    let countedOrders = 0;
+    for await (const order of Order.find({ coPurchaseCounted: { $exists: false }, status: { $ne: 'cancelled' } }, { items: 1, date: 1 }).lean().cursor()) {
+      await countCoPurchases(order);
+      countedOrders++;
+    }
+    if (countedOrders > 0) console.log(`Counted co-purchases for ${countedOrders} existing orders.`);
+
     // 2. Seed comments for the new product page if none exist
     const commentCount = await Comment.countDocuments();
     if (commentCount === 0) {
@@ -551,8 +6535,8 @@ async function migrateAndSeed() {
       if (productToCommentOn) {
         console.log(`Seeding comments for product: ${productToCommentOn.name}`);
         await Comment.create([
-          { productId: productToCommentOn._id, username: 'Radha', rating: 5, comment: 'This is the best ghee I have ever tasted! So pure and aromatic.' },
-          { productId: productToCommentOn._id, username: 'Krishna', rating: 4, comment: 'Excellent quality and fast delivery. Highly recommended.' }
+          { productId: productToCommentOn._id, username: 'Radha', rating: 5, comment: 'This is the best ghee I have ever tasted! So pure and aromatic.', status: 'approved' },
+          { productId: productToCommentOn._id, username: 'Krishna', rating: 4, comment: 'Excellent quality and fast delivery. Highly recommended.', status: 'approved' }
         ]);
         console.log('Sample comments created for the new product page.');
       }
@@ -578,6 +6562,9 @@ async function startServer() {
         await mongoose.connect(MONGO_URI);
         console.log('Successfully connected to MongoDB.');
         await migrateAndSeed();
+        startEmailWorker();
+        startPriceRuleWorker();
+        startPaymentExpiryWorker();
     } catch (err) {
         console.error('FATAL: MongoDB connection error. The new product page will not work.', err);
         process.exit(1);
@@ -590,4 +6577,113 @@ async function startServer() {
     });
 }
 
-startServer();
\ No newline at end of file
+/**
+ * Creates the first owner account. Run once after deploying:
+ *   node server.js create-owner <email> <name>
+ * The password is read from the OWNER_PASSWORD environment variable so it
+ * doesn't end up in shell history.
+ */
+async function createOwner(email, name) {
+    const password = process.env.OWNER_PASSWORD;
+    if (!email || !name || !password) {
+        console.error('Usage: OWNER_PASSWORD=<password> node server.js create-owner <email> <name>');
+        process.exit(1);
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        console.error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+        process.exit(1);
+    }
+
+    try {
+        await mongoose.connect(MONGO_URI);
+        if (await Admin.exists({ role: 'owner' })) {
+            console.error('An owner account already exists. Use the admin dashboard to add more admins.');
+            process.exit(1);
+        }
+        const owner = await Admin.create({ email, name, role: 'owner', passwordHash: await hashPassword(password) });
+        console.log(`Owner account ${owner.email} created.`);
+        process.exit(0);
+    } catch (err) {
+        console.error('Failed to create owner account:', err);
+        process.exit(1);
+    }
+}
+
+/**
+ * Command-line catalog import/export, for bulk edits without the admin dashboard:
+ *   node server.js catalog-export <file.json|file.csv> [--include-archived]
+ *   node server.js catalog-import <file.json|file.csv> [--dry-run] [--archive-missing]
+ */
+async function runCatalogCommand(command, file, flags) {
+    if (!file) {
+        console.error(`Usage: node server.js ${command} <file.json|file.csv> [options]`);
+        process.exit(1);
+    }
+    const format = file.toLowerCase().endsWith('.csv') ? 'csv' : 'json';
+
+    try {
+        await mongoose.connect(MONGO_URI);
+        if (command === 'catalog-export') {
+            await fs.writeFile(file, await exportCatalog(format, flags.includes('--include-archived')));
+            console.log(`Catalog exported to ${file}.`);
+            process.exit(0);
+        }
+
+        const rows = readCatalogFile(await fs.readFile(file, 'utf8'), format);
+        const plan = await planCatalogImport(rows, { fromCsv: format === 'csv', archiveMissing: flags.includes('--archive-missing') });
+        for (const change of plan.changes) {
+            if (change.action === 'unchanged') continue;
+            console.log(`[${change.action}] ${change.legacyId} ${change.name || ''}`);
+            for (const [field, { from, to }] of Object.entries(change.diff || {})) {
+                console.log(`    ${field}: ${JSON.stringify(from)} -> ${JSON.stringify(to)}`);
+            }
+            change.errors.forEach(err => console.log(`    ! ${err}`));
+        }
+        console.log(`Summary: ${JSON.stringify(plan.summary)}`);
+
+        if (!plan.valid) {
+            console.error('The import has errors, so nothing was changed.');
+            process.exit(1);
+        }
+        if (flags.includes('--dry-run')) {
+            console.log('Dry run: nothing was changed.');
+            process.exit(0);
+        }
+        // Recorded in the audit log as the operating-system user who ran the command
+        await applyCatalogImport(plan, { actor: `cli:${process.env.USER || 'unknown'}`, method: 'CLI', baseUrl: '', path: 'catalog-import' });
+        console.log('Catalog import complete.');
+        process.exit(0);
+    } catch (err) {
+        console.error(`${command} failed:`, err);
+        process.exit(1);
+    }
+}
+
+// Run directly, this starts the server (or a command). Required by the tests, it only
+// sets the app up, without connecting to MongoDB or listening.
+if (require.main === module) {
+    const [command, ...commandArgs] = process.argv.slice(2);
+    if (command === 'create-owner') {
+        createOwner(commandArgs[0], commandArgs.slice(1).join(' '));
+    } else if (command === 'catalog-export' || command === 'catalog-import') {
+        runCatalogCommand(command, commandArgs[0], commandArgs.slice(1));
+    } else {
+        startServer();
+    }
+} else {
+    module.exports = {
+        app,
+        priceOrderItems,
+        reserveStock,
+        releaseStock,
+        transitionOrder,
+        applyPaymentEvent,
+        expireStalePayments,
+        signWebhookPayload,
+        paidUnitPrice,
+        refundTotals,
+        formatProducts,
+        issueInvoice,
+        buildOrderQuery
+    };
+}
\ No newline at end of file
@@ -0,0 +1,79 @@
+// Loads the app for the tests. Nothing here talks to MongoDB: each test replaces the model
+// methods it expects to be called, and anything it didn't expect fails at once instead of
+// waiting for a connection.
+process.env.MONGO_URI = 'mongodb://127.0.0.1:1/goshala-test';
+process.env.NODE_ENV = 'test';
+process.env.PAYMENT_PROVIDER = 'mock';
+process.env.MOCK_PAYMENT_WEBHOOK_SECRET = 'test_webhook_secret';
+process.env.CHALLENGE_PROVIDER = 'none';
+process.env.RATE_LIMIT_STORE = 'memory';
+process.env.MAIL_TRANSPORT = 'console';
+process.env.ADMIN_NOTIFY_EMAIL = 'admin@example.com';
+
+const mongoose = require('mongoose');
+mongoose.set('bufferCommands', false);
+
+const server = require('../server');
+
+/**
+ * A stand-in for a Mongoose query: chain anything on it, and it resolves to `result`.
+ * @param {*} result - What the query resolves to.
+ */
+function query(result) {
+    const q = {
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+        catch: (reject) => Promise.resolve(result).catch(reject),
+        exec: () => Promise.resolve(result)
+    };
+    ['lean', 'session', 'sort', 'limit', 'skip', 'select', 'populate'].forEach(method => { q[method] = () => q; });
+    return q;
+}
+
+/**
+ * Replaces mongoose.startSession with a session whose transactions just run their callback,
+ * as a single MongoDB server without a replica set can't run real ones.
+ * @param {Object} t - The test context, so the mock is undone when the test ends.
+ * @returns {Object} The fake session; `aborted` says whether the last transaction was aborted.
+ */
+function mockSession(t) {
+    const session = {
+        aborted: false,
+        withTransaction: async (fn) => { session.aborted = false; await fn(); },
+        abortTransaction: async () => { session.aborted = true; },
+        endSession: async () => {}
+    };
+    t.mock.method(mongoose, 'startSession', async () => session);
+    return session;
+}
+
+/**
+ * Starts the app on a free port until the test file finishes.
+ * @param {Function} after - node:test's `after`.
+ * @returns {Promise<string>} The base URL.
+ */
+function listen(after) {
+    return new Promise(resolve => {
+        const http = server.app.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${http.address().port}`));
+        after(() => http.close());
+    });
+}
+
+/**
+ * Builds an order document (not saved): two jars of ghee, paid online unless overridden.
+ * @param {Object} [fields] - Fields to set on top of the defaults.
+ */
+function buildOrder(fields = {}) {
+    const Order = mongoose.model('Order');
+    return new Order({
+        orderId: 'ORD-1',
+        user: { firstname: 'Radha', lastname: 'K', email: 'radha@example.com', address1: '1 Temple Street', city: 'Vizag', state: 'Andhra Pradesh', zip: '530001', phone: '9876543210' },
+        items: [{ id: 1, variantId: new mongoose.Types.ObjectId(), sku: 'GHEE-500', name: 'Desi Cow Ghee', quantity: 2, price: 650 }],
+        subtotal: 1300,
+        total: 1350,
+        payment: { method: 'online', provider: 'mock', intentId: 'mock_pi_1', status: 'pending' },
+        status: 'pending',
+        ...fields
+    });
+}
+
+module.exports = { ...server, mongoose, model: (name) => mongoose.model(name), query, mockSession, listen, buildOrder };
@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { issueInvoice, transitionOrder, mongoose, model, query, mockSession, buildOrder } = require('./helpers');
+
+const Order = model('Order');
+const Counter = model('Counter');
+
+// Stands in for an order that already has its GST worked out
+const taxedOrder = (fields = {}) => buildOrder({
+    status: 'confirmed',
+    payment: { method: 'cod', status: 'pending' },
+    tax: { supplyType: 'intra_state', taxableValue: 1205.36, cgst: 72.32, sgst: 72.32, igst: 0 },
+    ...fields
+});
+
+describe('issueInvoice', () => {
+    it('claims the order, then numbers it in the same transaction', async (t) => {
+        const order = taxedOrder();
+        const session = mockSession(t);
+        const calls = [];
+        t.mock.method(Order, 'findOneAndUpdate', (filter, update, options) => {
+            calls.push(['order', filter, options.session]);
+            return query(order.set(update.$set));
+        });
+        t.mock.method(Counter, 'findOneAndUpdate', (filter, update, options) => {
+            calls.push(['counter', filter, options.session]);
+            return query({ seq: 7 });
+        });
+
+        const invoiced = await issueInvoice(order);
+        assert.match(invoiced.invoice.number, /^INV\/\d{4}-\d{2}\/00007$/);
+        assert.deepEqual(calls.map(c => c[0]), ['order', 'counter', 'order']);
+        assert.deepEqual(calls[0][1], { _id: order._id, 'invoice.number': { $exists: false } });
+        assert.ok(calls.every(c => c[2] === session));
+    });
+
+    it('takes no number when another request has already numbered the order', async (t) => {
+        const order = taxedOrder();
+        mockSession(t);
+        t.mock.method(Order, 'findOneAndUpdate', () => query(null));
+        t.mock.method(Order, 'findById', () => query(taxedOrder({ invoice: { number: 'INV/2026-27/00006' } })));
+        const counter = t.mock.method(Counter, 'findOneAndUpdate', () => query({ seq: 7 }));
+
+        const invoiced = await issueInvoice(order);
+        assert.equal(invoiced.invoice.number, 'INV/2026-27/00006');
+        assert.equal(counter.mock.callCount(), 0);
+    });
+});
+
+describe('confirming an order', () => {
+    it('still confirms it when the invoice cannot be issued', async (t) => {
+        const order = taxedOrder({ status: 'pending' });
+        t.mock.method(console, 'error', () => {});
+        t.mock.method(model('EmailJob'), 'create', async () => ({}));
+        t.mock.method(Order, 'findOneAndUpdate', (filter, update) => query(order.set(update.$set)));
+        t.mock.method(mongoose, 'startSession', async () => { throw new Error('Transaction numbers are only allowed on a replica set member'); });
+
+        const result = await transitionOrder(order, 'confirmed', 'admin@example.com');
+        assert.equal(result.error, undefined);
+        assert.equal(result.order.status, 'confirmed');
+        assert.equal(result.order.invoice.number, undefined);
+    });
+});
@@ -0,0 +1,19 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildOrderQuery } = require('./helpers');
+
+describe('buildOrderQuery', () => {
+    it('filters by one or more statuses', () => {
+        assert.deepEqual(buildOrderQuery({ status: 'pending, confirmed' }), { query: { status: { $in: ['pending', 'confirmed'] } } });
+    });
+
+    it('rejects unknown statuses instead of matching nothing', () => {
+        assert.match(buildOrderQuery({ status: 'shipped,lost' }).error, /Unknown order status: lost\./);
+        assert.match(buildOrderQuery({ status: 'Pending' }).error, /Unknown order status: Pending\./);
+    });
+
+    it('skips an empty status filter', () => {
+        assert.deepEqual(buildOrderQuery({ status: ',' }), { query: {} });
+        assert.deepEqual(buildOrderQuery({}), { query: {} });
+    });
+});
@@ -0,0 +1,166 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { applyPaymentEvent, expireStalePayments, transitionOrder, signWebhookPayload, model, query, listen, buildOrder } = require('./helpers');
+
+const Order = model('Order');
+const PaymentEvent = model('PaymentEvent');
+
+describe('POST /api/payments/webhook/:provider', () => {
+    const baseUrl = listen(after);
+    const event = (fields = {}) => JSON.stringify({ id: 'mock_evt_1', type: 'payment.succeeded', intentId: 'mock_pi_1', amount: 1350, ...fields });
+    const deliver = async (payload, signature = signWebhookPayload(payload, process.env.MOCK_PAYMENT_WEBHOOK_SECRET)) => {
+        const response = await fetch(`${await baseUrl}/api/payments/webhook/mock`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'x-mock-signature': signature },
+            body: payload
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    it('rejects events with a missing or wrong signature', async (t) => {
+        const create = t.mock.method(PaymentEvent, 'create', async () => ({}));
+        const payload = event();
+
+        assert.equal((await deliver(payload, '')).status, 400);
+        assert.equal((await deliver(payload, signWebhookPayload(payload, 'mock_webhook_secret'))).status, 400);
+        assert.equal(create.mock.callCount(), 0);
+    });
+
+    it('checks the signature against the exact bytes received', async (t) => {
+        t.mock.method(PaymentEvent, 'create', async () => ({}));
+        const signature = signWebhookPayload(event(), process.env.MOCK_PAYMENT_WEBHOOK_SECRET);
+        const reformatted = JSON.stringify(JSON.parse(event()), null, 2);
+        assert.equal((await deliver(reformatted, signature)).status, 400);
+    });
+
+    it('marks the order paid from a signed event, only while the payment is not yet received', async (t) => {
+        const order = buildOrder();
+        t.mock.method(PaymentEvent, 'create', async () => ({}));
+        t.mock.method(Order, 'findOne', () => query(order));
+        const markPaid = t.mock.method(Order, 'findOneAndUpdate', () => query(order));
+
+        const { status, body } = await deliver(event());
+        assert.equal(status, 200);
+        assert.deepEqual(body, { received: true });
+        const [filter, update] = markPaid.mock.calls[0].arguments;
+        assert.deepEqual(filter, { _id: order._id, 'payment.status': { $in: ['pending', 'failed'] } });
+        assert.equal(update['payment.status'], 'paid');
+    });
+
+    it('acknowledges a repeated delivery without handling it again', async (t) => {
+        t.mock.method(PaymentEvent, 'create', async () => { throw Object.assign(new Error('duplicate key'), { code: 11000 }); });
+        const findOrder = t.mock.method(Order, 'findOne', () => query(buildOrder()));
+
+        const { status, body } = await deliver(event());
+        assert.equal(status, 200);
+        assert.deepEqual(body, { received: true, duplicate: true });
+        assert.equal(findOrder.mock.callCount(), 0);
+    });
+
+    it('forgets an event it failed to handle, so the retry is processed', async (t) => {
+        t.mock.method(PaymentEvent, 'create', async () => ({}));
+        t.mock.method(Order, 'findOne', () => query(Promise.reject(new Error('connection lost'))));
+        const forget = t.mock.method(PaymentEvent, 'deleteOne', () => query({ deletedCount: 1 }));
+
+        const { status } = await deliver(event());
+        assert.equal(status, 500);
+        assert.deepEqual(forget.mock.calls[0].arguments[0], { provider: 'mock', eventId: 'mock_evt_1' });
+    });
+});
+
+describe('applyPaymentEvent', () => {
+    it('does not mark an order paid for the wrong amount', async (t) => {
+        t.mock.method(Order, 'findOne', () => query(buildOrder()));
+        const update = t.mock.method(Order, 'findOneAndUpdate', () => query(null));
+        await applyPaymentEvent('mock', { eventId: 'evt', type: 'payment.succeeded', intentId: 'mock_pi_1', amount: 1 });
+        assert.equal(update.mock.callCount(), 0);
+    });
+
+    it('records a payment that arrives after the order was cancelled, and asks for a refund', async (t) => {
+        const order = buildOrder({ status: 'cancelled', payment: { method: 'online', provider: 'mock', intentId: 'mock_pi_1', status: 'failed' } });
+        t.mock.method(console, 'error', () => {});
+        t.mock.method(Order, 'findOne', () => query(order));
+        t.mock.method(Order, 'findOneAndUpdate', (filter, update) => query(order.set(update)));
+        const email = t.mock.method(model('EmailJob'), 'create', async () => ({}));
+
+        await applyPaymentEvent('mock', { eventId: 'evt', type: 'payment.succeeded', intentId: 'mock_pi_1', amount: 1350 });
+        assert.equal(order.payment.status, 'paid');
+        assert.equal(email.mock.calls[0].arguments[0].template, 'adminRefundDue');
+    });
+});
+
+// Cancelling goes on to return stock and coupons; these stand in for all of it
+const mockCancellation = (t, order) => {
+    t.mock.method(model('Product'), 'findOneAndUpdate', () => query(null));
+    t.mock.method(model('CouponRedemption'), 'deleteOne', () => query({ deletedCount: 0 }));
+    t.mock.method(Order, 'updateOne', () => query({ modifiedCount: 0 }));
+    t.mock.method(model('EmailJob'), 'create', async () => ({}));
+    return t.mock.method(Order, 'findOneAndUpdate', (filter, update) => {
+        if (update['payment.status']) order.set(update);
+        else order.set(update.$set);
+        return query(order);
+    });
+};
+
+describe('expireStalePayments', () => {
+    it('fails payments left pending too long and cancels their orders', async (t) => {
+        const order = buildOrder({ date: new Date(Date.now() - 2 * 60 * 60 * 1000) });
+        const find = t.mock.method(Order, 'find', () => query([order]));
+        const update = mockCancellation(t, order);
+
+        await expireStalePayments();
+        const [filter] = find.mock.calls[0].arguments;
+        assert.equal(filter.status, 'pending');
+        assert.equal(filter['payment.method'], 'online');
+        assert.ok(filter.date.$lt < new Date(Date.now() - 59 * 60 * 1000));
+        assert.deepEqual(update.mock.calls[0].arguments[0], { _id: order._id, 'payment.status': 'pending' });
+        assert.equal(update.mock.calls[1].arguments[1].$set.status, 'cancelled');
+        assert.equal(order.payment.status, 'failed');
+        assert.equal(order.status, 'cancelled');
+    });
+
+    it('finishes cancelling an order whose payment already failed', async (t) => {
+        const order = buildOrder({ payment: { method: 'online', status: 'failed', failureReason: 'Card declined' } });
+        t.mock.method(Order, 'find', () => query([order]));
+        const update = mockCancellation(t, order);
+
+        await expireStalePayments();
+        assert.equal(update.mock.callCount(), 1);
+        assert.equal(order.status, 'cancelled');
+    });
+});
+
+describe('transitionOrder', () => {
+    it('refuses to fulfil an online order that has not been paid', async (t) => {
+        const update = t.mock.method(Order, 'findOneAndUpdate', () => query(null));
+        for (const [from, to] of [['pending', 'confirmed'], ['confirmed', 'packed'], ['packed', 'shipped'], ['shipped', 'delivered']]) {
+            for (const paymentStatus of ['pending', 'failed']) {
+                const order = buildOrder({ status: from, payment: { method: 'online', status: paymentStatus } });
+                const result = await transitionOrder(order, to, 'admin@example.com');
+                assert.match(result.error, /before its online payment is received/);
+            }
+        }
+        assert.equal(update.mock.callCount(), 0);
+    });
+
+    it('only refunds an order whose payment was received', async (t) => {
+        const update = t.mock.method(Order, 'findOneAndUpdate', (filter, change) => query(buildOrder({ status: 'refunded', ...change.$set })));
+        t.mock.method(model('EmailJob'), 'create', async () => ({}));
+
+        const unpaid = await transitionOrder(buildOrder({ status: 'cancelled', payment: { method: 'online', status: 'failed' } }), 'refunded', 'admin@example.com');
+        assert.match(unpaid.error, /never received/);
+        assert.equal(update.mock.callCount(), 0);
+
+        const paid = await transitionOrder(buildOrder({ status: 'cancelled', payment: { method: 'online', status: 'paid' } }), 'refunded', 'admin@example.com');
+        assert.equal(paid.error, undefined);
+        assert.equal(update.mock.calls[0].arguments[1].$set['payment.status'], 'refunded');
+    });
+
+    it('fulfils cash on delivery orders before payment', async (t) => {
+        const order = buildOrder({ status: 'confirmed', payment: { method: 'cod', status: 'pending' } });
+        t.mock.method(model('EmailJob'), 'create', async () => ({}));
+        t.mock.method(Order, 'findOneAndUpdate', () => query(order));
+        const result = await transitionOrder(order, 'packed', 'admin@example.com');
+        assert.equal(result.error, undefined);
+    });
+});
@@ -0,0 +1,105 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { priceOrderItems, model, query, listen } = require('./helpers');
+
+const Product = model('Product');
+
+const ghee = new Product({
+    legacyId: 1,
+    slug: 'desi-cow-ghee',
+    name: 'Desi Cow Ghee',
+    gstRate: 12,
+    variants: [
+        { sku: 'GHEE-500', optionName: 'Size', optionValue: '500ml', price: 650, weightGrams: 600, stock: 10 },
+        { sku: 'GHEE-1L', optionName: 'Size', optionValue: '1L', price: 1200, weightGrams: 1100, stock: 10 }
+    ]
+}).toObject();
+const soap = new Product({ legacyId: 2, slug: 'panchagavya-soap', name: 'Panchagavya Soap', variants: [{ sku: 'SOAP', price: 80 }] }).toObject();
+
+describe('priceOrderItems', () => {
+    it('prices lines from the catalog, ignoring prices sent by the client', async (t) => {
+        t.mock.method(Product, 'find', () => query([ghee, soap]));
+        const { lineItems, subtotal, invalidItems, missingIds } = await priceOrderItems([
+            { id: 1, sku: 'ghee-500', quantity: 2, price: 1 },
+            { id: 2, quantity: 3, price: 0, lineTotal: 0 }
+        ]);
+
+        assert.deepEqual(invalidItems, []);
+        assert.deepEqual(missingIds, []);
+        assert.deepEqual(lineItems.map(l => [l.sku, l.price, l.quantity, l.lineTotal]), [
+            ['GHEE-500', 650, 2, 1300],
+            ['SOAP', 80, 3, 240]
+        ]);
+        assert.equal(subtotal, 1540);
+    });
+
+    it('merges lines for the same variant', async (t) => {
+        t.mock.method(Product, 'find', () => query([ghee]));
+        const variantId = String(ghee.variants[1]._id);
+        const { lineItems, subtotal } = await priceOrderItems([
+            { id: 1, variantId, quantity: 1 },
+            { id: 1, sku: 'GHEE-1L', quantity: 2 }
+        ]);
+
+        assert.equal(lineItems.length, 1);
+        assert.equal(lineItems[0].quantity, 3);
+        assert.equal(subtotal, 3600);
+    });
+
+    it('reports bad quantities, unknown or missing variants and unavailable products', async (t) => {
+        t.mock.method(Product, 'find', () => query([ghee]));
+        const { lineItems, invalidItems, missingIds } = await priceOrderItems([
+            { id: 1, sku: 'GHEE-500', quantity: 0 },
+            { id: 1, sku: 'GHEE-500', quantity: 1.5 },
+            { id: 1, quantity: 1 },
+            { id: 1, sku: 'GHEE-5L', quantity: 1 },
+            { id: 99, quantity: 1 }
+        ]);
+
+        assert.deepEqual(lineItems, []);
+        assert.deepEqual(invalidItems.map(i => i.index), [0, 1, 2, 3]);
+        assert.equal(invalidItems[2].error, 'This product comes in several variants; choose one.');
+        assert.equal(invalidItems[3].error, 'Unknown variant.');
+        assert.deepEqual(missingIds, [99]);
+    });
+
+    it('only looks up products that are not archived', async (t) => {
+        const find = t.mock.method(Product, 'find', () => query([]));
+        await priceOrderItems([{ id: 1, quantity: 1 }]);
+        assert.deepEqual(find.mock.calls[0].arguments[0], { legacyId: { $in: [1] }, archived: { $ne: true } });
+    });
+});
+
+describe('POST /api/orders', () => {
+    const baseUrl = listen(after);
+    const ShippingZone = model('ShippingZone');
+    const zone = new ShippingZone({ name: 'Andhra Pradesh', pincodeRanges: [{ from: 530000, to: 535999 }], rateType: 'flat', flatRate: 50 }).toObject();
+    const user = { firstname: 'Radha', lastname: 'K', email: 'radha@example.com', address1: '1 Temple Street', city: 'Vizag', state: 'Andhra Pradesh', zip: '530001', phone: '9876543210' };
+    const placeOrder = async (body) => {
+        const response = await fetch(`${await baseUrl}/api/orders`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Idempotency-Key': String(Math.random()) },
+            body: JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+    const mockCheckout = (t) => {
+        t.mock.method(Product, 'find', () => query([ghee]));
+        t.mock.method(ShippingZone, 'find', () => query([zone]));
+        t.mock.method(model('Submission'), 'create', async () => ({}));
+        t.mock.method(model('Submission'), 'deleteOne', () => query({ deletedCount: 1 }));
+        t.mock.method(model('Submission'), 'updateOne', () => query({}));
+        return t.mock.method(Product, 'findOneAndUpdate', () => query(null));
+    };
+
+    it('refuses an order whose total does not match the server price, without taking stock', async (t) => {
+        const reserve = mockCheckout(t);
+        const { status, body } = await placeOrder({ items: [{ id: 1, sku: 'GHEE-500', quantity: 2, price: 1 }], total: 52, user });
+
+        assert.equal(status, 409);
+        assert.equal(body.error, 'Order total does not match current prices.');
+        assert.equal(body.details.total, 1350); // 2 x 650, plus 50 shipping
+        assert.equal(body.details.clientTotal, 52);
+        assert.equal(reserve.mock.callCount(), 0);
+    });
+});
@@ -0,0 +1,81 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { formatProducts, mongoose, model, query, listen } = require('./helpers');
+
+const Product = model('Product');
+const DAY = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY);
+
+describe('formatProducts', () => {
+    it('takes the lowest price from the days before a sale, not the sale price', async (t) => {
+        const ruleId = new mongoose.Types.ObjectId();
+        const ghee = new Product({
+            legacyId: 1,
+            name: 'Desi Cow Ghee',
+            variants: [{ sku: 'GHEE-500', price: 520, originalPrice: 650 }],
+            sale: { ruleId, name: 'Diwali', endsAt: new Date(Date.now() + DAY) }
+        });
+        const variantId = ghee.variants[0]._id;
+        t.mock.method(model('PriceRule'), 'find', () => query([{ _id: ruleId, appliedAt: daysAgo(2) }]));
+        const find = t.mock.method(model('PriceHistory'), 'find', () => query([
+            { variantId, price: 600, previousPrice: 620, changedAt: daysAgo(40) }, // Before the window
+            { variantId, price: 650, previousPrice: 600, changedAt: daysAgo(20) },
+            { variantId, price: 520, previousPrice: 650, changedAt: daysAgo(2) } // The sale
+        ]));
+
+        const [formatted] = await formatProducts([ghee]);
+        assert.equal(formatted.variants[0].lowestPrice, 600);
+        assert.equal(formatted.lowestPrice, 600);
+        assert.equal(formatted.lowestPriceDays, 30);
+        assert.ok(find.mock.calls[0].arguments[0].changedAt.$gte <= daysAgo(32)); // 30 days before the sale
+    });
+
+    it('takes the price a variant had when the window closed, if it never changed in it', async (t) => {
+        const ruleId = new mongoose.Types.ObjectId();
+        const ghee = new Product({ legacyId: 1, name: 'Desi Cow Ghee', variants: [{ sku: 'GHEE-500', price: 520 }], sale: { ruleId, name: 'Diwali' } });
+        const variantId = ghee.variants[0]._id;
+        t.mock.method(model('PriceRule'), 'find', () => query([{ _id: ruleId, appliedAt: daysAgo(2) }]));
+        t.mock.method(model('PriceHistory'), 'find', () => query([{ variantId, price: 520, previousPrice: 650, changedAt: daysAgo(2) }]));
+
+        const [formatted] = await formatProducts([ghee]);
+        assert.equal(formatted.lowestPrice, 650);
+    });
+
+    it('counts the current price for products not on sale', async (t) => {
+        const soap = new Product({ legacyId: 2, name: 'Panchagavya Soap', variants: [{ sku: 'SOAP', price: 70 }] });
+        const variantId = soap.variants[0]._id;
+        const rules = t.mock.method(model('PriceRule'), 'find', () => query([]));
+        t.mock.method(model('PriceHistory'), 'find', () => query([{ variantId, price: 70, previousPrice: 80, changedAt: daysAgo(5) }]));
+
+        const [formatted] = await formatProducts([soap]);
+        assert.equal(formatted.lowestPrice, 70);
+        assert.equal(rules.mock.callCount(), 0);
+    });
+});
+
+describe('GET /api/products', () => {
+    const baseUrl = listen(after);
+    const mockCatalog = (t) => {
+        const ghee = new Product({ legacyId: 1, name: 'Desi Cow Ghee', category: ['Ghee'], variants: [{ sku: 'GHEE-500', price: 650 }] }).toObject();
+        t.mock.method(Product, 'find', () => query([ghee]));
+        t.mock.method(Product, 'countDocuments', () => query(1));
+        t.mock.method(Product, 'aggregate', async () => [{ _id: 'Ghee', count: 1 }]);
+        t.mock.method(model('PriceHistory'), 'find', () => query([]));
+    };
+
+    it('is still a bare array of products without paging parameters', async (t) => {
+        mockCatalog(t);
+        const body = await (await fetch(`${await baseUrl}/api/products?category=Ghee`)).json();
+        assert.ok(Array.isArray(body));
+        assert.deepEqual(body.map(p => p.id), [1]);
+    });
+
+    it('is a page with totals and facets when one is asked for', async (t) => {
+        mockCatalog(t);
+        const body = await (await fetch(`${await baseUrl}/api/products?page=1`)).json();
+        assert.deepEqual(body.products.map(p => p.id), [1]);
+        assert.equal(body.total, 1);
+        assert.equal(body.totalPages, 1);
+        assert.deepEqual(body.facets.categories, [{ name: 'Ghee', count: 1 }]);
+    });
+});
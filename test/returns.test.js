@@ -0,0 +1,70 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { paidUnitPrice, refundTotals, buildOrder } = require('./helpers');
+
+// Two jars of ghee at 650 with 12% GST inside the price, within Andhra Pradesh (CGST + SGST),
+// and a soap bought from another state (IGST)
+const order = (fields = {}) => buildOrder({
+    items: [
+        { id: 1, name: 'Desi Cow Ghee', quantity: 2, price: 650, gstRate: 12, taxableValue: 1160.72, cgst: 69.64, sgst: 69.64, igst: 0 },
+        { id: 2, name: 'Panchagavya Soap', quantity: 4, price: 80, gstRate: 18, taxableValue: 271.2, cgst: 0, sgst: 0, igst: 48.8 }
+    ],
+    subtotal: 1620,
+    total: 1670,
+    ...fields
+});
+const returning = (o, index, quantity) => ({ itemId: o.items[index]._id, quantity, unitRefund: paidUnitPrice(o.items[index]) });
+
+describe('paidUnitPrice', () => {
+    it('is the unit share of what the line was paid after discount', () => {
+        const discounted = order().items[0];
+        discounted.set({ taxableValue: 1044.64, cgst: 62.68, sgst: 62.68 }); // 130 off the line
+        assert.equal(paidUnitPrice(discounted), 585);
+    });
+
+    it('is the list price for orders from before GST was recorded', () => {
+        assert.equal(paidUnitPrice({ quantity: 2, price: 650 }), 650);
+    });
+});
+
+describe('refundTotals', () => {
+    it('refunds what the returned units were paid and reverses their share of GST', () => {
+        const o = order();
+        assert.deepEqual(refundTotals(o, [returning(o, 0, 1)]), {
+            amount: 650,
+            tax: { taxableValue: 580.36, cgst: 34.82, sgst: 34.82, igst: 0 }
+        });
+        assert.deepEqual(refundTotals(o, [returning(o, 0, 2), returning(o, 1, 1)]), {
+            amount: 1380,
+            tax: { taxableValue: 1228.52, cgst: 69.64, sgst: 69.64, igst: 12.2 }
+        });
+    });
+
+    it('scales the GST reversed to a smaller refund', () => {
+        const o = order();
+        assert.deepEqual(refundTotals(o, [returning(o, 0, 1)], 325), {
+            amount: 325,
+            tax: { taxableValue: 290.18, cgst: 17.41, sgst: 17.41, igst: 0 }
+        });
+    });
+
+    it('never refunds more than is left unrefunded on the order', () => {
+        const o = order({ refundedAmount: 1570 });
+        assert.equal(refundTotals(o, [returning(o, 0, 1)]).amount, 100);
+        assert.match(refundTotals(o, [returning(o, 0, 1)], 100.01).error, /₹100\.00 not yet refunded/);
+    });
+
+    it('rejects negative and non-numeric amounts', () => {
+        const o = order();
+        assert.ok(refundTotals(o, [returning(o, 0, 1)], -1).error);
+        assert.ok(refundTotals(o, [returning(o, 0, 1)], 'all of it').error);
+    });
+
+    it('reverses no GST for items from before it was recorded', () => {
+        const o = order({ items: [{ id: 1, name: 'Desi Cow Ghee', quantity: 2, price: 650 }], total: 1300 });
+        assert.deepEqual(refundTotals(o, [returning(o, 0, 2)]), {
+            amount: 1300,
+            tax: { taxableValue: 0, cgst: 0, sgst: 0, igst: 0 }
+        });
+    });
+});
@@ -0,0 +1,43 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { mongoose, model, query, listen } = require('./helpers');
+
+const Comment = model('Comment');
+
+describe('review endpoints', () => {
+    const baseUrl = listen(after);
+    const reviewId = new mongoose.Types.ObjectId();
+    const report = async (body) => {
+        const response = await fetch(`${await baseUrl}/api/reviews/${reviewId}/report`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        return response.status;
+    };
+
+    it('rejects report reasons that are not short text', async (t) => {
+        const update = t.mock.method(Comment, 'findOneAndUpdate', () => query(null));
+        assert.equal(await report({ reason: { $gt: '' } }), 400);
+        assert.equal(await report({ reason: 'x'.repeat(301) }), 400);
+        assert.equal(update.mock.callCount(), 0);
+    });
+
+    it('stores a report with its reason trimmed', async (t) => {
+        const update = t.mock.method(Comment, 'findOneAndUpdate', () => query(new Comment({ reportCount: 1 })));
+        assert.equal(await report({ reason: '  Spam  ' }), 200);
+        const [, change, options] = update.mock.calls[0].arguments;
+        assert.equal(change.$push.reports.reason, 'Spam');
+        assert.equal(options.runValidators, true);
+    });
+
+    it('leaves moderation details and account ids out of public reviews', async (t) => {
+        const productId = new mongoose.Types.ObjectId();
+        const find = t.mock.method(Comment, 'find', () => query([]));
+        const response = await fetch(`${await baseUrl}/api/comments/${productId}`);
+        assert.equal(response.status, 200);
+        const [filter, projection] = find.mock.calls[0].arguments;
+        assert.equal(filter.status, 'approved');
+        for (const field of ['moderationReasons', 'moderatedBy', 'customerId']) assert.equal(projection[field], 0);
+    });
+});
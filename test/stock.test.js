@@ -0,0 +1,136 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { reserveStock, releaseStock, transitionOrder, mongoose, model, query, mockSession, buildOrder } = require('./helpers');
+
+const Product = model('Product');
+const StockMovement = model('StockMovement');
+
+// A product whose variants hold `stocks` units each (undefined for untracked stock)
+const buildProduct = (legacyId, ...stocks) => new Product({
+    legacyId,
+    name: `Product ${legacyId}`,
+    variants: stocks.map((stock, i) => ({ sku: `SKU-${legacyId}-${i}`, price: 100, stock }))
+});
+
+// Stands in for MongoDB's conditional decrement: the update only matches while enough stock remains
+const mockStockUpdates = (t, products) => t.mock.method(Product, 'findOneAndUpdate', (filter, update, options = {}) => {
+    const product = products.find(p => p.legacyId === filter.legacyId);
+    const { _id, stock } = filter.variants.$elemMatch;
+    const variant = product && product.variants.id(_id);
+    const matches = variant && (stock.$gte !== undefined ? variant.stock >= stock.$gte : typeof variant.stock === 'number');
+    if (!matches) return query(null);
+    variant.stock += update.$inc['variants.$.stock'];
+    if (options.session) options.session.writes.push(() => { variant.stock -= update.$inc['variants.$.stock']; });
+    return query(product);
+});
+
+// A transaction that undoes the stock updates made in it when it is aborted
+const mockTransaction = (t) => {
+    const session = mockSession(t);
+    session.writes = [];
+    const abort = session.abortTransaction;
+    session.abortTransaction = async () => {
+        session.writes.forEach(undo => undo());
+        await abort();
+    };
+    return session;
+};
+
+const lineFor = (product, variantIndex, quantity) => ({
+    id: product.legacyId,
+    variantId: product.variants[variantIndex]._id,
+    sku: product.variants[variantIndex].sku,
+    name: product.name,
+    quantity
+});
+
+describe('reserveStock', () => {
+    it('takes stock for every line and records the movements, in one transaction', async (t) => {
+        const ghee = buildProduct(1, 5, 3);
+        const session = mockTransaction(t);
+        mockStockUpdates(t, [ghee]);
+        const record = t.mock.method(StockMovement, 'insertMany', async () => []);
+
+        const unavailable = await reserveStock([lineFor(ghee, 0, 2), lineFor(ghee, 1, 3)], 'ORD-1');
+        assert.deepEqual(unavailable, []);
+        assert.equal(session.aborted, false);
+        assert.deepEqual(ghee.variants.map(v => v.stock), [3, 0]);
+        assert.deepEqual(record.mock.calls[0].arguments[0].map(m => [m.change, m.stockAfter, m.orderId]), [[-2, 3, 'ORD-1'], [-3, 0, 'ORD-1']]);
+        assert.equal(record.mock.calls[0].arguments[1].session, session);
+    });
+
+    it('aborts the transaction when any line is short, and reports what is available', async (t) => {
+        const ghee = buildProduct(1, 5);
+        const soap = buildProduct(2, 1);
+        const session = mockTransaction(t);
+        mockStockUpdates(t, [ghee, soap]);
+        t.mock.method(Product, 'findOne', (filter) => query([ghee, soap].find(p => p.legacyId === filter.legacyId).toObject()));
+        const record = t.mock.method(StockMovement, 'insertMany', async () => []);
+
+        const unavailable = await reserveStock([lineFor(ghee, 0, 2), lineFor(soap, 0, 4)], 'ORD-1');
+        assert.deepEqual(unavailable.map(u => [u.id, u.requested, u.available]), [[2, 4, 1]]);
+        assert.equal(session.aborted, true);
+        assert.equal(ghee.variants[0].stock, 5);
+        assert.equal(soap.variants[0].stock, 1);
+        assert.equal(record.mock.callCount(), 0);
+    });
+
+    it('lets variants that do not track stock through', async (t) => {
+        const ghee = buildProduct(1, undefined);
+        mockTransaction(t);
+        mockStockUpdates(t, [ghee]);
+        t.mock.method(Product, 'findOne', () => query(ghee.toObject()));
+        t.mock.method(StockMovement, 'insertMany', async () => []);
+
+        assert.deepEqual(await reserveStock([lineFor(ghee, 0, 50)], 'ORD-1'), []);
+    });
+});
+
+describe('releaseStock', () => {
+    it('returns units to variants that track stock, skipping the others', async (t) => {
+        const ghee = buildProduct(1, 0, undefined);
+        mockStockUpdates(t, [ghee]);
+        const record = t.mock.method(StockMovement, 'create', async () => ({}));
+
+        await releaseStock([lineFor(ghee, 0, 2), lineFor(ghee, 1, 1)], 'ORD-1', 'Order cancelled');
+        assert.deepEqual(ghee.variants.map(v => v.stock), [2, undefined]);
+        assert.equal(record.mock.callCount(), 1);
+        assert.equal(record.mock.calls[0].arguments[0].change, 2);
+    });
+
+    it('returns items ordered before variants existed to the first variant', async (t) => {
+        const ghee = buildProduct(1, 4, 4);
+        mockStockUpdates(t, [ghee]);
+        t.mock.method(Product, 'findOne', () => query(ghee.toObject()));
+        t.mock.method(StockMovement, 'create', async () => ({}));
+
+        await releaseStock([{ id: 1, quantity: 3 }], 'ORD-1', 'Order cancelled');
+        assert.deepEqual(ghee.variants.map(v => v.stock), [7, 4]);
+    });
+});
+
+describe('cancelling an order', () => {
+    it('returns its stock and its coupon use', async (t) => {
+        const ghee = buildProduct(1, 0);
+        const couponId = new mongoose.Types.ObjectId();
+        const order = buildOrder({
+            status: 'confirmed',
+            payment: { method: 'cod', status: 'pending' },
+            items: [{ ...lineFor(ghee, 0, 2), price: 100 }],
+            coupon: { couponId, code: 'GOMATA10' }
+        });
+        mockStockUpdates(t, [ghee]);
+        t.mock.method(StockMovement, 'create', async () => ({}));
+        t.mock.method(model('Order'), 'findOneAndUpdate', (filter, update) => query(order.set(update.$set)));
+        t.mock.method(model('Order'), 'updateOne', () => query({ modifiedCount: 0 }));
+        t.mock.method(model('EmailJob'), 'create', async () => ({}));
+        const redemption = t.mock.method(model('CouponRedemption'), 'deleteOne', () => query({ deletedCount: 1 }));
+        const coupon = t.mock.method(model('Coupon'), 'updateOne', () => query({ modifiedCount: 1 }));
+
+        const result = await transitionOrder(order, 'cancelled', 'admin@example.com');
+        assert.equal(result.order.status, 'cancelled');
+        assert.equal(ghee.variants[0].stock, 2);
+        assert.deepEqual(redemption.mock.calls[0].arguments[0], { couponId, orderId: 'ORD-1' });
+        assert.deepEqual(coupon.mock.calls[0].arguments[1], { $inc: { redemptionCount: -1 } });
+    });
+});